@@ -0,0 +1,128 @@
+import { readFileSync } from "fs";
+import { createReadabilityProxy } from "./http-readability-proxy.js";
+import { createImageConvertProxy } from "./http-image-convert-proxy.js";
+import { createMacgardenProxy } from "./http-macgarden-proxy.js";
+import { createCombinedProxy, MODES as COMBINED_MODES } from "./http-combined-proxy.js";
+import { modeOptions } from "./lib/proxy-core.js";
+import { log } from "./lib/logging.js";
+
+// Each mode maps to its app factory, the label used in the startup message and its default port
+const MODES = {
+  readability: { create: createReadabilityProxy, label: 'Readability proxy', port: 8080 },
+  imageconvert: { create: createImageConvertProxy, label: 'Image conversion proxy', port: 8081 },
+  macgarden: { create: createMacgardenProxy, label: 'Macintosh Garden proxy', port: 8082 },
+  combined: { create: createCombinedProxy, label: 'Combined proxy', port: 8083 }
+};
+
+const USAGE = `Usage: node cli.js <${Object.keys(MODES).join('|')}> [--config <file.json>]`;
+
+// Function to read a JSON config file: shared top-level options plus an optional section per mode
+function readConfigFile(path, mode) {
+  if (!path) {
+    return {};
+  }
+
+  const config = JSON.parse(readFileSync(path, 'utf-8'));
+  const options = modeOptions(config, mode, Object.keys(MODES));
+
+  // The combined server passes each mode's section on to the router it mounts
+  if (mode === 'combined') {
+    Object.keys(COMBINED_MODES).forEach(name => {
+      if (config[name]) options[name] = config[name];
+    });
+  }
+
+  return options;
+}
+
+// Function to read user names and passwords given as "name:password,name:password"
+function readUsers(list) {
+  const users = {};
+  list.split(',').forEach(entry => {
+    const colon = entry.indexOf(':');
+    if (colon > 0) {
+      users[entry.slice(0, colon).trim()] = entry.slice(colon + 1);
+    }
+  });
+  return users;
+}
+
+// Function to read options from environment variables, skipping any that aren't set
+function readEnvOptions(env) {
+  const options = {};
+  const imageLimits = {};
+
+  if (env.PORT) options.port = Number(env.PORT);
+  if (env.CACHE_DIR) options.cacheDir = env.CACHE_DIR;
+  if (env.CACHE_MAX_SIZE) options.cacheMaxSize = Number(env.CACHE_MAX_SIZE);
+  if (env.CACHE_TTL) options.cacheTtl = Number(env.CACHE_TTL);
+  if (env.PAGE_CACHE_SIZE) options.pageCacheSize = Number(env.PAGE_CACHE_SIZE);
+  if (env.PAGE_CACHE_MAX_AGE) options.pageCacheMaxAge = Number(env.PAGE_CACHE_MAX_AGE);
+  if (env.MAX_CONCURRENT_FETCHES) options.maxConcurrentFetches = Number(env.MAX_CONCURRENT_FETCHES);
+  if (env.MAX_CONCURRENT_TRANSFORMS) options.maxConcurrentTransforms = Number(env.MAX_CONCURRENT_TRANSFORMS);
+  if (env.PAGE_TIMEOUT) options.pageTimeout = Number(env.PAGE_TIMEOUT);
+  if (env.IMAGE_TIMEOUT) options.imageTimeout = Number(env.IMAGE_TIMEOUT);
+  if (env.LOGO_TIMEOUT) options.logoTimeout = Number(env.LOGO_TIMEOUT);
+  if (env.DOWNLOAD_TIMEOUT) options.downloadTimeout = Number(env.DOWNLOAD_TIMEOUT);
+  if (env.MAX_PAGE_BYTES) options.maxPageBytes = Number(env.MAX_PAGE_BYTES);
+  if (env.MAX_IMAGE_BYTES) options.maxImageBytes = Number(env.MAX_IMAGE_BYTES);
+  if (env.MAX_DOWNLOAD_BYTES) options.maxDownloadBytes = Number(env.MAX_DOWNLOAD_BYTES);
+  if (env.ALLOW_PRIVATE_ADDRESSES) options.allowPrivateAddresses = env.ALLOW_PRIVATE_ADDRESSES === 'true';
+  if (env.ALLOWED_DOMAINS) options.allowedDomains = env.ALLOWED_DOMAINS.split(',').map(domain => domain.trim()).filter(Boolean);
+  if (env.BLOCKED_DOMAINS) options.blockedDomains = env.BLOCKED_DOMAINS.split(',').map(domain => domain.trim()).filter(Boolean);
+  if (env.HTTPS_MEMORY_TTL) options.httpsMemoryTtl = Number(env.HTTPS_MEMORY_TTL);
+  if (env.PROXY_USERS) options.users = readUsers(env.PROXY_USERS);
+  if (env.AUTH_REALM) options.authRealm = env.AUTH_REALM;
+  if (env.ALLOWED_CLIENTS) options.allowedClients = env.ALLOWED_CLIENTS.split(',').map(client => client.trim()).filter(Boolean);
+  if (env.MAX_REQUESTS_PER_MINUTE) options.maxRequestsPerMinute = Number(env.MAX_REQUESTS_PER_MINUTE);
+  if (env.MAX_BYTES_PER_MINUTE) options.maxBytesPerMinute = Number(env.MAX_BYTES_PER_MINUTE);
+  if (env.FORWARD_PROXY_COOKIES) options.forwardProxyCookies = env.FORWARD_PROXY_COOKIES === 'true';
+  if (env.BOOKMARK_FILE) options.bookmarkFile = env.BOOKMARK_FILE;
+  if (env.PUBLIC_HOST) options.publicHost = env.PUBLIC_HOST;
+  if (env.USER_AGENT) options.userAgent = env.USER_AGENT;
+  if (env.OUTPUT_CHARSET) options.outputCharset = env.OUTPUT_CHARSET;
+  if (env.DEFAULT_PROFILE) options.defaultProfile = env.DEFAULT_PROFILE;
+  if (env.NUMERIC_ENTITIES) options.numericEntities = env.NUMERIC_ENTITIES === 'auto' ? 'auto' : env.NUMERIC_ENTITIES === 'true';
+  if (env.IMAGE_MAX_WIDTH) imageLimits.maxWidth = Number(env.IMAGE_MAX_WIDTH);
+  if (env.IMAGE_MAX_HEIGHT) imageLimits.maxHeight = Number(env.IMAGE_MAX_HEIGHT);
+  if (env.IMAGE_QUALITY) imageLimits.quality = Number(env.IMAGE_QUALITY);
+
+  options.imageLimits = imageLimits;
+  return options;
+}
+
+// Function to resolve the options for a mode: config file first, environment variables on top
+function loadOptions(mode, configPath, env = process.env) {
+  const fileOptions = readConfigFile(configPath, mode);
+  const envOptions = readEnvOptions(env);
+
+  return {
+    ...fileOptions,
+    ...envOptions,
+    imageLimits: {
+      ...fileOptions.imageLimits,
+      ...envOptions.imageLimits
+    }
+  };
+}
+
+function main(argv) {
+  const mode = argv[0];
+  const configFlag = argv.indexOf('--config');
+  const configPath = configFlag !== -1 ? argv[configFlag + 1] : process.env.PROXY_CONFIG;
+
+  if (!MODES[mode] || (configFlag !== -1 && !configPath)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const { create, label, port: defaultPort } = MODES[mode];
+  const options = loadOptions(mode, configPath);
+  const port = options.port || defaultPort;
+
+  create(options).listen(port, () => {
+    log('info', `${label} running`, { url: `http://localhost:${port}` });
+  });
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,149 @@
+import express from "express";
+import { createReadabilityProxy } from "./http-readability-proxy.js";
+import { createImageConvertProxy } from "./http-image-convert-proxy.js";
+import { createMacgardenProxy } from "./http-macgarden-proxy.js";
+import { getTargetUrl, handleForwardProxy, localUrl, modeOptions, sendHtml } from "./lib/proxy-core.js";
+import { selectProfile, serveProfilePicker } from "./lib/client-profiles.js";
+import { cookieSession, createCookieStore, serveCookiePage } from "./lib/cookie-jar.js";
+import { createConcurrencyLimits, DEFAULT_CONCURRENCY } from "./lib/concurrency.js";
+import { accessControl, DEFAULT_ACCESS_CONTROL } from "./lib/access-control.js";
+import { readFormBody } from "./lib/forms.js";
+import { createHttpsHosts, DEFAULT_HTTPS_MEMORY } from "./lib/https-hosts.js";
+import { requestLogging } from "./lib/logging.js";
+import { createMetrics, serveMetrics, serveStatusPage } from "./lib/metrics.js";
+
+// Each mode is mounted as a router under its own path prefix
+export const MODES = {
+  readability: { create: createReadabilityProxy, prefix: '/r', title: 'Readable article' },
+  imageconvert: { create: createImageConvertProxy, prefix: '/i', title: 'Full page, images converted' },
+  macgarden: { create: createMacgardenProxy, prefix: '/g', title: 'Macintosh Garden' }
+};
+
+// Defaults for any option not passed to createCombinedProxy
+export const DEFAULT_OPTIONS = {
+  port: 8083,
+  publicHost: null, // host:port used in generated links, defaults to the request's Host header
+  outputCharset: 'iso-8859-1', // or 'macroman'
+  numericEntities: 'auto', // send &#NNNN; for characters the charset lacks: true, false or by User-Agent
+  defaultMode: 'readability', // mode used for URLs typed straight into the path
+  profiles: {}, // client profiles added to or overriding the built-in ones
+  defaultProfile: null, // profile for clients no cookie, prefix or User-Agent pattern picks
+  cookieStore: null, // cookie jars, shared by every mode; a new store by default
+  forwardProxyCookies: true, // keep cookies for forward-proxy clients, one jar per client address
+  maxConcurrentFetches: DEFAULT_CONCURRENCY.fetches, // outbound requests in flight at once, across all modes (0 for no limit)
+  maxConcurrentTransforms: DEFAULT_CONCURRENCY.transforms, // images resized or converted at once, across all modes (0 for no limit)
+  concurrencyLimits: null, // limiters shared by every mode; new ones from the limits above by default
+  httpsMemoryTtl: DEFAULT_HTTPS_MEMORY.ttl, // seconds a host found to need HTTPS is fetched over it, unless it sends HSTS
+  httpsHosts: null, // memory of HTTPS hosts, shared by every mode; a new one by default
+  users: DEFAULT_ACCESS_CONTROL.users, // user name -> password; when not empty, HTTP Basic auth is required for every mode
+  authRealm: DEFAULT_ACCESS_CONTROL.authRealm, // name browsers show when asking for the password
+  allowedClients: DEFAULT_ACCESS_CONTROL.allowedClients, // client IPs and CIDR ranges let in, everyone when empty
+  maxRequestsPerMinute: DEFAULT_ACCESS_CONTROL.maxRequestsPerMinute, // per client across all modes, 0 for no limit
+  maxBytesPerMinute: DEFAULT_ACCESS_CONTROL.maxBytesPerMinute, // bytes sent to each client across all modes, 0 for no limit
+  metrics: null, // request metrics, shared by every mode; a new registry by default
+  prefixes: {} // per-mode prefix overrides, e.g. { readability: '/read' }
+};
+
+// Function to create one app serving all three modes under path prefixes.
+// Shared top-level options apply to every mode; a `readability`, `imageconvert`
+// or `macgarden` section overrides them for that mode only.
+export function createCombinedProxy(userOptions = {}) {
+  const options = {
+    ...DEFAULT_OPTIONS,
+    ...userOptions,
+    prefixes: { ...DEFAULT_OPTIONS.prefixes, ...userOptions.prefixes }
+  };
+  const app = express();
+  app.locals.options = options;
+
+  const prefixes = {};
+  Object.entries(MODES).forEach(([mode, { prefix }]) => {
+    prefixes[mode] = options.prefixes[mode] || prefix;
+  });
+
+  // One set of metrics for the whole server; each request is logged and counted once here
+  const metrics = options.metrics || createMetrics();
+  app.use(requestLogging(metrics));
+
+  // Forward-proxy requests for other sites are transformed by the default mode
+  app.use(handleForwardProxy);
+
+  // Access is checked once here for every mode, with the top-level settings
+  app.use(accessControl(options));
+
+  // The client profile is picked once here, so /p/<name>/r/... works as well as /r/p/<name>/...
+  app.use(selectProfile(options));
+
+  // One cookie jar per client, whichever mode it browses in
+  const cookieStore = options.cookieStore || createCookieStore();
+  app.use(cookieSession(cookieStore, options));
+
+  // One set of fetch and conversion limits for the whole server, so the modes share them
+  const concurrencyLimits = options.concurrencyLimits || createConcurrencyLimits({
+    fetches: options.maxConcurrentFetches,
+    transforms: options.maxConcurrentTransforms
+  });
+
+  // What one mode learns about sites that need HTTPS, the others use too
+  const httpsHosts = options.httpsHosts || createHttpsHosts({ ttl: options.httpsMemoryTtl });
+
+  app.use((req, res, next) => {
+    if (req.forwardProxyUrl) {
+      req.url = `${prefixes[options.defaultMode]}/`;
+    }
+    next();
+  });
+
+  Object.entries(MODES).forEach(([mode, { create }]) => {
+    app.use(prefixes[mode], create({ ...modeOptions(options, mode, Object.keys(MODES)), cookieStore, concurrencyLimits, httpsHosts, metrics }));
+  });
+
+  // Page for choosing a client profile
+  app.get('/profile', serveProfilePicker);
+
+  // Page for viewing and clearing the cookies kept for this client
+  app.get('/cookies', serveCookiePage);
+  app.post('/cookies', readFormBody, serveCookiePage);
+
+  // Status page and Prometheus metrics covering every mode
+  app.get('/status', (req, res) => serveStatusPage({ metrics }, req, res));
+  app.get('/metrics', (req, res) => serveMetrics({ metrics }, req, res));
+
+  // Start page with one form per mode
+  app.get('/', (req, res) => {
+    const forms = Object.entries(MODES).map(([mode, { title }]) => `
+<tr>
+<td><b>${title}</b></td>
+<td><form method="get" action="${localUrl(req, `${prefixes[mode]}/`)}"><input type="text" name="url" size="40"> <input type="submit" value="Go"></form></td>
+</tr>`).join('');
+
+    sendHtml(res, `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="ISO-8859-1">
+<title>Vintage Web Proxy</title>
+</head>
+<body>
+<h1>Vintage Web Proxy</h1>
+<p>Enter a web address and pick how it should be shown.</p>
+<table border="0" cellpadding="4" cellspacing="0">${forms}
+</table>
+<p><a href="${localUrl(req, `${prefixes.readability}/`)}">Bookmarks and recently read pages</a></p>
+<p>Client profile: <a href="${localUrl(req, '/profile')}">${req.profile || 'none'}</a> | <a href="${localUrl(req, '/cookies')}">Stored cookies</a> | <a href="${localUrl(req, '/status')}">Proxy status</a></p>
+</body>
+</html>`);
+  });
+
+  // URLs typed straight into the path go to the default mode
+  app.use((req, res) => {
+    const targetUrl = getTargetUrl(req);
+    if (!targetUrl) {
+      return res.redirect(localUrl(req, '/'));
+    }
+
+    const prefix = prefixes[options.defaultMode];
+    res.redirect(localUrl(req, `${prefix}/?url=${encodeURIComponent(targetUrl)}`));
+  });
+
+  return app;
+}
@@ -0,0 +1,243 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+const mockFetch = jest.fn();
+const mockJSDOM = jest.fn();
+const mockReadability = jest.fn();
+const mockSharp = jest.fn();
+
+jest.unstable_mockModule('node-fetch', () => ({
+  default: mockFetch,
+}));
+
+jest.unstable_mockModule('jsdom', () => ({
+  JSDOM: mockJSDOM,
+}));
+
+jest.unstable_mockModule('@mozilla/readability', () => ({
+  Readability: mockReadability,
+  isProbablyReaderable: () => true,
+}));
+
+jest.unstable_mockModule('sharp', () => ({
+  default: mockSharp,
+}));
+
+jest.unstable_mockModule('fs', () => ({
+  mkdirSync: jest.fn(),
+  existsSync: jest.fn(() => false),
+  writeFileSync: jest.fn(),
+  readdirSync: jest.fn(() => []),
+  statSync: jest.fn(),
+  unlinkSync: jest.fn(),
+  renameSync: jest.fn(),
+  readFileSync: jest.fn(),
+}));
+
+const { createCombinedProxy } = await import('./http-combined-proxy.js');
+const { createCookieStore } = await import('./lib/cookie-jar.js');
+
+describe('HTTP Combined Proxy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockFetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      arrayBuffer: jest.fn().mockResolvedValue(Buffer.from('<html><head><title>Test Page</title></head><body><p>Test content</p></body></html>')),
+      headers: {
+        get: jest.fn().mockReturnValue('text/html'),
+      },
+    });
+
+    mockJSDOM.mockImplementation(() => ({
+      window: {
+        document: {
+          querySelectorAll: jest.fn(() => []),
+          querySelector: jest.fn(() => null),
+          title: 'Test Page',
+          body: {
+            innerHTML: '<p>Test content</p>',
+          },
+        },
+      },
+    }));
+
+    mockReadability.mockImplementation(() => ({
+      parse: jest.fn().mockReturnValue({
+        title: 'Test Article Title',
+        content: '<p>Readable content here</p>',
+      }),
+    }));
+  });
+
+  function createApp(options = {}) {
+    return createCombinedProxy({
+      readability: { cacheDir: '/tmp/combined-test/r' },
+      imageconvert: { cacheDir: '/tmp/combined-test/i' },
+      macgarden: { cacheDir: '/tmp/combined-test/g' },
+      ...options,
+    });
+  }
+
+  test('start page should offer a form for every mode', async () => {
+    const response = await request(createApp()).get('/').set('Host', 'proxy.local');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/html; charset=ISO-8859-1');
+    expect(response.text).toContain('action="http://proxy.local/r/"');
+    expect(response.text).toContain('action="http://proxy.local/i/"');
+    expect(response.text).toContain('action="http://proxy.local/g/"');
+  });
+
+  test('should serve readability mode under /r with links kept inside the prefix', async () => {
+    const response = await request(createApp()).get('/r/?url=http://example.com/').set('Host', 'proxy.local');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('<title>Test Article Title</title>');
+    expect(response.text).toContain('href="http://proxy.local/r/original?url=http%3A%2F%2Fexample.com%2F"');
+  });
+
+  test('should serve image-convert mode under /i', async () => {
+    const response = await request(createApp()).get('/i/?url=http://example.com/');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toMatch(/^<!DOCTYPE html>/);
+    expect(response.text).toContain('<title>Test Page</title>');
+  });
+
+  test('should keep the Macintosh Garden search inside the /g prefix', async () => {
+    const response = await request(createApp()).get('/g/search?keys=hypercard').set('Host', 'proxy.local');
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe(
+      'http://proxy.local/g/?url=' + encodeURIComponent('http://www.macintoshgarden.org/search/node?keys=hypercard')
+    );
+  });
+
+  test('should show Macintosh Garden pages that fail on an HTML 3.2 error page', async () => {
+    mockFetch.mockRejectedValueOnce(new Error('<boom>'));
+    const response = await request(createApp()).get('/g/?url=http://macintoshgarden.org/apps');
+
+    expect(response.status).toBe(500);
+    expect(response.text).toContain('<h1>Page Could Not Be Shown</h1>');
+    expect(response.text).toContain('&lt;boom&gt;');
+  });
+
+  test('should resolve Macintosh Garden pages against the address they were redirected to', async () => {
+    // Just enough of a DOM for the garden layout: one link and one image to resolve
+    const element = (attributes = {}) => ({
+      tagName: 'DIV',
+      className: '',
+      outerHTML: '',
+      getAttribute: (name) => attributes[name] ?? null,
+      setAttribute: jest.fn((name, value) => { attributes[name] = value; }),
+      appendChild: jest.fn(),
+      remove: jest.fn(),
+    });
+    const link = element({ href: 'hypercard' });
+    const img = element({ src: 'shots/stack.gif' });
+    mockJSDOM.mockImplementationOnce(() => ({
+      window: {
+        document: {
+          querySelectorAll: jest.fn((selector) => ({ a: [link], img: [img] })[selector] || []),
+          querySelector: jest.fn(() => null),
+          createElement: jest.fn(() => element()),
+          title: 'Apps',
+          body: { innerHTML: '' },
+        },
+      },
+    }));
+    mockFetch.mockResolvedValueOnce({
+      ok: false,
+      status: 301,
+      headers: { get: jest.fn((name) => ({ location: 'https://macintoshgarden.org/apps/' })[name] ?? null) },
+    });
+    const response = await request(createApp()).get('/g/?url=http://macintoshgarden.org/apps').set('Host', 'proxy.local');
+
+    expect(response.status).toBe(200);
+    expect(mockJSDOM).toHaveBeenCalledWith(expect.any(String), { url: 'https://macintoshgarden.org/apps/' });
+    expect(link.getAttribute('href')).toBe(`http://proxy.local/g/?url=${encodeURIComponent('http://macintoshgarden.org/apps/hypercard')}`);
+    expect(mockFetch.mock.calls.map(([url]) => url)).toContain('https://macintoshgarden.org/apps/shots/stack.gif');
+  });
+
+  test('should send URLs typed into the path to the default mode', async () => {
+    const response = await request(createApp()).get('/www.example.com/news').set('Host', 'proxy.local');
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('http://proxy.local/r/?url=' + encodeURIComponent('http://www.example.com/news'));
+  });
+
+  test('should allow the prefixes to be configured', async () => {
+    const app = createApp({ prefixes: { readability: '/read' } });
+    const response = await request(app).get('/read/?url=http://example.com/');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('<title>Test Article Title</title>');
+  });
+
+  test('should pick the client profile before choosing the mode', async () => {
+    const response = await request(createApp()).get('/p/palm/r/?url=http://example.com/').set('Host', 'proxy.local');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('href="http://proxy.local/r/p/palm/original?url=http%3A%2F%2Fexample.com%2F"');
+    expect(response.text).not.toContain('<style>');
+  });
+
+  test('should pass each mode its own section of the options', async () => {
+    const app = createApp({ userAgent: 'Shared/1.0', imageconvert: { cacheDir: '/tmp/combined-test/i', userAgent: 'Convert/1.0' } });
+    await request(app).get('/i/?url=http://example.com/');
+    await request(app).get('/r/?url=http://example.com/');
+
+    expect(mockFetch.mock.calls[0][1].headers['User-Agent']).toBe('Convert/1.0');
+    expect(mockFetch.mock.calls[1][1].headers['User-Agent']).toBe('Shared/1.0');
+  });
+
+  test('should ask for the password on every route of every mode', async () => {
+    const app = createApp({ users: { mac: 'classic' } });
+    const paths = ['/', '/r/?url=http://example.com/', '/i/image-proxy?url=http://example.com/a.gif', '/g/', '/cookies', '/r/cached_images/a.jpg'];
+
+    for (const path of paths) {
+      expect([path, (await request(app).get(path)).status]).toEqual([path, 401]);
+    }
+    expect(mockFetch).not.toHaveBeenCalled();
+
+    const authorized = await request(app).get('/r/?url=http://example.com/').auth('mac', 'classic');
+    expect(authorized.status).toBe(200);
+  });
+
+  test('should clear cookies from the shared cookie page only when its form is posted', async () => {
+    const cookieStore = createCookieStore();
+    const app = createApp({ cookieStore });
+    const session = (await request(app).get('/cookies')).headers['set-cookie'][0].split(';')[0];
+    cookieStore.jar(session.split('=')[1]).store('http://example.com/', { headers: { getSetCookie: () => ['a=1'] } });
+
+    await request(app).get('/cookies?clear=example.com').set('Cookie', session);
+    expect((await request(app).get('/cookies').set('Cookie', session)).text).toContain('<b>example.com</b>');
+
+    const cleared = await request(app).post('/cookies').type('form').send('clear=example.com').set('Cookie', session);
+    expect(cleared.status).toBe(302);
+    expect((await request(app).get('/cookies').set('Cookie', session)).text).toContain('No cookies stored.');
+  });
+
+  test('should count each request once against the rate limit across modes', async () => {
+    const app = createApp({ maxRequestsPerMinute: 2 });
+
+    expect((await request(app).get('/r/?url=http://example.com/')).status).toBe(200);
+    expect((await request(app).get('/i/?url=http://example.com/')).status).toBe(200);
+    expect((await request(app).get('/g/')).status).toBe(429);
+  });
+
+  test('should count every mode once in one set of metrics', async () => {
+    const app = createApp();
+    await request(app).get('/r/?url=http://example.com/');
+    await request(app).get('/i/?url=http://example.com/');
+
+    const metrics = (await request(app).get('/metrics')).text;
+    expect(metrics).toContain('proxy_requests_total{route="readable",status="200"} 1');
+    expect(metrics).toContain('proxy_requests_total{route="converted",status="200"} 1');
+    expect(metrics).toContain('proxy_image_cache_files{app="macgarden"}');
+    expect((await request(app).get('/r/status')).text).toContain('<tr><td>Requests</td><td>3</td></tr>');
+  });
+});
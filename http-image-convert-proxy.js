@@ -1,184 +1,305 @@
 import express from "express";
-import fetch from "node-fetch";
 import { JSDOM } from "jsdom";
-import iconv from "iconv-lite";
 import sharp from "sharp";
-import { createWriteStream, mkdirSync, existsSync } from "fs";
 import { join } from "path";
 import { URL } from "url";
-import crypto from "crypto";
+import {
+  DEFAULT_FETCH_LIMITS,
+  DEFAULT_USER_AGENT,
+  FETCH_LIMIT_KINDS,
+  createImageHash,
+  discardBody,
+  escapeHtml,
+  fetchErrorKind,
+  fetchImage,
+  fetchUpstream,
+  getTargetUrl,
+  handleForwardProxy,
+  localUrl,
+  readHtml,
+  requestContext,
+  resolveOptions,
+  rewriteLinks,
+  sendHtml,
+  stripStyles,
+  upstreamOptions
+} from "./lib/proxy-core.js";
+import { profileFilename, selectProfile, serveProfilePicker } from "./lib/client-profiles.js";
+import { encodeImage, imageFilename } from "./lib/image-encoding.js";
+import { createImageCache, DEFAULT_CACHE_LIMITS, serveCachePage } from "./lib/image-cache.js";
+import { cookieSession, createCookieStore, serveCookiePage } from "./lib/cookie-jar.js";
+import { createCoalescer, createConcurrencyLimits, DEFAULT_CONCURRENCY, runTransform, sessionJobKey } from "./lib/concurrency.js";
+import { accessControl, DEFAULT_ACCESS_CONTROL } from "./lib/access-control.js";
+import { createNetworkPolicy, DEFAULT_NETWORK_POLICY } from "./lib/network-policy.js";
+import { createHttpsHosts, DEFAULT_HTTPS_MEMORY } from "./lib/https-hosts.js";
+import { PLACEHOLDER_IMAGE, sendFetchErrorPage, servePlaceholderImage, showImagePlaceholder } from "./lib/error-pages.js";
+import { downgradeInputs, readFormBody, rewriteForms, serveFormSubmission, upstreamRequest } from "./lib/forms.js";
+import { log, requestLogging } from "./lib/logging.js";
+import { createMetrics, serveMetrics, serveStatusPage, watchApp } from "./lib/metrics.js";
 
-const app = express();
-const PORT = 8081;
+// Defaults for any option not passed to createImageConvertProxy
+export const DEFAULT_OPTIONS = {
+  port: 8081,
+  cacheDir: join(process.cwd(), 'converted_images'),
+  cacheMaxSize: DEFAULT_CACHE_LIMITS.maxSize, // bytes of images kept before the least recently used are evicted
+  cacheTtl: DEFAULT_CACHE_LIMITS.ttl, // seconds an image is kept after it was processed
+  publicHost: null, // host:port used in generated links, defaults to the request's Host header
+  userAgent: DEFAULT_USER_AGENT,
+  outputCharset: 'iso-8859-1', // or 'macroman'
+  numericEntities: 'auto', // send &#NNNN; for characters the charset lacks: true, false or by User-Agent
+  imageFormat: 'gif', // format PNGs are converted to: 'gif', 'jpeg' or 'png'
+  colourDepth: null, // 1, 4 or 8 to reduce images to the Mac black-and-white, 16 or 256 colour palette
+  dither: true, // error-diffuse when reducing colours, rather than taking the nearest colour
+  greyscale: false,
+  profiles: {}, // client profiles added to or overriding the built-in ones
+  defaultProfile: null, // profile for clients no cookie, prefix or User-Agent pattern picks
+  cookieStore: null, // cookie jars shared with other apps (from createCookieStore), a new store by default
+  forwardProxyCookies: true, // keep cookies for forward-proxy clients, one jar per client address
+  maxConcurrentFetches: DEFAULT_CONCURRENCY.fetches, // outbound fetches at once, 0 for no limit
+  maxConcurrentTransforms: DEFAULT_CONCURRENCY.transforms, // images converted with sharp at once, 0 for no limit
+  concurrencyLimits: null, // limiters shared with other apps (from createConcurrencyLimits), new ones by default
+  pageTimeout: DEFAULT_FETCH_LIMITS.pageTimeout, // milliseconds a page fetch may take, 0 for no limit
+  imageTimeout: DEFAULT_FETCH_LIMITS.imageTimeout, // milliseconds an image fetch may take, 0 for no limit
+  maxPageBytes: DEFAULT_FETCH_LIMITS.maxPageBytes, // largest page downloaded, 0 for no limit
+  maxImageBytes: DEFAULT_FETCH_LIMITS.maxImageBytes, // largest image downloaded, 0 for no limit
+  allowPrivateAddresses: DEFAULT_NETWORK_POLICY.allowPrivateAddresses, // fetch from loopback, LAN and link-local addresses too
+  allowedDomains: DEFAULT_NETWORK_POLICY.allowedDomains, // when not empty, only these sites and their subdomains are fetched
+  blockedDomains: DEFAULT_NETWORK_POLICY.blockedDomains, // sites never fetched, with their subdomains
+  httpsMemoryTtl: DEFAULT_HTTPS_MEMORY.ttl, // seconds a host found to need HTTPS is fetched over it, unless it sends HSTS
+  httpsHosts: null, // memory of HTTPS hosts shared with other apps (from createHttpsHosts), a new one by default
+  users: DEFAULT_ACCESS_CONTROL.users, // user name -> password; when not empty, HTTP Basic auth is required
+  authRealm: DEFAULT_ACCESS_CONTROL.authRealm, // name browsers show when asking for the password
+  allowedClients: DEFAULT_ACCESS_CONTROL.allowedClients, // client IPs and CIDR ranges let in, everyone when empty
+  maxRequestsPerMinute: DEFAULT_ACCESS_CONTROL.maxRequestsPerMinute, // per client, 0 for no limit
+  maxBytesPerMinute: DEFAULT_ACCESS_CONTROL.maxBytesPerMinute, // bytes sent to each client, 0 for no limit
+  metrics: null, // request metrics shared with other apps (from createMetrics), a new registry by default
+  imageLimits: {
+    maxWidth: null, // converted images keep their size unless a limit is set
+    maxHeight: null
+  }
+};
 
-// Create images cache directory
-const IMAGES_DIR = join(process.cwd(), 'converted_images');
-if (!existsSync(IMAGES_DIR)) {
-  mkdirSync(IMAGES_DIR, { recursive: true });
-}
+// Function to create the image conversion proxy app; the caller decides where to listen
+export function createImageConvertProxy(userOptions) {
+  const options = resolveOptions(DEFAULT_OPTIONS, userOptions);
+  const app = express();
+  app.locals.options = options;
+
+  // Create images cache directory
+  const context = {
+    options,
+    imageCache: createImageCache(options.cacheDir, '/converted_images', { maxSize: options.cacheMaxSize, ttl: options.cacheTtl }),
+    cookieStore: options.cookieStore || createCookieStore(),
+    limits: options.concurrencyLimits || createConcurrencyLimits({ fetches: options.maxConcurrentFetches, transforms: options.maxConcurrentTransforms }),
+    networkPolicy: createNetworkPolicy(options),
+    httpsHosts: options.httpsHosts || createHttpsHosts({ ttl: options.httpsMemoryTtl }),
+    metrics: options.metrics || createMetrics(),
+    imageJobs: createCoalescer()
+  };
+  watchApp(context.metrics, 'imageconvert', context);
+
+  // Log every request with its timings, and count it in the metrics
+  app.use(requestLogging(context.metrics));
+
+  // Accept absolute-URI requests from browsers configured to use us as their HTTP proxy
+  app.use(handleForwardProxy);
+
+  // Let in only allowed clients, with a password if users are configured, within their rate limits
+  app.use(accessControl(options));
+
+  // Pick the client profile that tunes images and charset for this browser
+  app.use(selectProfile(options));
+
+  // Keep each client's upstream cookies in its own jar on the proxy
+  app.use(cookieSession(context.cookieStore, options));
 
-// Serve converted images with proper MIME types
-app.use('/converted_images', express.static(IMAGES_DIR, {
-  setHeaders: (res, path) => {
-    if (path.endsWith('.jpg') || path.endsWith('.jpeg')) {
-      res.setHeader('Content-Type', 'image/jpeg');
-    } else if (path.endsWith('.gif')) {
-      res.setHeader('Content-Type', 'image/gif');
+  // Keep the body of form submissions so POSTs can be relayed upstream
+  app.use(readFormBody);
+
+  // Serve converted images with proper MIME types
+  app.use(context.imageCache.urlPath, context.imageCache.middleware({
+    setHeaders: (res, path) => {
+      if (path.endsWith('.jpg') || path.endsWith('.jpeg')) {
+        res.setHeader('Content-Type', 'image/jpeg');
+      } else if (path.endsWith('.gif')) {
+        res.setHeader('Content-Type', 'image/gif');
+      }
     }
-  }
-}));
+  }));
+
+  // Proxy route for original images (GIF, JPEG, etc) with proper MIME types
+  app.get('/image-proxy', (req, res) => serveImageProxy(requestContext(context, req), req, res));
+
+  // Stand-in for images that took too long, were too big or were refused
+  app.get(PLACEHOLDER_IMAGE.path, servePlaceholderImage);
+
+  // Page for choosing a client profile
+  app.get('/profile', serveProfilePicker);
+
+  // Page for viewing and clearing the cookies kept for this client
+  app.get('/cookies', serveCookiePage);
+  app.post('/cookies', serveCookiePage);
 
-// Proxy route for original images (GIF, JPEG, etc) with proper MIME types
-app.get('/image-proxy', async (req, res) => {
+  // Admin page with image cache statistics and purge actions
+  app.get('/cache', (req, res) => serveCachePage(context, req, res));
+  app.post('/cache', (req, res) => serveCachePage(context, req, res));
+
+  // Status page with request counts, timings and cache hits, and the same as Prometheus metrics
+  app.get('/status', (req, res) => serveStatusPage(context, req, res));
+  app.get('/metrics', (req, res) => serveMetrics(context, req, res));
+
+  // GET forms on proxied pages submit here
+  app.get('/form', serveFormSubmission);
+
+  app.use((req, res) => servePage(requestContext(context, req), req, res));
+
+  return app;
+}
+
+// Function to proxy an original image with its proper MIME type
+async function serveImageProxy(context, req, res) {
   const imageUrl = req.query.url;
   
   if (!imageUrl) {
     return res.status(400).send('No image URL provided');
   }
+  context.trace.route = 'image-proxy';
+  context.trace.url = imageUrl;
   
   try {
-    const response = await fetch(imageUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-      },
-      timeout: 10000
-    });
+    const response = await context.trace.time('fetch', () => fetchUpstream(imageUrl, upstreamOptions(context, 'image')));
     
     if (!response.ok) {
+      discardBody(response);
       return res.status(response.status).send('Failed to fetch image');
     }
     
     const contentType = response.headers.get('content-type') || 'image/jpeg';
-    const buffer = await response.arrayBuffer();
+    const buffer = await context.trace.time('fetch', () => response.arrayBuffer());
     const imageBuffer = Buffer.from(buffer);
+    context.trace.received(imageBuffer.length);
     
     // Set proper MIME type for old browsers
     res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Length', imageBuffer.length.toString());
     res.send(imageBuffer);
   } catch (error) {
-    console.error(`Error proxying image: ${imageUrl}`, error);
+    log('error', 'Error proxying image', { url: imageUrl, error: error.message });
+    const kind = fetchErrorKind(error);
+    if (kind === 'blocked') {
+      return sendFetchErrorPage(req, res, imageUrl, kind, error, 'image');
+    }
+    if (FETCH_LIMIT_KINDS.includes(kind)) {
+      return servePlaceholderImage(req, res);
+    }
     res.status(500).send('Error fetching image');
   }
-});
-
-// Function to create a proper hash from URL
-function createImageHash(imageUrl) {
-  return crypto.createHash('md5').update(imageUrl).digest('hex').substring(0, 16);
 }
 
-// Function to convert PNG images to JPG or GIF
-async function convertImage(imageUrl, targetUrl) {
+// Function to convert PNG images to GIF, or whichever format the client profile asks for.
+// Images that took too long, were too big or were refused come back as { unavailable: true }.
+async function convertImage(context, imageUrl) {
+  const { imageCache, options } = context;
+  const { maxWidth, maxHeight, quality } = options.imageLimits;
   try {
-    const hash = createImageHash(imageUrl);
-    
-    const response = await fetch(imageUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-      },
-      timeout: 10000
-    });
-    
-    if (!response.ok) {
-      console.log(`Failed to fetch image: ${imageUrl} (${response.status})`);
-      return null;
-    }
-    
-    const contentType = response.headers.get('content-type');
-    if (!contentType || !contentType.startsWith('image/')) {
-      console.log(`Not an image: ${imageUrl} (${contentType})`);
-      return null;
-    }
-    
-    // Only process PNG images - skip everything else
-    if (!contentType.includes('png')) {
-      console.log(`Skipping non-PNG image: ${imageUrl} (${contentType})`);
-      return { path: imageUrl, converted: false };
-    }
-    
-    const buffer = await response.arrayBuffer();
-    const imageBuffer = Buffer.from(buffer);
-    
-    const sharpInstance = sharp(imageBuffer);
-    const metadata = await sharpInstance.metadata();
-    
-    // Always convert to GIF
-    const filename = `${hash}.gif`;
-    const filepath = join(IMAGES_DIR, filename);
+    const filename = profileFilename(options, imageFilename(createImageHash(imageUrl), options.imageFormat));
     
     // Check if image is already cached
-    if (existsSync(filepath)) {
-      console.log(`Using cached converted image: ${filename}`);
+    const cached = imageCache.get(filename);
+    context.trace.cacheResult('image', cached ? 'hit' : 'miss');
+    if (cached) {
+      log('info', 'Using cached converted image', { file: filename });
       return {
-        path: `/converted_images/${filename}`,
+        path: imageCache.publicPath(filename),
         converted: true
       };
     }
     
-    // Convert to GIF
-    const processedBuffer = await sharpInstance
-      .gif()
-      .toBuffer();
-    
-    // Save converted image
-    const fs = await import('fs');
-    fs.writeFileSync(filepath, processedBuffer);
-    
-    console.log(`Converted PNG to GIF: ${imageUrl} -> ${filename}`);
-    return {
-      path: `/converted_images/${filename}`,
-      converted: true
-    };
+    // A client's pages asking for the same image at the same time share one fetch and one conversion
+    return await context.imageJobs.run(sessionJobKey(context, filename), async () => {
+      const image = await fetchImage(imageUrl, upstreamOptions(context, 'image'));
+      if (!image) {
+        return null;
+      }
+      context.trace.received(image.buffer.length);
+      
+      // Only process PNG images - skip everything else
+      if (!image.contentType.includes('png')) {
+        log('info', 'Skipping non-PNG image', { url: imageUrl, contentType: image.contentType });
+        return { path: imageUrl, converted: false };
+      }
+      
+      // Convert to the output format, shrinking it first if image limits are configured
+      const { processedBuffer, width, height } = await runTransform(context, async () => {
+        let sharpInstance = sharp(image.buffer);
+        if (maxWidth || maxHeight) {
+          sharpInstance = sharpInstance.resize({
+            width: maxWidth || undefined,
+            height: maxHeight || undefined,
+            fit: 'inside',
+            withoutEnlargement: true
+          });
+        }
+        const processedBuffer = await encodeImage(sharpInstance, { ...options, quality });
+        return { processedBuffer, ...await sharp(processedBuffer).metadata() };
+      });
+      
+      // Save converted image
+      imageCache.write(filename, processedBuffer, { url: imageUrl, contentType: image.contentType, width, height, profile: options.profile });
+      
+      log('info', 'Converted PNG', { url: imageUrl, file: filename });
+      return {
+        path: imageCache.publicPath(filename),
+        converted: true
+      };
+    });
   } catch (error) {
-    console.error(`Error converting image ${imageUrl}:`, error.message);
-    return null;
+    log('error', 'Error converting image', { url: imageUrl, error: error.message });
+    return FETCH_LIMIT_KINDS.includes(fetchErrorKind(error)) ? { unavailable: true } : null;
   }
 }
 
-app.use(async (req, res) => {
-  let targetUrl = req.query.url;
+// Function to serve the target page with its images converted
+async function servePage(context, req, res) {
+  const targetUrl = getTargetUrl(req);
 
-  // If no ?url= is provided, assume it's part of the path
+  // If neither ?url= nor a path is provided, return an error
   if (!targetUrl) {
-    targetUrl = req.url.startsWith("/") ? req.url.slice(1) : req.url;
-    if (!targetUrl.startsWith("http://") && !targetUrl.startsWith("https://")) {
-      targetUrl = "http://" + targetUrl;
-    }
+    return res.status(400).send("Error: No URL provided");
   }
 
-  // Fix common 'ttp' typo
-  if (targetUrl.startsWith("ttp://")) {
-    targetUrl = "http://" + targetUrl.slice(5);
-  }
+  context.trace.route = 'converted';
+  context.trace.url = targetUrl;
 
-  console.log(`Fetching: ${targetUrl}`);
+  log('info', 'Fetching page', { url: targetUrl });
 
   try {
-    // Fetch the requested page
-    const response = await fetch(targetUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-      }
-    });
+    // Fetch the requested page, relaying any form POST
+    const response = await context.trace.time('fetch', () => fetchUpstream(targetUrl, { ...upstreamOptions(context), ...upstreamRequest(req) }));
     const contentType = response.headers.get('content-type') || '';
     
     // If it's an image, serve it directly with proper MIME type
     if (contentType.startsWith('image/')) {
-      const buffer = await response.arrayBuffer();
+      const buffer = await context.trace.time('fetch', () => response.arrayBuffer());
       const imageBuffer = Buffer.from(buffer);
+      context.trace.received(imageBuffer.length);
       
       res.setHeader('Content-Type', contentType);
       res.setHeader('Content-Length', imageBuffer.length.toString());
       return res.send(imageBuffer);
     }
     
-    const html = await response.text();
+    const { html, charset, bytes } = await context.trace.time('fetch', () => readHtml(response));
+    context.trace.received(bytes);
+    // Relative links, images and forms belong to the address the page came from, after redirects
+    const pageUrl = response.finalUrl || targetUrl;
 
     // Parse the HTML
-    const dom = new JSDOM(html, { url: targetUrl });
+    const dom = context.trace.time('parse', () => new JSDOM(html, { url: pageUrl }));
     const document = dom.window.document;
     
     // Process all images
+    const imagesDone = context.trace.start('images');
     const imagePromises = [];
     
     const images = Array.from(document.querySelectorAll("img"));
@@ -187,42 +308,48 @@ app.use(async (req, res) => {
       const src = img.getAttribute("src");
       if (src) {
         try {
-          const absoluteImageUrl = new URL(src, targetUrl).href;
-          const promise = convertImage(absoluteImageUrl, targetUrl).then(convertedImage => {
-            if (convertedImage && convertedImage.converted) {
-              // Update src to point to converted image (PNG -> GIF)
-              img.setAttribute("src", `http://${req.headers.host}${convertedImage.path}`);
+          const absoluteImageUrl = new URL(src, pageUrl).href;
+          const promise = convertImage(context, absoluteImageUrl).then(convertedImage => {
+            if (convertedImage && convertedImage.unavailable) {
+              showImagePlaceholder(img, req);
+            } else if (convertedImage && convertedImage.converted) {
+              // Update src to point to converted image (PNG -> GIF by default)
+              img.setAttribute("src", localUrl(req, convertedImage.path));
             } else if (convertedImage && !convertedImage.converted) {
               // Proxy non-PNG images through our server with proper MIME types
-              img.setAttribute("src", `http://${req.headers.host}/image-proxy?url=${encodeURIComponent(absoluteImageUrl)}`);
+              img.setAttribute("src", localUrl(req, `/image-proxy?url=${encodeURIComponent(absoluteImageUrl)}`));
             }
             // If null, original src remains
             return convertedImage;
           }).catch((error) => {
-            console.error(`Failed to process image: ${src}`, error);
+            log('error', 'Failed to process image', { url: absoluteImageUrl, error: error.message });
             return null;
           });
           imagePromises.push(promise);
         } catch (error) {
-          console.error(`Invalid image URL: ${src}`, error);
+          log('info', 'Invalid image URL', { src });
         }
       }
     }
     
     // Wait for all image processing to complete
     await Promise.all(imagePromises);
+    imagesDone();
     
     // Strip all style tags and style attributes from body
-    document.querySelectorAll('style').forEach(el => el.remove());
-    document.querySelectorAll('link[rel="stylesheet"]').forEach(el => el.remove());
-    document.querySelectorAll('[style]').forEach(el => el.removeAttribute('style'));
+    stripStyles(document);
+    
+    // Rewrite links and forms to stay within the proxy
+    rewriteLinks(document, pageUrl, req);
+    rewriteForms(document, pageUrl, req, { charset });
+    downgradeInputs(document);
     
     // Build complete HTML response
     const htmlContent = `<!DOCTYPE html>
 <html>
 <head>
 <meta charset="ISO-8859-1">
-<title>${document.title || 'Page'}</title>
+<title>${escapeHtml(document.title || 'Page')}</title>
 </head>
 <body>
 ${document.body.innerHTML}
@@ -230,14 +357,8 @@ ${document.body.innerHTML}
 </html>`;
     
     // Convert to ISO-8859-1 and send
-    const isoHtml = iconv.encode(htmlContent, "ISO-8859-1");
-    res.setHeader("Content-Type", "text/html; charset=ISO-8859-1");
-    res.send(isoHtml);
+    sendHtml(res, htmlContent);
   } catch (error) {
-    res.status(500).send(`Error fetching page: ${error.message}`);
+    sendFetchErrorPage(req, res, targetUrl, fetchErrorKind(error) || 'failed', error);
   }
-});
-
-app.listen(PORT, () => {
-  console.log(`Image conversion proxy running on http://localhost:${PORT}`);
-});
+}
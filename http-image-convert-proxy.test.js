@@ -2,6 +2,34 @@ import request from 'supertest';
 import express from 'express';
 import { jest } from '@jest/globals';
 
+// Mock dependencies
+const mockFetch = jest.fn();
+const mockJSDOM = jest.fn();
+const mockSharp = jest.fn();
+
+jest.unstable_mockModule('node-fetch', () => ({
+  default: mockFetch,
+}));
+
+jest.unstable_mockModule('jsdom', () => ({
+  JSDOM: mockJSDOM,
+}));
+
+jest.unstable_mockModule('sharp', () => ({
+  default: mockSharp,
+}));
+
+jest.unstable_mockModule('fs', () => ({
+  mkdirSync: jest.fn(),
+  existsSync: jest.fn(() => false),
+  writeFileSync: jest.fn(),
+  readdirSync: jest.fn(() => []),
+  statSync: jest.fn(),
+  unlinkSync: jest.fn(),
+  renameSync: jest.fn(),
+  readFileSync: jest.fn(),
+}));
+
 describe('HTTP Image Convert Proxy - HTML Generation', () => {
   describe('HTML Structure Tests', () => {
     test('should generate HTML with correct DOCTYPE html', () => {
@@ -423,3 +451,191 @@ describe('HTML Document Structure Validation for Image Convert Proxy', () => {
     expect(bodyMatch).toBeTruthy();
   });
 });
+
+describe('HTTP Image Convert Proxy - Real App', () => {
+  let createImageConvertProxy;
+
+  beforeAll(async () => {
+    ({ createImageConvertProxy } = await import('./http-image-convert-proxy.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockFetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      arrayBuffer: jest.fn().mockResolvedValue(Buffer.from('<html><head><title>Test Page</title></head><body><p>Test content</p></body></html>')),
+      headers: {
+        get: jest.fn().mockReturnValue('text/html'),
+      },
+    });
+
+    mockJSDOM.mockImplementation(() => ({
+      window: {
+        document: {
+          querySelectorAll: jest.fn(() => []),
+          title: 'Test Page',
+          body: {
+            innerHTML: '<p>Test content</p>',
+          },
+        },
+      },
+    }));
+  });
+
+  function mockImageResponse(contentType, body) {
+    mockFetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      arrayBuffer: jest.fn().mockResolvedValue(Buffer.from(body)),
+      headers: {
+        get: jest.fn().mockReturnValue(contentType),
+      },
+    });
+  }
+
+  test('should serve the converted page from the real app', async () => {
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache' });
+    const response = await request(app).get('/?url=http://example.com/');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/html; charset=ISO-8859-1');
+    expect(response.text).toMatch(/^<!DOCTYPE html>/);
+    expect(response.text).toContain('<meta charset="ISO-8859-1">');
+    expect(response.text).toContain('<title>Test Page</title>');
+    expect(response.text).toContain('<p>Test content</p>');
+  });
+
+  test('should resolve the page against the address it was redirected to and escape its title', async () => {
+    mockFetch.mockResolvedValueOnce({
+      ok: false,
+      status: 301,
+      headers: { get: jest.fn((name) => ({ location: 'http://example.com/docs/' })[name] ?? null) },
+    });
+    mockJSDOM.mockImplementationOnce(() => ({
+      window: {
+        document: {
+          querySelectorAll: jest.fn(() => []),
+          title: '</title><script>alert(1)</script>',
+          body: { innerHTML: '<p>Docs</p>' },
+        },
+      },
+    }));
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache' });
+    const response = await request(app).get('/?url=http://example.com/docs');
+
+    expect(response.status).toBe(200);
+    expect(mockJSDOM).toHaveBeenCalledWith(expect.any(String), { url: 'http://example.com/docs/' });
+    expect(response.text).toContain('<title>&lt;/title&gt;&lt;script&gt;alert(1)&lt;/script&gt;</title>');
+  });
+
+  test('should show failed pages on an HTML 3.2 error page with where they led', async () => {
+    mockFetch.mockRejectedValueOnce(new Error('<boom>'));
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache' });
+    const failed = await request(app).get('/?url=http://example.com/');
+
+    expect(failed.status).toBe(500);
+    expect(failed.text).toContain('<h1>Page Could Not Be Shown</h1>');
+    expect(failed.text).toContain('Something went wrong loading http://example.com/: &lt;boom&gt;.');
+
+    mockFetch
+      .mockResolvedValueOnce({ ok: false, status: 301, headers: { get: jest.fn((name) => ({ location: 'http://example.com/big/' })[name] ?? null) } })
+      .mockResolvedValueOnce({ ok: true, status: 200, headers: { get: jest.fn((name) => ({ 'content-length': '999999999' })[name] ?? null) } });
+    const huge = await request(app).get('/?url=http://example.com/big');
+
+    expect(huge.status).toBe(502);
+    expect(huge.text).toContain('The address led to <b>http://example.com/big/</b>.');
+  });
+
+  test('should pass image targets straight through with their MIME type', async () => {
+    mockImageResponse('image/gif', 'GIF89a');
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache' });
+    const response = await request(app).get('/example.com/picture.gif');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/gif');
+    expect(mockFetch).toHaveBeenCalledWith('http://example.com/picture.gif', expect.any(Object));
+  });
+
+  test('should relay form POSTs upstream', async () => {
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache' });
+    const response = await request(app)
+      .post('/?url=' + encodeURIComponent('https://example.com/login'))
+      .set('Content-Type', 'application/x-www-form-urlencoded')
+      .send('user=mac&pass=plus');
+
+    expect(response.status).toBe(200);
+    expect(mockFetch).toHaveBeenCalledWith('https://example.com/login', expect.objectContaining({
+      method: 'POST',
+      body: 'user=mac&pass=plus',
+      headers: expect.objectContaining({ 'Content-Type': 'application/x-www-form-urlencoded' }),
+    }));
+  });
+
+  test('/image-proxy should require a URL', async () => {
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache' });
+    const response = await request(app).get('/image-proxy');
+
+    expect(response.status).toBe(400);
+  });
+
+  test('/image-proxy should relay the image with its MIME type', async () => {
+    mockImageResponse('image/jpeg', 'JFIF');
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache', userAgent: 'TestAgent/1.0' });
+    const response = await request(app).get('/image-proxy?url=http://example.com/a.jpg');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/jpeg');
+    expect(mockFetch.mock.calls[0][1].headers['User-Agent']).toBe('TestAgent/1.0');
+  });
+
+  test('/image-proxy should be logged with the bytes it downloaded', async () => {
+    mockImageResponse('image/jpeg', 'JFIF');
+    const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache' });
+    await request(app).get('/image-proxy?url=http://example.com/a.jpg');
+    const records = consoleLog.mock.calls.map(([line]) => JSON.parse(line)).filter(record => record.message === 'request');
+    consoleLog.mockRestore();
+
+    expect(records).toEqual([expect.objectContaining({ route: 'image-proxy', url: 'http://example.com/a.jpg', bytesIn: 4, bytesOut: 4 })]);
+    expect(Object.keys(records[0].stages)).toEqual(['fetch']);
+  });
+
+  test('/image-proxy should send the placeholder for an image that took too long', async () => {
+    mockFetch.mockRejectedValueOnce(Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' }));
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache' });
+    const response = await request(app).get('/image-proxy?url=http://example.com/slow.jpg');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/gif');
+    expect(response.headers['cache-control']).toBe('no-store');
+  });
+
+  test('/image-proxy should be behind the password like every other route', async () => {
+    mockImageResponse('image/jpeg', 'JFIF');
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache', users: { mac: 'classic' } });
+
+    expect((await request(app).get('/image-proxy?url=http://example.com/a.jpg')).status).toBe(401);
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect((await request(app).get('/image-proxy?url=http://example.com/a.jpg').auth('mac', 'classic')).status).toBe(200);
+  });
+
+  test('/image-proxy should refuse private addresses', async () => {
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache' });
+    const response = await request(app).get('/image-proxy?url=http://10.0.0.1/a.jpg');
+
+    expect(response.status).toBe(403);
+    expect(response.text).toContain('Address Not Allowed');
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  test('should answer a page that took too long with an error page', async () => {
+    mockFetch.mockRejectedValueOnce(Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' }));
+    const app = createImageConvertProxy({ cacheDir: '/tmp/convert-test-cache' });
+    const response = await request(app).get('/?url=http://example.com/slow');
+
+    expect(response.status).toBe(504);
+    expect(response.text).toContain('Try again');
+  });
+});
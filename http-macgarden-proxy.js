@@ -1,111 +1,252 @@
 import express from "express";
-import fetch from "node-fetch";
 import { JSDOM } from "jsdom";
-import iconv from "iconv-lite";
 import sharp from "sharp";
-import { mkdirSync, existsSync, writeFileSync, readFileSync } from "fs";
+import { existsSync, readFileSync } from "fs";
 import { join } from "path";
-import { URL } from "url";
-import crypto from "crypto";
+import { URL, fileURLToPath } from "url";
+import {
+  DEFAULT_FETCH_LIMITS,
+  DEFAULT_USER_AGENT,
+  FETCH_LIMIT_KINDS,
+  createImageHash,
+  discardBody,
+  escapeHtml,
+  fetchErrorKind,
+  fetchImage,
+  fetchUpstream,
+  localUrl,
+  normalizeTargetUrl,
+  proxyUrl,
+  readHtml,
+  requestContext,
+  resolveOptions,
+  rewriteLinks,
+  sendHtml,
+  stripStyles,
+  upstreamOptions
+} from "./lib/proxy-core.js";
+import { CSS_LEVELS, profileFilename, selectProfile, serveProfilePicker } from "./lib/client-profiles.js";
+import { encodeImage, imageFilename } from "./lib/image-encoding.js";
+import { createImageCache, DEFAULT_CACHE_LIMITS, serveCachePage } from "./lib/image-cache.js";
+import { cookieSession, createCookieStore, serveCookiePage } from "./lib/cookie-jar.js";
+import { createCoalescer, createConcurrencyLimits, DEFAULT_CONCURRENCY, runTransform, sessionJobKey } from "./lib/concurrency.js";
+import { accessControl, DEFAULT_ACCESS_CONTROL } from "./lib/access-control.js";
+import { createNetworkPolicy, DEFAULT_NETWORK_POLICY } from "./lib/network-policy.js";
+import { createHttpsHosts, DEFAULT_HTTPS_MEMORY } from "./lib/https-hosts.js";
+import { PLACEHOLDER_IMAGE, sendFetchErrorPage, servePlaceholderImage, showImagePlaceholder } from "./lib/error-pages.js";
+import { downgradeInputs, readFormBody, rewriteForms, serveFormSubmission, upstreamRequest } from "./lib/forms.js";
+import { log, requestLogging } from "./lib/logging.js";
+import { createMetrics, serveMetrics, serveStatusPage, watchApp } from "./lib/metrics.js";
 
-const app = express();
-const PORT = 8082;
+// Defaults for any option not passed to createMacgardenProxy
+export const DEFAULT_OPTIONS = {
+  port: 8082,
+  cacheDir: join(process.cwd(), 'macgarden_images'),
+  cacheMaxSize: DEFAULT_CACHE_LIMITS.maxSize, // bytes of images kept before the least recently used are evicted
+  cacheTtl: DEFAULT_CACHE_LIMITS.ttl, // seconds an image is kept after it was processed
+  publicHost: null, // host:port used in generated links, defaults to the request's Host header
+  userAgent: DEFAULT_USER_AGENT,
+  outputCharset: 'iso-8859-1', // or 'macroman'
+  numericEntities: 'auto', // send &#NNNN; for characters the charset lacks: true, false or by User-Agent
+  imageFormat: 'gif', // 'gif', 'jpeg' or 'png'
+  colourDepth: null, // 1, 4 or 8 to reduce images to the Mac black-and-white, 16 or 256 colour palette
+  dither: true, // error-diffuse when reducing colours, rather than taking the nearest colour
+  greyscale: false,
+  cssLevel: CSS_LEVELS.basic, // 0 no CSS, 1 proxy stylesheet
+  profiles: {}, // client profiles added to or overriding the built-in ones
+  defaultProfile: null, // profile for clients no cookie, prefix or User-Agent pattern picks
+  cookieStore: null, // cookie jars shared with other apps (from createCookieStore), a new store by default
+  forwardProxyCookies: true, // keep cookies for forward-proxy clients, one jar per client address
+  maxConcurrentFetches: DEFAULT_CONCURRENCY.fetches, // outbound fetches at once, 0 for no limit
+  maxConcurrentTransforms: DEFAULT_CONCURRENCY.transforms, // images converted with sharp at once, 0 for no limit
+  concurrencyLimits: null, // limiters shared with other apps (from createConcurrencyLimits), new ones by default
+  pageTimeout: DEFAULT_FETCH_LIMITS.pageTimeout, // milliseconds a page fetch may take, 0 for no limit
+  imageTimeout: DEFAULT_FETCH_LIMITS.imageTimeout, // milliseconds an image fetch may take, 0 for no limit
+  maxPageBytes: DEFAULT_FETCH_LIMITS.maxPageBytes, // largest page downloaded, 0 for no limit
+  maxImageBytes: DEFAULT_FETCH_LIMITS.maxImageBytes, // largest image downloaded, 0 for no limit
+  allowPrivateAddresses: DEFAULT_NETWORK_POLICY.allowPrivateAddresses, // fetch from loopback, LAN and link-local addresses too
+  allowedDomains: DEFAULT_NETWORK_POLICY.allowedDomains, // when not empty, only these sites and their subdomains are fetched
+  blockedDomains: DEFAULT_NETWORK_POLICY.blockedDomains, // sites never fetched, with their subdomains
+  httpsMemoryTtl: DEFAULT_HTTPS_MEMORY.ttl, // seconds a host found to need HTTPS is fetched over it, unless it sends HSTS
+  httpsHosts: null, // memory of HTTPS hosts shared with other apps (from createHttpsHosts), a new one by default
+  users: DEFAULT_ACCESS_CONTROL.users, // user name -> password; when not empty, HTTP Basic auth is required
+  authRealm: DEFAULT_ACCESS_CONTROL.authRealm, // name browsers show when asking for the password
+  allowedClients: DEFAULT_ACCESS_CONTROL.allowedClients, // client IPs and CIDR ranges let in, everyone when empty
+  maxRequestsPerMinute: DEFAULT_ACCESS_CONTROL.maxRequestsPerMinute, // per client, 0 for no limit
+  maxBytesPerMinute: DEFAULT_ACCESS_CONTROL.maxBytesPerMinute, // bytes sent to each client, 0 for no limit
+  metrics: null, // request metrics shared with other apps (from createMetrics), a new registry by default
+  imageLimits: {
+    maxWidth: 400,
+    maxHeight: 300,
+    logoSize: 48
+  }
+};
+
+// The garden logo ships with the project, so resolve it next to this file
+const STATIC_DIR = fileURLToPath(new URL('./static', import.meta.url));
+const LOGO_PATH = join(STATIC_DIR, 'garden.png');
+
+// Function to create the Macintosh Garden proxy app; the caller decides where to listen
+export function createMacgardenProxy(userOptions) {
+  const options = resolveOptions(DEFAULT_OPTIONS, userOptions);
+  const app = express();
+  app.locals.options = options;
+
+  // Create images cache directory
+  const context = {
+    options,
+    imageCache: createImageCache(options.cacheDir, '/macgarden_images', { maxSize: options.cacheMaxSize, ttl: options.cacheTtl }),
+    cookieStore: options.cookieStore || createCookieStore(),
+    limits: options.concurrencyLimits || createConcurrencyLimits({ fetches: options.maxConcurrentFetches, transforms: options.maxConcurrentTransforms }),
+    networkPolicy: createNetworkPolicy(options),
+    httpsHosts: options.httpsHosts || createHttpsHosts({ ttl: options.httpsMemoryTtl }),
+    metrics: options.metrics || createMetrics(),
+    imageJobs: createCoalescer()
+  };
+  watchApp(context.metrics, 'macgarden', context);
+
+  // Convert logo PNG to GIF on startup
+  convertLogo(context);
+
+  // Log every request with its timings, and count it in the metrics
+  app.use(requestLogging(context.metrics));
+
+  // Let in only allowed clients, with a password if users are configured, within their rate limits
+  app.use(accessControl(options));
+
+  // Pick the client profile that tunes images, charset and CSS for this browser
+  app.use(selectProfile(options));
+
+  // Keep each client's upstream cookies in its own jar on the proxy
+  app.use(cookieSession(context.cookieStore, options));
+
+  // Keep the body of form submissions so POSTs can be relayed upstream
+  app.use(readFormBody);
+
+  // Serve cached images
+  app.use(context.imageCache.urlPath, context.imageCache.middleware());
+
+  // Stand-in for images that took too long, were too big or were refused
+  app.get(PLACEHOLDER_IMAGE.path, servePlaceholderImage);
 
-// Create images cache directory
-const IMAGES_DIR = join(process.cwd(), 'macgarden_images');
-const STATIC_DIR = join(process.cwd(), 'static');
-if (!existsSync(IMAGES_DIR)) {
-  mkdirSync(IMAGES_DIR, { recursive: true });
+  // GET forms on proxied pages submit here
+  app.get('/form', serveFormSubmission);
+
+  // Page for choosing a client profile
+  app.get('/profile', serveProfilePicker);
+
+  // Page for viewing and clearing the cookies kept for this client
+  app.get('/cookies', serveCookiePage);
+  app.post('/cookies', serveCookiePage);
+
+  // Admin page with image cache statistics and purge actions
+  app.get('/cache', (req, res) => serveCachePage(context, req, res));
+  app.post('/cache', (req, res) => serveCachePage(context, req, res));
+
+  // Status page with request counts, timings and cache hits, and the same as Prometheus metrics
+  app.get('/status', (req, res) => serveStatusPage(context, req, res));
+  app.get('/metrics', (req, res) => serveMetrics(context, req, res));
+
+  // Handle search route - redirect to proxy with search URL
+  app.get('/search', (req, res) => {
+    const keys = req.query.keys || '';
+    const searchUrl = `http://www.macintoshgarden.org/search/node?keys=${encodeURIComponent(keys)}`;
+    res.redirect(proxyUrl(req, searchUrl));
+  });
+
+  app.use((req, res) => serveGarden(requestContext(context, req), req, res));
+
+  return app;
 }
 
-// Convert logo PNG to GIF on startup
-const LOGO_PATH = join(STATIC_DIR, 'garden.png');
-const LOGO_GIF_PATH = join(IMAGES_DIR, 'logo.gif');
+// Function to name the garden logo in the image cache for the client's profile
+function logoFilename(options) {
+  return profileFilename(options, imageFilename('logo', options.imageFormat));
+}
 
-async function convertLogoToGif() {
+// Function to convert the garden logo PNG to a GIF (or the profile's format) in the image cache
+async function convertLogo(context) {
+  const { options } = context;
+  const { logoSize } = options.imageLimits;
   if (existsSync(LOGO_PATH)) {
     try {
       const logoBuffer = readFileSync(LOGO_PATH);
-      const gifBuffer = await sharp(logoBuffer)
-        .resize({ width: 48, height: 48, fit: 'inside' })
-        .gif()
-        .toBuffer();
-      writeFileSync(LOGO_GIF_PATH, gifBuffer);
-      console.log('Converted logo to GIF');
+      const { logoImage, width, height } = await runTransform(context, async () => {
+        const resizedLogo = sharp(logoBuffer)
+          .resize({ width: logoSize, height: logoSize, fit: 'inside' });
+        const logoImage = await encodeImage(resizedLogo, options);
+        return { logoImage, ...await sharp(logoImage).metadata() };
+      });
+      context.imageCache.write(logoFilename(options), logoImage, { contentType: 'image/png', width, height, profile: options.profile });
+      log('info', 'Converted logo', { file: logoFilename(options) });
     } catch (error) {
-      console.error('Failed to convert logo:', error.message);
+      log('error', 'Failed to convert logo', { error: error.message });
     }
   }
 }
-convertLogoToGif();
-
-// Serve cached images
-app.use('/macgarden_images', express.static(IMAGES_DIR));
-
-// Function to create a hash from URL
-function createImageHash(imageUrl) {
-  return crypto.createHash('md5').update(imageUrl).digest('hex').substring(0, 16);
-}
 
-// Function to convert and cache images for vintage Macs (PNG to GIF, others to GIF too)
-async function processImage(imageUrl) {
+// Function to convert and cache images for vintage Macs (GIF unless the client profile asks otherwise).
+// Images that took too long, were too big or were refused come back as { unavailable: true }.
+async function processImage(context, imageUrl) {
+  const { imageCache, options } = context;
+  const { maxWidth, maxHeight, quality } = options.imageLimits;
   try {
     const hash = createImageHash(imageUrl);
-    const filename = `${hash}.gif`;
-    const filepath = join(IMAGES_DIR, filename);
+    const filename = profileFilename(options, imageFilename(hash, options.imageFormat));
     
-    // Check if already cached
-    if (existsSync(filepath)) {
-      const cachedMetadata = await sharp(filepath).metadata();
+    // Check if already cached; its metadata record has the dimensions
+    const cachedMetadata = imageCache.get(filename);
+    context.trace.cacheResult('image', cachedMetadata ? 'hit' : 'miss');
+    if (cachedMetadata) {
       return {
-        path: `/macgarden_images/${filename}`,
+        path: imageCache.publicPath(filename),
         width: cachedMetadata.width,
         height: cachedMetadata.height
       };
     }
     
-    const response = await fetch(imageUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-      },
-      timeout: 10000
+    // A client's pages asking for the same image at the same time share one fetch and one conversion
+    return await context.imageJobs.run(sessionJobKey(context, filename), async () => {
+      const image = await fetchImage(imageUrl, upstreamOptions(context, 'image'));
+      if (!image) return null;
+      context.trace.received(image.buffer.length);
+      
+      // Convert to GIF for classic Mac compatibility
+      const { processedBuffer, processedMetadata } = await runTransform(context, async () => {
+        const resizedImage = sharp(image.buffer)
+          .resize({ 
+            width: maxWidth, 
+            height: maxHeight, 
+            fit: 'inside', 
+            withoutEnlargement: true 
+          });
+        const processedBuffer = await encodeImage(resizedImage, { ...options, quality });
+        return { processedBuffer, processedMetadata: await sharp(processedBuffer).metadata() };
+      });
+      
+      imageCache.write(filename, processedBuffer, {
+        url: imageUrl,
+        contentType: image.contentType,
+        width: processedMetadata.width,
+        height: processedMetadata.height,
+        profile: options.profile
+      });
+      
+      return {
+        path: imageCache.publicPath(filename),
+        width: processedMetadata.width,
+        height: processedMetadata.height
+      };
     });
-    
-    if (!response.ok) return null;
-    
-    const contentType = response.headers.get('content-type');
-    if (!contentType || !contentType.startsWith('image/')) return null;
-    
-    const buffer = await response.arrayBuffer();
-    const imageBuffer = Buffer.from(buffer);
-    
-    // Convert to GIF for classic Mac compatibility
-    const processedBuffer = await sharp(imageBuffer)
-      .resize({ 
-        width: 400, 
-        height: 300, 
-        fit: 'inside', 
-        withoutEnlargement: true 
-      })
-      .gif()
-      .toBuffer();
-    
-    const processedMetadata = await sharp(processedBuffer).metadata();
-    writeFileSync(filepath, processedBuffer);
-    
-    return {
-      path: `/macgarden_images/${filename}`,
-      width: processedMetadata.width,
-      height: processedMetadata.height
-    };
   } catch (error) {
-    console.error(`Error processing image ${imageUrl}:`, error.message);
-    return null;
+    log('error', 'Error processing image', { url: imageUrl, error: error.message });
+    return FETCH_LIMIT_KINDS.includes(fetchErrorKind(error)) ? { unavailable: true } : null;
   }
 }
 
 // Transform macintoshgarden.org header to table layout
-function transformHeader(document, host) {
+function transformHeader(context, document, req) {
+  const { logoSize } = context.options.imageLimits;
   // Remove original header/nav elements
   const header = document.querySelector('#header, header, .header');
   const nav = document.querySelector('#navigation, nav, .nav, .menu');
@@ -190,7 +331,7 @@ function transformHeader(document, host) {
   logoCell.setAttribute('valign', 'middle');
   logoCell.setAttribute('bgcolor', '#FBF4E1');
   logoCell.setAttribute('style', 'padding: 6px;');
-  logoCell.innerHTML = `<a href="/"><img src="http://${host}/macgarden_images/logo.gif" width="48" height="48" alt="Logo" border="0"></a>`;
+  logoCell.innerHTML = `<a href="${localUrl(req, '/')}"><img src="${localUrl(req, context.imageCache.publicPath(logoFilename(context.options)))}" width="${logoSize}" height="${logoSize}" alt="Logo" border="0"></a>`;
   titleRow.appendChild(logoCell);
   
   // Title cell
@@ -208,7 +349,7 @@ function transformHeader(document, host) {
   searchCell.setAttribute('valign', 'middle');
   searchCell.setAttribute('style', 'padding: 8px;');
   
-  const searchActionUrl = `http://${host}/search`;
+  const searchActionUrl = localUrl(req, '/search');
   searchCell.innerHTML = `<form method="get" action="${searchActionUrl}"><input type="text" maxlength="128" name="keys" size="15"><input type="submit" value="Search"></form>`;
   
   titleRow.appendChild(searchCell);
@@ -238,7 +379,7 @@ function transformHeader(document, host) {
       let proxyHref = link.href;
       try {
         const absUrl = new URL(link.href, 'https://macintoshgarden.org').href;
-        proxyHref = `http://${host}/?url=${encodeURIComponent(absUrl)}`;
+        proxyHref = proxyUrl(req, absUrl);
       } catch (e) {}
       return `<a href="${proxyHref}"><font color="#FFFFFF" size="3"><b>${link.text}</b></font></a>`;
     }).join(' <font color="#A8D4A8">|</font> ');
@@ -269,34 +410,18 @@ function transformHeader(document, host) {
   return wrapper;
 }
 
-// Handle search route - redirect to proxy with search URL
-app.get('/search', (req, res) => {
-  const keys = req.query.keys || '';
-  const searchUrl = `http://www.macintoshgarden.org/search/node?keys=${encodeURIComponent(keys)}`;
-  res.redirect(`/?url=${encodeURIComponent(searchUrl)}`);
-});
-
-app.use(async (req, res) => {
-  let targetUrl = req.query.url;
-
+// Function to serve a Macintosh Garden page in the table-based layout
+async function serveGarden(context, req, res) {
   // Default to macintoshgarden.org if no URL provided
-  if (!targetUrl) {
-    targetUrl = "https://macintoshgarden.org/";
-  }
+  const targetUrl = normalizeTargetUrl(req.query.url || "https://macintoshgarden.org/");
 
-  // Fix common 'ttp' typo
-  if (targetUrl.startsWith("ttp://") || targetUrl.startsWith("ttps://")) {
-    targetUrl = "h" + targetUrl;
-  }
+  context.trace.route = 'garden';
+  context.trace.url = targetUrl;
 
-  console.log(`Fetching: ${targetUrl}`);
+  log('info', 'Fetching page', { url: targetUrl });
 
   try {
-    const response = await fetch(targetUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-      }
-    });
+    const response = await context.trace.time('fetch', () => fetchUpstream(targetUrl, { ...upstreamOptions(context), ...upstreamRequest(req) }));
     
     const contentType = response.headers.get('content-type') || '';
     
@@ -305,27 +430,39 @@ app.use(async (req, res) => {
                    contentType.includes('json') || 
                    contentType.includes('xml');
     if (!isText) {
+      discardBody(response);
       return res.redirect(targetUrl);
     }
     
-    const html = await response.text();
+    const { html, charset, bytes } = await context.trace.time('fetch', () => readHtml(response));
+    context.trace.received(bytes);
+    // Relative links, images and forms belong to the address the page came from, after redirects
+    const pageUrl = response.finalUrl || targetUrl;
 
     // Parse the HTML
-    const dom = new JSDOM(html, { url: targetUrl });
+    const dom = context.trace.time('parse', () => new JSDOM(html, { url: pageUrl }));
     const document = dom.window.document;
     
     // Remove all existing styles
-    document.querySelectorAll('style').forEach(el => el.remove());
-    document.querySelectorAll('link[rel="stylesheet"]').forEach(el => el.remove());
-    document.querySelectorAll('[style]').forEach(el => el.removeAttribute('style'));
+    stripStyles(document);
     
     // Remove scripts
     document.querySelectorAll('script').forEach(el => el.remove());
+
+    // Send the site's forms through the proxy, before the header adds our own search form
+    rewriteForms(document, pageUrl, req, { charset });
+    downgradeInputs(document);
     
+    // Profiles with their own logo size or format get their logo converted on first use
+    if (!context.imageCache.has(logoFilename(context.options))) {
+      await convertLogo(context);
+    }
+
     // Transform header to table layout
-    const tableHeader = transformHeader(document, req.headers.host);
+    const tableHeader = transformHeader(context, document, req);
     
     // Process all images
+    const imagesDone = context.trace.start('images');
     const imagePromises = [];
     const images = document.querySelectorAll('img');
     
@@ -333,10 +470,12 @@ app.use(async (req, res) => {
       const src = img.getAttribute('src');
       if (src) {
         try {
-          const absoluteImageUrl = new URL(src, targetUrl).href;
-          const promise = processImage(absoluteImageUrl).then(processedImage => {
-            if (processedImage) {
-              img.setAttribute('src', `http://${req.headers.host}${processedImage.path}`);
+          const absoluteImageUrl = new URL(src, pageUrl).href;
+          const promise = processImage(context, absoluteImageUrl).then(processedImage => {
+            if (processedImage && processedImage.unavailable) {
+              showImagePlaceholder(img, req);
+            } else if (processedImage) {
+              img.setAttribute('src', localUrl(req, processedImage.path));
               img.setAttribute('width', String(processedImage.width));
               img.setAttribute('height', String(processedImage.height));
               img.setAttribute('border', '1');
@@ -350,21 +489,10 @@ app.use(async (req, res) => {
     }
     
     await Promise.all(imagePromises);
+    imagesDone();
     
     // Rewrite all links to go through proxy
-    document.querySelectorAll('a').forEach(link => {
-      const href = link.getAttribute('href');
-      if (href && !href.startsWith('#') && !href.startsWith('javascript:') && !href.startsWith('mailto:')) {
-        try {
-          let absoluteUrl = new URL(href, targetUrl).href;
-          // Force HTTP for vintage Mac compatibility
-          absoluteUrl = absoluteUrl.replace(/^https:\/\//, 'http://');
-          link.setAttribute('href', `http://${req.headers.host}/?url=${encodeURIComponent(absoluteUrl)}`);
-        } catch (error) {
-          // Keep original href if URL parsing fails
-        }
-      }
-    });
+    rewriteLinks(document, pageUrl, req);
     
     // Build the final HTML with table-based layout
     const bodyContent = document.body ? document.body.innerHTML : '';
@@ -373,8 +501,8 @@ app.use(async (req, res) => {
 <html>
 <head>
 <meta charset="ISO-8859-1">
-<title>${document.title || 'Macintosh Garden'}</title>
-<style>
+<title>${escapeHtml(document.title || 'Macintosh Garden')}</title>
+${context.options.cssLevel === CSS_LEVELS.none ? '' : `<style>
 body { font-family: Geneva, Arial, sans-serif; font-size: 12px; margin: 0; padding: 0; background-color: #F5F5E8; }
 a { color: #2D5A2E; text-decoration: underline; }
 a:visited { color: #4A7C4E; }
@@ -388,8 +516,8 @@ h2 { font-size: 14px; margin: 6px 0; }
 h3 { font-size: 12px; margin: 4px 0; }
 p { margin: 6px 0; line-height: 1.4; }
 hr { border: none; border-top: 1px solid #7BA37D; margin: 8px 0; }
-</style>
-<body spacing="0" padding="0" cellpadding="0" cellspacing="0">
+</style>`}
+<body spacing="0" padding="0" cellpadding="0" cellspacing="0" bgcolor="#F5F5E8" link="#2D5A2E" vlink="#4A7C4E">
 ${tableHeader.outerHTML}
 <table width="100%" border="0" cellpadding="0" cellspacing="0" bgcolor="#F5F5E8">
 <tr>
@@ -409,15 +537,9 @@ ${bodyContent}
 </html>`;
     
     // Convert to ISO-8859-1 for vintage Mac compatibility
-    const isoHtml = iconv.encode(htmlContent, "ISO-8859-1");
-    res.setHeader("Content-Type", "text/html; charset=ISO-8859-1");
-    res.send(isoHtml);
+    sendHtml(res, htmlContent);
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).send(`Error fetching page: ${error.message}`);
+    log('error', 'Error fetching page', { url: targetUrl, error: error.message });
+    sendFetchErrorPage(req, res, targetUrl, fetchErrorKind(error) || 'failed', error);
   }
-});
-
-app.listen(PORT, () => {
-  console.log(`Macintosh Garden proxy running on http://localhost:${PORT}`);
-});
+}
@@ -1,29 +1,184 @@
 import express from "express";
-import fetch from "node-fetch";
 import { JSDOM } from "jsdom";
-import { Readability } from "@mozilla/readability";
-import iconv from "iconv-lite"; // Import the iconv-lite library for encoding conversion
+import { isProbablyReaderable, Readability } from "@mozilla/readability";
 import sharp from "sharp"; // Import sharp for image processing
-import { createWriteStream, mkdirSync, existsSync } from "fs";
 import { join } from "path";
 import { URL } from "url";
-import crypto from "crypto";
+import {
+  DEFAULT_FETCH_LIMITS,
+  DEFAULT_USER_AGENT,
+  FETCH_LIMIT_KINDS,
+  createImageHash,
+  discardBody,
+  encodeForClient,
+  escapeHtml,
+  fetchErrorKind,
+  fetchImage,
+  fetchUpstream,
+  getTargetUrl,
+  handleForwardProxy,
+  localUrl,
+  normalizeTargetUrl,
+  readHtml,
+  requestContext,
+  resolveOptions,
+  rewriteLinks,
+  sendHtml,
+  stripStyles,
+  toHttp,
+  upstreamOptions,
+  upstreamStatusError
+} from "./lib/proxy-core.js";
+import { CSS_LEVELS, profileFilename, selectProfile, serveProfilePicker } from "./lib/client-profiles.js";
+import { encodeImage, imageFilename } from "./lib/image-encoding.js";
+import { createImageCache, DEFAULT_CACHE_LIMITS, formatBytes, serveCachePage } from "./lib/image-cache.js";
+import { cookieSession, createCookieStore, serveCookiePage } from "./lib/cookie-jar.js";
+import { createCoalescer, createConcurrencyLimits, DEFAULT_CONCURRENCY, runTransform, sessionJobKey } from "./lib/concurrency.js";
+import { conditionalHeaders, createPageCache, DEFAULT_PAGE_CACHE_LIMITS, isCacheable, pageCacheKey } from "./lib/page-cache.js";
+import { accessControl, DEFAULT_ACCESS_CONTROL } from "./lib/access-control.js";
+import { createNetworkPolicy, DEFAULT_NETWORK_POLICY } from "./lib/network-policy.js";
+import { createHttpsHosts, DEFAULT_HTTPS_MEMORY } from "./lib/https-hosts.js";
+import { PLACEHOLDER_IMAGE, proxyStatus, sendFetchErrorPage, servePlaceholderImage, showImagePlaceholder } from "./lib/error-pages.js";
+import { downgradeInputs, readFormBody, rewriteForms, serveFormSubmission, upstreamRequest } from "./lib/forms.js";
+import { log, requestLogging } from "./lib/logging.js";
+import { createMetrics, serveMetrics, serveStatusPage, watchApp } from "./lib/metrics.js";
+import { createPipelineReport, sendPipelineReport } from "./lib/pipeline-report.js";
+import { bookmarkOwner, createBookmarkStore, serveBookmarkAction, serveHomePage } from "./lib/bookmarks.js";
+import { contentKind, downloadUrl, fileTitle, renderDownload, renderTextContent, serveDownload } from "./lib/content-types.js";
 
-const app = express();
-const PORT = 8080;
+// Defaults for any option not passed to createReadabilityProxy
+export const DEFAULT_OPTIONS = {
+  port: 8080,
+  cacheDir: join(process.cwd(), 'cached_images'),
+  cacheMaxSize: DEFAULT_CACHE_LIMITS.maxSize, // bytes of images kept before the least recently used are evicted
+  cacheTtl: DEFAULT_CACHE_LIMITS.ttl, // seconds an image is kept after it was processed
+  pageCacheSize: DEFAULT_PAGE_CACHE_LIMITS.maxEntries, // rendered pages kept in memory, 0 to turn the page cache off
+  pageCacheMaxAge: DEFAULT_PAGE_CACHE_LIMITS.maxAge, // seconds a rendered page is served before revalidating upstream
+  publicHost: null, // host:port used in generated links, defaults to the request's Host header
+  userAgent: DEFAULT_USER_AGENT,
+  outputCharset: 'iso-8859-1', // or 'macroman'
+  numericEntities: 'auto', // send &#NNNN; for characters the charset lacks: true, false or by User-Agent
+  imageFormat: 'jpeg', // 'jpeg', 'gif' or 'png'
+  colourDepth: null, // 1, 4 or 8 to reduce images to the Mac black-and-white, 16 or 256 colour palette
+  dither: true, // error-diffuse when reducing colours, rather than taking the nearest colour
+  greyscale: false,
+  cssLevel: CSS_LEVELS.inline, // 0 no CSS, 1 proxy stylesheet only, 2 also simple inline styles
+  profiles: {}, // client profiles added to or overriding the built-in ones
+  defaultProfile: null, // profile for clients no cookie, prefix or User-Agent pattern picks
+  cookieStore: null, // cookie jars shared with other apps (from createCookieStore), a new store by default
+  forwardProxyCookies: true, // keep cookies for forward-proxy clients, one jar per client address
+  maxConcurrentFetches: DEFAULT_CONCURRENCY.fetches, // outbound fetches at once, 0 for no limit
+  maxConcurrentTransforms: DEFAULT_CONCURRENCY.transforms, // images converted with sharp at once, 0 for no limit
+  concurrencyLimits: null, // limiters shared with other apps (from createConcurrencyLimits), new ones by default
+  pageTimeout: DEFAULT_FETCH_LIMITS.pageTimeout, // milliseconds a page fetch may take, 0 for no limit
+  imageTimeout: DEFAULT_FETCH_LIMITS.imageTimeout, // milliseconds an image fetch may take, 0 for no limit
+  logoTimeout: DEFAULT_FETCH_LIMITS.logoTimeout, // milliseconds a logo fetch may take, 0 for no limit
+  downloadTimeout: DEFAULT_FETCH_LIMITS.downloadTimeout, // milliseconds a file download may take, 0 for no limit
+  maxPageBytes: DEFAULT_FETCH_LIMITS.maxPageBytes, // largest page downloaded, 0 for no limit
+  maxImageBytes: DEFAULT_FETCH_LIMITS.maxImageBytes, // largest image downloaded, 0 for no limit
+  maxDownloadBytes: DEFAULT_FETCH_LIMITS.maxDownloadBytes, // largest file passed through /download, 0 for no limit
+  allowPrivateAddresses: DEFAULT_NETWORK_POLICY.allowPrivateAddresses, // fetch from loopback, LAN and link-local addresses too
+  allowedDomains: DEFAULT_NETWORK_POLICY.allowedDomains, // when not empty, only these sites and their subdomains are fetched
+  blockedDomains: DEFAULT_NETWORK_POLICY.blockedDomains, // sites never fetched, with their subdomains
+  httpsMemoryTtl: DEFAULT_HTTPS_MEMORY.ttl, // seconds a host found to need HTTPS is fetched over it, unless it sends HSTS
+  httpsHosts: null, // memory of HTTPS hosts shared with other apps (from createHttpsHosts), a new one by default
+  users: DEFAULT_ACCESS_CONTROL.users, // user name -> password; when not empty, HTTP Basic auth is required
+  authRealm: DEFAULT_ACCESS_CONTROL.authRealm, // name browsers show when asking for the password
+  allowedClients: DEFAULT_ACCESS_CONTROL.allowedClients, // client IPs and CIDR ranges let in, everyone when empty
+  maxRequestsPerMinute: DEFAULT_ACCESS_CONTROL.maxRequestsPerMinute, // per client, 0 for no limit
+  maxBytesPerMinute: DEFAULT_ACCESS_CONTROL.maxBytesPerMinute, // bytes sent to each client, 0 for no limit
+  metrics: null, // request metrics shared with other apps (from createMetrics), a new registry by default
+  bookmarkFile: null, // JSON file the home page bookmarks are saved in, kept in memory only by default
+  imageLimits: {
+    maxWidth: 320,
+    maxHeight: 240,
+    quality: 45,
+    logoSize: 32,
+    maxAdditionalImages: 3
+  }
+};
 
-// Create images cache directory
-const IMAGES_DIR = join(process.cwd(), 'cached_images');
-if (!existsSync(IMAGES_DIR)) {
-  mkdirSync(IMAGES_DIR, { recursive: true });
-}
+// Function to create the readability proxy app; the caller decides where to listen
+export function createReadabilityProxy(userOptions) {
+  const options = resolveOptions(DEFAULT_OPTIONS, userOptions);
+  const app = express();
+  app.locals.options = options;
+
+  // Create images cache directory
+  const context = {
+    options,
+    imageCache: createImageCache(options.cacheDir, '/cached_images', { maxSize: options.cacheMaxSize, ttl: options.cacheTtl }),
+    pageCache: createPageCache({ maxEntries: options.pageCacheSize, maxAge: options.pageCacheMaxAge }),
+    cookieStore: options.cookieStore || createCookieStore(),
+    limits: options.concurrencyLimits || createConcurrencyLimits({ fetches: options.maxConcurrentFetches, transforms: options.maxConcurrentTransforms }),
+    networkPolicy: createNetworkPolicy(options),
+    httpsHosts: options.httpsHosts || createHttpsHosts({ ttl: options.httpsMemoryTtl }),
+    metrics: options.metrics || createMetrics(),
+    bookmarks: createBookmarkStore(options.bookmarkFile),
+    imageJobs: createCoalescer(),
+    pageRenders: createCoalescer()
+  };
+  watchApp(context.metrics, 'readability', context);
+
+  // Log every request with its timings, and count it in the metrics
+  app.use(requestLogging(context.metrics));
+
+  // Accept absolute-URI requests from browsers configured to use us as their HTTP proxy
+  app.use(handleForwardProxy);
+
+  // Let in only allowed clients, with a password if users are configured, within their rate limits
+  app.use(accessControl(options));
+
+  // Pick the client profile that tunes images, charset and CSS for this browser
+  app.use(selectProfile(options));
+
+  // Keep each client's upstream cookies in its own jar on the proxy
+  app.use(cookieSession(context.cookieStore, options));
+
+  // Keep the body of form submissions so POSTs can be relayed upstream
+  app.use(readFormBody);
+
+  // Serve cached images
+  app.use(context.imageCache.urlPath, context.imageCache.middleware());
+
+  // Stand-in for images that took too long, were too big or were refused
+  app.get(PLACEHOLDER_IMAGE.path, servePlaceholderImage);
+
+  // GET forms on proxied pages submit here
+  app.get("/form", serveFormSubmission);
+
+  // Page for choosing a client profile
+  app.get("/profile", serveProfilePicker);
+
+  // Page for viewing and clearing the cookies kept for this client
+  app.get("/cookies", serveCookiePage);
+  app.post("/cookies", serveCookiePage);
+
+  // Admin page with image cache statistics and purge actions
+  app.get("/cache", (req, res) => serveCachePage(context, req, res));
+  app.post("/cache", (req, res) => serveCachePage(context, req, res));
+
+  // Status page with request counts, timings and cache hits, and the same as Prometheus metrics
+  app.get("/status", (req, res) => serveStatusPage(context, req, res));
+  app.get("/metrics", (req, res) => serveMetrics(context, req, res));
+
+  // Page showing what each stage of the pipeline did to a page, and why
+  app.get("/debug", (req, res) => serveDebug(requestContext(context, req), req, res));
+
+  // Home page with an address form, bookmarks and recently read pages, and its actions
+  app.get("/", (req, res, next) => (req.query.url || req.forwardProxyUrl ? next() : serveHomePage(context, req, res)));
+  app.get("/bookmarks", (req, res) => serveBookmarkAction(context, req, res));
+  app.post("/bookmarks", (req, res) => serveBookmarkAction(context, req, res));
 
-// Serve cached images
-app.use('/cached_images', express.static(IMAGES_DIR));
+  // Files the readable view can't show are downloaded through here
+  app.get("/download", (req, res) => serveDownload(requestContext(context, req), req, res));
 
-// Function to create a proper hash from URL
-function createImageHash(imageUrl) {
-  return crypto.createHash('md5').update(imageUrl).digest('hex').substring(0, 16);
+  // Route to serve the original page's layout (without readability), made to work through the proxy
+  app.get("/original", (req, res) => serveOriginal(requestContext(context, req), req, res));
+
+  app.use((req, res) => serveReadable(requestContext(context, req), req, res));
+
+  return app;
 }
 
 // Function to extract website logo/favicon URLs
@@ -69,165 +224,279 @@ function extractLogoUrls(document, targetUrl) {
   return logoUrls;
 }
 
+// Words in an image URL that mark it as a tracking pixel, ad, logo, icon or avatar rather
+// than part of the story; logos and icons tend to appear on every page of a site
+const SKIPPED_IMAGE_WORDS = ['pixel', 'beacon', 'tracking', 'analytics', 'ads', 'logo', 'icon', '1x1', 'avatar', 'profile'];
+
+// Function to tell why an image from the original page shouldn't be added to the article,
+// or null if it may be
+function additionalImageRejection(src) {
+  const url = src.toLowerCase();
+  const word = SKIPPED_IMAGE_WORDS.find(skipped => url.includes(skipped));
+  if (word) {
+    return `URL contains "${word}"`;
+  }
+  if (url.match(/\.(gif|png|jpg|jpeg)\?.*[wh]=\d{1,2}$/)) {
+    return 'URL asks for a very small size';
+  }
+  return null;
+}
+
+// Elements a simplified full page drops: scripts, plugins, frames and page stylesheets.
+// The inline styles left are cut down like those of an article.
+const FULL_PAGE_REMOVED = 'script, iframe, frame, frameset, object, embed, applet, canvas, svg, template, style, link';
+
+// Function to parse a page Readability can't or shouldn't extract into a simplified copy
+// of the whole page, without scripts, event handlers, plugins or stylesheets
+function simplifyFullPage(html, targetUrl) {
+  const { document } = new JSDOM(html, { url: targetUrl }).window;
+  document.querySelectorAll(FULL_PAGE_REMOVED).forEach(el => el.remove());
+  removeEventHandlers(document);
+  return document;
+}
+
+// Function to remove every onclick, onload and other event handler attribute
+function removeEventHandlers(document) {
+  document.querySelectorAll('*').forEach(el => {
+    Array.from(el.attributes || [])
+      .filter(attribute => attribute.name.toLowerCase().startsWith('on'))
+      .forEach(attribute => el.removeAttribute(attribute.name));
+  });
+}
+
+// What the lite view of the original page removes: scripts and plugins, and stylesheets,
+// responsive image sources and other files the browser would fetch from the site itself
+const LITE_VIEW_REMOVED = 'script, object, embed, applet, base, link, source, meta[http-equiv="refresh"]';
+
+// Function to make the lite view of the original page: the site's own layout, without
+// scripts, event handlers or plugins, with what <noscript> offers instead shown and
+// frames loading lite views of their own
+function liteDocument(document, pageUrl, req) {
+  document.querySelectorAll(LITE_VIEW_REMOVED).forEach(el => el.remove());
+  document.querySelectorAll('noscript').forEach(el => el.replaceWith(...el.childNodes));
+  document.querySelectorAll('[srcset]').forEach(el => el.removeAttribute('srcset'));
+  removeEventHandlers(document);
+
+  document.querySelectorAll('frame[src], iframe[src]').forEach(frame => {
+    try {
+      const frameUrl = toHttp(new URL(frame.getAttribute('src'), pageUrl).href);
+      frame.setAttribute('src', localUrl(req, `/original?url=${encodeURIComponent(frameUrl)}`));
+    } catch (error) {
+      frame.remove();
+    }
+  });
+}
+
+// Function to convert every image in the lite view, keeping the sizes the page gives them:
+// <img> and image buttons, and the background attribute of tables, cells and the body.
+// Images that took too long, were too big or were refused show the placeholder; others
+// that can't be shown are left out.
+async function convertLiteImages(context, req, document, pageUrl) {
+  const targets = [
+    ...Array.from(document.querySelectorAll('img[src], input[type="image"][src]')).map(el => [el, 'src']),
+    ...Array.from(document.querySelectorAll('[background]')).map(el => [el, 'background'])
+  ];
+
+  await Promise.all(targets.map(async ([el, attribute]) => {
+    let imageUrl;
+    try {
+      imageUrl = new URL(el.getAttribute(attribute), pageUrl).href;
+      const image = await processTargetImage(context, imageUrl, 1, async () => {
+        const fetched = await fetchImage(imageUrl, upstreamOptions(context, 'image'));
+        if (fetched) {
+          context.trace.received(fetched.buffer.length);
+        }
+        return fetched && fetched.buffer;
+      });
+      if (image) {
+        el.setAttribute(attribute, localUrl(req, image.path));
+        return;
+      }
+    } catch (error) {
+      log('info', 'Could not convert image', { url: imageUrl, error: error.message });
+      if (attribute === 'src' && FETCH_LIMIT_KINDS.includes(fetchErrorKind(error))) {
+        showImagePlaceholder(el, req);
+        return;
+      }
+    }
+    if (attribute === 'src') {
+      el.remove();
+    } else {
+      el.removeAttribute(attribute);
+    }
+  }));
+}
+
 // Function to process website logo with special handling
-async function processLogo(logoUrl, targetUrl) {
+async function processLogo(context, logoUrl) {
+  const { imageCache, options } = context;
+  const { logoSize } = options.imageLimits;
   try {
     const hash = createImageHash(logoUrl + '_logo');
-    const filename = `logo_${hash}.jpg`;
-    const filepath = join(IMAGES_DIR, filename);
+    const filename = profileFilename(options, imageFilename(`logo_${hash}`, options.imageFormat));
     
-    // Check if logo is already cached
-    if (existsSync(filepath)) {
-      console.log(`Using cached logo: ${filename}`);
-      const cachedMetadata = await sharp(filepath).metadata();
+    // Check if logo is already cached; its metadata record has the dimensions
+    const cachedMetadata = imageCache.get(filename);
+    context.trace.cacheResult('logo', cachedMetadata ? 'hit' : 'miss');
+    if (cachedMetadata) {
+      log('info', 'Using cached logo', { file: filename });
+      context.report?.logo(logoUrl, { reason: 'from the image cache' });
       return {
-        path: `/cached_images/${filename}`,
-        width: Math.min(cachedMetadata.width, 32),
-        height: Math.min(cachedMetadata.height, 32)
+        filename,
+        path: imageCache.publicPath(filename),
+        width: Math.min(cachedMetadata.width, logoSize),
+        height: Math.min(cachedMetadata.height, logoSize)
       };
     }
     
-    const response = await fetch(logoUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-      },
-      timeout: 5000 // Shorter timeout for logos
+    // A client's pages asking for the same logo at the same time share one fetch and one conversion
+    return await context.imageJobs.run(sessionJobKey(context, filename), async () => {
+      const image = await fetchImage(logoUrl, upstreamOptions(context, 'logo'));
+      if (!image) {
+        context.report?.logo(logoUrl, { reason: 'missing or not an image' });
+        return null;
+      }
+      context.trace.received(image.buffer.length);
+      
+      // Process logo: convert to a small image in the client's format, max 32x32 by default for vintage systems
+      const { processedBuffer, processedMetadata } = await runTransform(context, async () => {
+        const resizedLogo = sharp(image.buffer)
+          .resize({ 
+            width: logoSize, 
+            height: logoSize, 
+            fit: 'inside', 
+            withoutEnlargement: false // Allow enlargement for small favicons
+          });
+        const processedBuffer = await encodeImage(resizedLogo, { ...options, quality: 60 });
+        
+        // Get the actual dimensions after processing
+        return { processedBuffer, processedMetadata: await sharp(processedBuffer).metadata() };
+      });
+      
+      // Save processed logo
+      imageCache.write(filename, processedBuffer, {
+        url: logoUrl,
+        contentType: image.contentType,
+        width: processedMetadata.width,
+        height: processedMetadata.height,
+        profile: options.profile
+      });
+      
+      log('info', 'Processed logo', { url: logoUrl, file: filename, width: processedMetadata.width, height: processedMetadata.height });
+      context.report?.logo(logoUrl, { reason: `converted to ${processedMetadata.width}x${processedMetadata.height}` });
+      return {
+        filename,
+        path: imageCache.publicPath(filename),
+        width: processedMetadata.width,
+        height: processedMetadata.height
+      };
     });
-    
-    if (!response.ok) {
-      console.log(`Failed to fetch logo: ${logoUrl} (${response.status})`);
-      return null;
-    }
-    
-    const contentType = response.headers.get('content-type');
-    if (!contentType || !contentType.startsWith('image/')) {
-      console.log(`Not an image: ${logoUrl} (${contentType})`);
-      return null;
-    }
-    
-    const buffer = await response.arrayBuffer();
-    const imageBuffer = Buffer.from(buffer);
-    
-    // Process logo: convert to small JPEG, max 32x32 for vintage systems
-    const sharpInstance = sharp(imageBuffer);
-    const metadata = await sharpInstance.metadata();
-    
-    const processedBuffer = await sharpInstance
-      .jpeg({ quality: 60, progressive: false })
-      .resize({ 
-        width: 32, 
-        height: 32, 
-        fit: 'inside', 
-        withoutEnlargement: false // Allow enlargement for small favicons
-      })
-      .toBuffer();
-    
-    // Save processed logo
-    const fs = await import('fs');
-    fs.writeFileSync(filepath, processedBuffer);
-    
-    // Get the actual dimensions after processing
-    const processedMetadata = await sharp(processedBuffer).metadata();
-    
-    console.log(`Processed logo: ${logoUrl} -> ${filename} (${processedMetadata.width}x${processedMetadata.height})`);
-    return {
-      path: `/cached_images/${filename}`,
-      width: processedMetadata.width,
-      height: processedMetadata.height
-    };
   } catch (error) {
-    console.error(`Error processing logo ${logoUrl}:`, error.message);
+    log('error', 'Error processing logo', { url: logoUrl, error: error.message });
+    context.report?.logo(logoUrl, { reason: fetchErrorKind(error) || error.message });
     return null;
   }
 }
 
-// Function to process and cache images
-async function processImage(imageUrl, targetUrl) {
+// Function to process and cache images. Images that took too long, were too big or
+// were refused come back as { unavailable: true } so the page can show a placeholder.
+async function processImage(context, imageUrl) {
+  const { imageCache, options } = context;
+  const { maxWidth, maxHeight, quality } = options.imageLimits;
   try {
     const hash = createImageHash(imageUrl);
-    const filename = `${hash}.jpg`;
-    const filepath = join(IMAGES_DIR, filename);
+    const filename = profileFilename(options, imageFilename(hash, options.imageFormat));
     
-    // Check if image is already cached
-    if (existsSync(filepath)) {
-      console.log(`Using cached image: ${filename}`);
-      // Get dimensions from cached file
-      const cachedMetadata = await sharp(filepath).metadata();
+    // Check if image is already cached; its metadata record has the dimensions
+    const cachedMetadata = imageCache.get(filename);
+    context.trace.cacheResult('image', cachedMetadata ? 'hit' : 'miss');
+    if (cachedMetadata) {
+      log('info', 'Using cached image', { file: filename });
+      context.report?.image(imageUrl, { result: 'kept', reason: `from the image cache, ${cachedMetadata.width}x${cachedMetadata.height}` });
       return {
-        path: `/cached_images/${filename}`,
+        filename,
+        path: imageCache.publicPath(filename),
         width: cachedMetadata.width,
         height: cachedMetadata.height
       };
     }
     
-    const response = await fetch(imageUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-      },
-      timeout: 10000
+    // A client's pages asking for the same image at the same time share one fetch and one conversion
+    return await context.imageJobs.run(sessionJobKey(context, filename), async () => {
+      const image = await fetchImage(imageUrl, upstreamOptions(context, 'image'));
+      if (!image) {
+        context.report?.image(imageUrl, { result: 'rejected', reason: 'missing or not an image' });
+        return null;
+      }
+      context.trace.received(image.buffer.length);
+      
+      // Skip very small images (likely tracking pixels)
+      if (image.buffer.length < 1000) {
+        log('info', 'Image too small, skipping', { url: imageUrl, bytes: image.buffer.length });
+        context.report?.image(imageUrl, { result: 'rejected', reason: `only ${image.buffer.length} bytes, likely a tracking pixel` });
+        return null;
+      }
+      
+      // Process image: convert to the client's format (JPEG with reduced quality by default)
+      const processed = await runTransform(context, async () => {
+        const sharpInstance = sharp(image.buffer);
+        const metadata = await sharpInstance.metadata();
+        
+        // Skip very small images by dimensions
+        if (metadata.width < 50 || metadata.height < 50) {
+          log('info', 'Image dimensions too small, skipping', { url: imageUrl, width: metadata.width, height: metadata.height });
+          context.report?.image(imageUrl, { result: 'rejected', reason: `${metadata.width}x${metadata.height} is under 50x50` });
+          return null;
+        }
+        
+        const resizedImage = sharpInstance
+          .resize({ 
+            width: maxWidth, 
+            height: maxHeight, 
+            fit: 'inside', 
+            withoutEnlargement: true 
+          });
+        const processedBuffer = await encodeImage(resizedImage, { ...options, quality });
+        
+        // Get the actual dimensions after processing for proper display
+        return { processedBuffer, processedMetadata: await sharp(processedBuffer).metadata() };
+      });
+      if (!processed) {
+        return null;
+      }
+      const { processedBuffer, processedMetadata } = processed;
+      
+      // Save processed image synchronously to ensure it's available immediately
+      imageCache.write(filename, processedBuffer, {
+        url: imageUrl,
+        contentType: image.contentType,
+        width: processedMetadata.width,
+        height: processedMetadata.height,
+        profile: options.profile
+      });
+      
+      log('info', 'Processed image', { url: imageUrl, file: filename, width: processedMetadata.width, height: processedMetadata.height });
+      context.report?.image(imageUrl, { result: 'kept', reason: `converted to ${processedMetadata.width}x${processedMetadata.height}` });
+      return {
+        filename,
+        path: imageCache.publicPath(filename),
+        width: processedMetadata.width,
+        height: processedMetadata.height
+      };
     });
-    
-    if (!response.ok) {
-      console.log(`Failed to fetch image: ${imageUrl} (${response.status})`);
-      return null;
-    }
-    
-    const contentType = response.headers.get('content-type');
-    if (!contentType || !contentType.startsWith('image/')) {
-      console.log(`Not an image: ${imageUrl} (${contentType})`);
-      return null;
-    }
-    
-    const buffer = await response.arrayBuffer();
-    const imageBuffer = Buffer.from(buffer);
-    
-    // Skip very small images (likely tracking pixels)
-    if (imageBuffer.length < 1000) {
-      console.log(`Image too small, skipping: ${imageUrl}`);
-      return null;
-    }
-    
-    // Process image: convert to JPEG with reduced quality for vintage Macs
-    const sharpInstance = sharp(imageBuffer);
-    const metadata = await sharpInstance.metadata();
-    
-    // Skip very small images by dimensions
-    if (metadata.width < 50 || metadata.height < 50) {
-      console.log(`Image dimensions too small: ${imageUrl} (${metadata.width}x${metadata.height})`);
-      return null;
-    }
-    
-    const processedBuffer = await sharpInstance
-      .jpeg({ quality: 45, progressive: false })
-      .resize({ 
-        width: 320, 
-        height: 240, 
-        fit: 'inside', 
-        withoutEnlargement: true 
-      })
-      .toBuffer();
-    
-    // Get the actual dimensions after processing for proper display
-    const processedMetadata = await sharp(processedBuffer).metadata();
-    
-    // Save processed image synchronously to ensure it's available immediately
-    const fs = await import('fs');
-    fs.writeFileSync(filepath, processedBuffer);
-    
-    console.log(`Processed image: ${imageUrl} -> ${filename} (${processedMetadata.width}x${processedMetadata.height})`);
-    return {
-      path: `/cached_images/${filename}`,
-      width: processedMetadata.width,
-      height: processedMetadata.height
-    };
   } catch (error) {
-    console.error(`Error processing image ${imageUrl}:`, error.message);
-    return null;
+    log('error', 'Error processing image', { url: imageUrl, error: error.message });
+    const kind = fetchErrorKind(error);
+    const unavailable = FETCH_LIMIT_KINDS.includes(kind);
+    context.report?.image(imageUrl, unavailable ? { result: 'unavailable', reason: kind } : { result: 'rejected', reason: kind || error.message });
+    return unavailable ? { unavailable: true } : null;
   }
 }
 
-// Route to serve the original page (without readability)
-app.get("/original", async (req, res) => {
+// Function to serve the lite view of the original page: its own layout rather than
+// Readability's, lightly transformed so it works through the proxy on old browsers
+async function serveOriginal(context, req, res) {
+  const { options } = context;
   let targetUrl = req.query.url;
 
   // If no ?url= is provided, return an error
@@ -235,351 +504,636 @@ app.get("/original", async (req, res) => {
     return res.status(400).send("Error: No URL provided");
   }
 
-  // If the URL has 'ttp' (a common mistake), fix it
-  if (targetUrl.startsWith("ttp://")) {
-    targetUrl = "http://" + targetUrl.slice(5);
-  }
+  targetUrl = normalizeTargetUrl(targetUrl);
+  context.trace.route = 'original';
+  context.trace.url = targetUrl;
 
-  console.log(`Fetching original page: ${targetUrl}`);
+  log('info', 'Fetching original page', { url: targetUrl });
 
   try {
     // Fetch the requested page (HTTP or HTTPS)
-    const response = await fetch(targetUrl);
-    const originalHtml = await response.text();
+    const response = await context.trace.time('fetch', () => fetchUpstream(targetUrl, upstreamOptions(context)));
+    const pageUrl = response.finalUrl || targetUrl;
 
-    // Convert HTML content from UTF-8 to ISO-8859-1
-    const isoHtml = iconv.encode(originalHtml, "ISO-8859-1");
+    // Images, text and downloads look the same in both views
+    if (contentKind(response.headers.get('content-type'), pageUrl) !== 'html') {
+      discardBody(response);
+      return res.redirect(localUrl(req, `/?url=${encodeURIComponent(targetUrl)}`));
+    }
 
-    // Set response headers to indicate the encoding
-    res.setHeader("Content-Type", "text/html; charset=ISO-8859-1");
+    const { html, charset, bytes } = await context.trace.time('fetch', () => readHtml(response));
+    context.trace.received(bytes);
+
+    // Keep the page's layout, but send its links, forms, frames and images through the proxy
+    const parsed = context.trace.start('parse');
+    const dom = new JSDOM(html, { url: pageUrl });
+    const { document } = dom.window;
+    liteDocument(document, pageUrl, req);
+    if (options.cssLevel < CSS_LEVELS.inline) {
+      stripStyles(document);
+    }
+    rewriteLinks(document, pageUrl, req);
+    rewriteForms(document, pageUrl, req, { charset });
+    downgradeInputs(document);
+    parsed();
 
-    // Send the ISO-8859-1 encoded content
-    res.send(isoHtml);
+    await context.trace.time('images', () => convertLiteImages(context, req, document, pageUrl));
+
+    // A frameset has no body to put the toolbar in
+    if (document.body && document.body.tagName === 'BODY') {
+      document.body.insertAdjacentHTML('afterbegin', toolbarHtml(options.cssLevel, [
+        [localUrl(req, '/'), 'Home'],
+        [escapeHtml(localUrl(req, `/?url=${encodeURIComponent(targetUrl)}`)), 'Readable View']
+      ]));
+    }
+
+    // Send the page encoded as ISO-8859-1; a site's own error page keeps its status
+    res.status(proxyStatus(response.status));
+    sendHtml(res, dom.serialize());
   } catch (error) {
-    res.status(500).send(`Error fetching original page: ${error.message}`);
+    sendFetchErrorPage(req, res, targetUrl, fetchErrorKind(error) || 'failed', error);
   }
-});
+}
 
-app.use(async (req, res) => {
+// Function to show what the readability pipeline did to a page: every image and logo
+// candidate and why it was kept or rejected, the styles removed, Readability's article
+// details and how long each stage took. The page is always fetched and rendered afresh,
+// and the result isn't cached.
+async function serveDebug(context, req, res) {
   let targetUrl = req.query.url;
 
-  // If no ?url= is provided, assume it's part of the path and prepend 'http://'
+  // If no ?url= is provided, return an error
   if (!targetUrl) {
-    targetUrl = req.url.startsWith("/") ? req.url.slice(1) : req.url; // Remove leading slash if it exists
-    // Ensure the URL starts with http:// if it doesn't have a protocol
-    if (!targetUrl.startsWith("http://") && !targetUrl.startsWith("https://")) {
-      targetUrl = "http://" + targetUrl;
-    }
+    return res.status(400).send("Error: No URL provided");
+  }
+
+  targetUrl = normalizeTargetUrl(targetUrl);
+  context.trace.route = 'debug';
+  context.trace.url = targetUrl;
+
+  const report = createPipelineReport(targetUrl);
+  try {
+    const page = await renderReadable({ ...context, report }, req, targetUrl, null, null);
+    report.outputBytes = context.trace.time('encode', () => encodeForClient(req, page.html)).body.length;
+  } catch (error) {
+    const kind = fetchErrorKind(error);
+    report.error = `Error fetching page: ${error.message}${kind ? ` (${kind})` : ''}`;
   }
+  sendPipelineReport(req, res, report, { ...context.trace.stages });
+}
+
+// Function to serve the target page in readability mode
+async function serveReadable(context, req, res) {
+  const { imageCache, pageCache } = context;
+  const targetUrl = getTargetUrl(req);
 
-  // If the URL has 'ttp' (a common mistake), fix it
-  if (targetUrl.startsWith("ttp://")) {
-    targetUrl = "http://" + targetUrl.slice(5);
+  // If neither ?url= nor a path is provided, return an error
+  if (!targetUrl) {
+    return res.status(400).send("Error: No URL provided");
   }
+  context.trace.route = 'readable';
+  context.trace.url = targetUrl;
 
-  console.log(`Fetching: ${targetUrl}`);
+  // Serve a recently rendered copy while it is fresh and its images are still cached
+  const cacheKey = pageCacheKey(req, targetUrl, context);
+  const cached = cacheKey && pageCache.get(cacheKey);
+  const cachedImagesExist = cached && cached.images.every(filename => imageCache.exists(filename));
+  if (cachedImagesExist && pageCache.isFresh(cached)) {
+    context.trace.cacheResult('page', 'hit');
+    log('info', 'Using cached page', { url: targetUrl });
+    context.bookmarks.visited(bookmarkOwner(req), targetUrl, cached.title);
+    return sendHtml(res, cached.html, { lastModified: cached.renderedAt });
+  }
 
   try {
-    // Fetch the requested page (HTTP or HTTPS)
-    const response = await fetch(targetUrl);
-    const html = await response.text();
+    // Visitors asking for the same page at the same time share one fetch and one render
+    const page = await context.pageRenders.run(cacheKey, () => renderReadable(context, req, targetUrl, cacheKey, cachedImagesExist ? cached : null));
+    context.bookmarks.visited(bookmarkOwner(req), targetUrl, page.title);
 
-    // Parse with Readability
-    const dom = new JSDOM(html, { url: targetUrl });
-    const originalDocument = dom.window.document;
-    
-    // Extract all images from the original page before Readability processing
-    const allImages = Array.from(originalDocument.querySelectorAll('img')).map(img => {
-      const src = img.getAttribute('src');
-      const alt = img.getAttribute('alt') || '';
-      const title = img.getAttribute('title') || '';
-      try {
-        return {
-          src: new URL(src, targetUrl).href,
-          alt,
-          title,
-          element: img
-        };
-      } catch (error) {
-        return null;
+    // Send the page encoded as ISO-8859-1
+    sendHtml(res, page.html, { lastModified: page.renderedAt });
+  } catch (error) {
+    sendFetchErrorPage(req, res, targetUrl, fetchErrorKind(error) || 'failed', error);
+  }
+}
+
+// Function to fetch a page and render its readable version, storing it in the page cache.
+// A stale cached copy is revalidated upstream and reused if the page hasn't changed.
+async function renderReadable(context, req, targetUrl, cacheKey, cached) {
+  const { options, pageCache } = context;
+  const { maxWidth, maxHeight, logoSize, maxAdditionalImages } = options.imageLimits;
+  const { cssLevel } = options;
+
+  log('info', 'Fetching page', { url: targetUrl });
+
+  // Fetch the requested page (HTTP or HTTPS), relaying any form POST; a stale cached
+  // copy is revalidated with a conditional request
+  let response;
+  try {
+    response = await context.trace.time('fetch', () => fetchUpstream(targetUrl, {
+      ...upstreamOptions(context),
+      ...upstreamRequest(req),
+      ...(cached ? { headers: conditionalHeaders(cached) } : {})
+    }));
+  } catch (error) {
+    // A file too big to show as a page can still be downloaded through the proxy
+    if (error.type === 'max-size' && error.size && contentKind(error.contentType, error.finalUrl) !== 'html') {
+      if (context.report) {
+        context.report.view = 'download link: too big to show';
       }
-    }).filter(Boolean);
-    
-    // Extract website logo/favicon
-    const logoUrls = extractLogoUrls(originalDocument, targetUrl);
-    console.log(`Found ${logoUrls.length} potential logos for ${targetUrl}:`, logoUrls);
-    
-    const reader = new Readability(dom.window.document);
-    const article = reader.parse();
+      const title = fileTitle(error.finalUrl);
+      const html = contentPage(req, options.cssLevel, targetUrl, title, renderDownload(req, error.finalUrl, error.contentType, error.size));
+      return { html, title, renderedAt: Date.now() };
+    }
+    throw error;
+  }
+
+  if (cached && response.status === 304) {
+    discardBody(response);
+    context.trace.cacheResult('page', 'revalidated');
+    log('info', 'Page unchanged upstream, using cached page', { url: targetUrl });
+    pageCache.revalidated(cached);
+    return { html: cached.html, title: cached.title, renderedAt: cached.renderedAt };
+  }
+  if (context.report) {
+    context.report.page = { status: response.status, finalUrl: response.finalUrl, contentType: response.headers.get('content-type') };
+  }
+  // A missing page or a failing site gets an error page rather than being shown as the article
+  if (!response.ok) {
+    throw upstreamStatusError(response, targetUrl);
+  }
+  // Relative links, images and logos are resolved against the address the page came from
+  const pageUrl = response.finalUrl || targetUrl;
+  if (cacheKey) {
+    context.trace.cacheResult('page', 'miss');
+  }
+
+  // Images, text, JSON, XML and downloads get pages of their own
+  const kind = contentKind(response.headers.get('content-type'), pageUrl);
+  if (kind !== 'html') {
+    return renderContent(context, req, targetUrl, cacheKey, response, kind);
+  }
+
+  const { html, charset, bytes } = await context.trace.time('fetch', () => readHtml(response));
+  context.trace.received(bytes);
+  if (context.report) {
+    context.report.page = { ...context.report.page, charset, bytes };
+  }
 
-    if (!article) {
-      return res.status(500).send("Failed to parse content");
+  // Parse with Readability
+  const parsed = context.trace.start('parse');
+  const dom = new JSDOM(html, { url: pageUrl });
+  const originalDocument = dom.window.document;
+  
+  // Extract all images from the original page before Readability processing
+  const allImages = Array.from(originalDocument.querySelectorAll('img')).map(img => {
+    const src = img.getAttribute('src');
+    const alt = img.getAttribute('alt') || '';
+    const title = img.getAttribute('title') || '';
+    try {
+      return {
+        src: new URL(src, pageUrl).href,
+        alt,
+        title,
+        element: img
+      };
+    } catch (error) {
+      return null;
     }
+  }).filter(Boolean);
+  allImages.forEach(imgData => context.report?.image(imgData.src, { onPage: true }));
+  
+  // Extract website logo/favicon
+  const logoUrls = extractLogoUrls(originalDocument, pageUrl);
+  log('info', 'Found potential logos', { url: targetUrl, logos: logoUrls });
+  
+  // Readability only gets pages that look like articles, unless the readable view was
+  // asked for; other pages, and any it can't extract an article from, are shown in full
+  const { view } = req.query;
+  const tryReadability = view === 'readable' || (view !== 'full' && isProbablyReaderable(originalDocument));
+  const article = tryReadability ? new Readability(originalDocument).parse() : null;
+  let fullPageReason = null;
+  if (!article) {
+    fullPageReason = tryReadability ? 'Readability found no article'
+      : view === 'full' ? 'the full page was asked for' : "the page doesn't look like an article";
+    log('info', 'Showing the simplified full page', { url: targetUrl, reason: fullPageReason });
+  }
+  if (context.report) {
+    context.report.article = article;
+    context.report.view = article ? 'readable' : `simplified full page: ${fullPageReason}`;
+  }
 
-    // Rewrite links to stay within the proxy, and force HTTP on any HTTPS links
-    const contentDom = new JSDOM(article.content);
-    const document = contentDom.window.document;
-    
-    // Enhanced link processing - preserve more links but filter problematic ones
-    const problematicDomains = ['javascript:', 'mailto:', 'tel:', 'ftp:', 'file:'];
-    document.querySelectorAll("a").forEach((link) => {
-      let href = link.getAttribute("href");
-      if (href && !href.startsWith("#")) {
-        // Skip problematic protocols
-        if (problematicDomains.some(domain => href.toLowerCase().startsWith(domain))) {
-          link.removeAttribute("href");
-          return;
-        }
-        
-        try {
-          let absoluteUrl = new URL(href, targetUrl).href;
-          // Force HTTP instead of HTTPS
-          absoluteUrl = absoluteUrl.replace(/^https:\/\//, "http://");
-          // Ensure the link goes through the proxy
-          link.setAttribute(
-            "href",
-            `http://${req.headers.host}/?url=${encodeURIComponent(absoluteUrl)}`
-          );
-        } catch (error) {
-          // If URL parsing fails, remove the href
-          link.removeAttribute("href");
-        }
-      }
-    });
+  // The rest of the pipeline works on the article, or on the simplified full page
+  const document = article ? new JSDOM(article.content).window.document : simplifyFullPage(html, pageUrl);
+  const title = article ? article.title : document.title || new URL(pageUrl).hostname;
+  parsed();
+  
+  // Enhanced link processing - preserve more links but filter problematic ones
+  rewriteLinks(document, pageUrl, req);
 
-    // Process images: Enhanced approach to capture more images
-    const imagePromises = [];
-    const processedImageUrls = new Set();
-    const currentPageImages = new Set(); // Track images already on this specific page
-    
-    // First, process existing images in the readable content
-    document.querySelectorAll("img").forEach((img) => {
-      const src = img.getAttribute("src");
-      if (src) {
-        try {
-          const absoluteImageUrl = new URL(src, targetUrl).href;
-          processedImageUrls.add(absoluteImageUrl);
-          currentPageImages.add(absoluteImageUrl);
-          const promise = processImage(absoluteImageUrl, targetUrl).then(processedImage => {
-            if (processedImage) {
-              img.setAttribute("src", `http://${req.headers.host}${processedImage.path}`);
-              img.setAttribute("width", processedImage.width.toString());
-              img.setAttribute("height", processedImage.height.toString());
-              // Remove any existing style that might force dimensions
-              img.removeAttribute("style");
-              if (img.getAttribute('alt')) {
-                img.setAttribute('alt', img.getAttribute('alt'));
-              }
-            } else {
-              img.remove();
+  // Send any forms Readability kept back through the proxy, with controls old browsers know
+  rewriteForms(document, pageUrl, req, { charset });
+  downgradeInputs(document);
+
+  // Process images: Enhanced approach to capture more images
+  const imagesDone = context.trace.start('images');
+  const imagePromises = [];
+  const usedImages = []; // cached image files the page links to
+  let imagesUnavailable = false; // pages showing placeholders aren't cached, so the images are tried again
+  const processedImageUrls = new Set();
+  const currentPageImages = new Set(); // Track images already on this specific page
+  
+  // First, process existing images in the readable content
+  document.querySelectorAll("img").forEach((img) => {
+    const src = img.getAttribute("src");
+    if (src) {
+      try {
+        const absoluteImageUrl = new URL(src, pageUrl).href;
+        processedImageUrls.add(absoluteImageUrl);
+        currentPageImages.add(absoluteImageUrl);
+        context.report?.image(absoluteImageUrl, { inArticle: true });
+        const promise = processImage(context, absoluteImageUrl).then(processedImage => {
+          if (processedImage && processedImage.unavailable) {
+            imagesUnavailable = true;
+            showImagePlaceholder(img, req);
+          } else if (processedImage) {
+            usedImages.push(processedImage.filename);
+            img.setAttribute("src", localUrl(req, processedImage.path));
+            img.setAttribute("width", processedImage.width.toString());
+            img.setAttribute("height", processedImage.height.toString());
+            // Remove any existing style that might force dimensions
+            img.removeAttribute("style");
+            if (img.getAttribute('alt')) {
+              img.setAttribute('alt', img.getAttribute('alt'));
             }
-          }).catch(() => img.remove());
-          imagePromises.push(promise);
-        } catch (error) {
-          img.remove();
-        }
-      } else {
+          } else {
+            img.remove();
+          }
+        }).catch(() => img.remove());
+        imagePromises.push(promise);
+      } catch (error) {
         img.remove();
       }
-    });
-    
-    // Filter and rank additional images from original page
-    const relevantImages = allImages
-      .filter(imgData => !currentPageImages.has(imgData.src)) // Don't duplicate images already on this page
-      .filter(imgData => {
-        // Skip tiny images, ads, tracking pixels, etc.
-        const url = imgData.src.toLowerCase();
-        return !url.includes('pixel') && 
-               !url.includes('beacon') && 
-               !url.includes('tracking') &&
-               !url.includes('analytics') &&
-               !url.includes('ads') &&
-               !url.includes('logo') && // Skip logos that might appear on multiple pages
-               !url.includes('icon') && // Skip icons
-               !url.match(/\.(gif|png|jpg|jpeg)\?.*[wh]=\d{1,2}$/) && // Skip very small images
-               !url.includes('1x1') &&
-               !url.includes('avatar') && // Skip user avatars
-               !url.includes('profile'); // Skip profile images
-      })
-      .slice(0, 3); // Limit to 3 additional images to avoid overwhelming vintage systems
-    
-    console.log(`Found ${relevantImages.length} additional relevant images for page: ${targetUrl}`);
-    
-    // Process additional relevant images and add them to the page
-    const additionalImagePromises = relevantImages.map((imgData, index) => {
-      return processImage(imgData.src, targetUrl).then(processedImage => {
-        if (processedImage) {
-          currentPageImages.add(imgData.src); // Track this image as being on this page
-          
-          // Create new img element and add to content
-          const newImg = document.createElement('img');
-          newImg.setAttribute('src', `http://${req.headers.host}${processedImage.path}`);
-          newImg.setAttribute('width', processedImage.width.toString());
-          newImg.setAttribute('height', processedImage.height.toString());
-          newImg.setAttribute('style', 'display: block; margin: 10px 0; border: 1px solid #ccc;');
-          if (imgData.alt) {
-            newImg.setAttribute('alt', imgData.alt);
-          }
-          if (imgData.title) {
-            newImg.setAttribute('title', imgData.title);
-          }
-          
-          // Insert images strategically in the content
-          const paragraphs = document.querySelectorAll('p');
-          if (paragraphs.length > index + 1) {
-            // Insert after different paragraphs to spread them out
-            const targetP = paragraphs[index + 1];
-            if (targetP && targetP.parentNode) {
-              targetP.parentNode.insertBefore(newImg, targetP.nextSibling);
-            }
-          } else if (document.body) {
-            document.body.appendChild(newImg);
+    } else {
+      img.remove();
+    }
+  });
+  
+  // Filter additional images from original page, skipping those already on this page
+  const relevantImages = [];
+  allImages.filter(imgData => !currentPageImages.has(imgData.src)).forEach(imgData => {
+    const rejection = additionalImageRejection(imgData.src);
+    // Limit additional images to avoid overwhelming vintage systems
+    if (!rejection && relevantImages.length < maxAdditionalImages) {
+      relevantImages.push(imgData);
+    } else {
+      context.report?.image(imgData.src, { result: 'rejected', reason: rejection || `only ${maxAdditionalImages} additional images are added` });
+    }
+  });
+  
+  log('info', 'Found additional relevant images', { url: targetUrl, count: relevantImages.length });
+  
+  // Process additional relevant images and add them to the page
+  const additionalImagePromises = relevantImages.map((imgData, index) => {
+    return processImage(context, imgData.src).then(processedImage => {
+      if (processedImage && !processedImage.unavailable) {
+        usedImages.push(processedImage.filename);
+        currentPageImages.add(imgData.src); // Track this image as being on this page
+        
+        // Create new img element and add to content
+        const newImg = document.createElement('img');
+        newImg.setAttribute('src', localUrl(req, processedImage.path));
+        newImg.setAttribute('width', processedImage.width.toString());
+        newImg.setAttribute('height', processedImage.height.toString());
+        newImg.setAttribute('style', 'display: block; margin: 10px 0; border: 1px solid #ccc;');
+        if (imgData.alt) {
+          newImg.setAttribute('alt', imgData.alt);
+        }
+        if (imgData.title) {
+          newImg.setAttribute('title', imgData.title);
+        }
+        
+        // Insert images strategically in the content
+        const paragraphs = document.querySelectorAll('p');
+        if (paragraphs.length > index + 1) {
+          // Insert after different paragraphs to spread them out
+          const targetP = paragraphs[index + 1];
+          if (targetP && targetP.parentNode) {
+            targetP.parentNode.insertBefore(newImg, targetP.nextSibling);
           }
-          
-          console.log(`Added additional image: ${imgData.src}`);
+        } else if (document.body) {
+          document.body.appendChild(newImg);
         }
-      }).catch(error => {
-        console.log(`Failed to process additional image: ${imgData.src} - ${error.message}`);
-      });
+        
+        log('info', 'Added additional image', { url: imgData.src });
+      }
+    }).catch(error => {
+      log('info', 'Failed to process additional image', { url: imgData.src, error: error.message });
     });
-    
-    imagePromises.push(...additionalImagePromises);
-    
-    // Process website logo
-    let websiteLogo = null;
-    if (logoUrls.length > 0) {
-      for (const logoUrl of logoUrls) {
-        try {
-          websiteLogo = await processLogo(logoUrl, targetUrl);
-          if (websiteLogo) {
-            console.log(`Successfully processed logo: ${logoUrl}`);
-            break; // Use the first successful logo
-          }
-        } catch (error) {
-          console.log(`Failed to process logo ${logoUrl}:`, error.message);
+  });
+  
+  imagePromises.push(...additionalImagePromises);
+  
+  // Process website logo
+  let websiteLogo = null;
+  if (logoUrls.length > 0) {
+    for (const logoUrl of logoUrls) {
+      try {
+        websiteLogo = await processLogo(context, logoUrl);
+        context.report?.logo(logoUrl, { result: websiteLogo ? 'used' : 'failed' });
+        if (websiteLogo) {
+          usedImages.push(websiteLogo.filename);
+          log('info', 'Successfully processed logo', { url: logoUrl });
+          logoUrls.slice(logoUrls.indexOf(logoUrl) + 1)
+            .forEach(skipped => context.report?.logo(skipped, { result: 'not tried', reason: 'an earlier logo was used' }));
+          break; // Use the first successful logo
         }
+      } catch (error) {
+        context.report?.logo(logoUrl, { result: 'failed', reason: error.message });
+        log('info', 'Failed to process logo', { url: logoUrl, error: error.message });
       }
     }
-    
-    // Wait for all image processing to complete
-    await Promise.all(imagePromises);
-    
-    // Generate website header
-    const websiteUrl = new URL(targetUrl);
-    const websiteName = websiteUrl.hostname.replace('www.', '');
-    
-    const logoHtml = websiteLogo 
-      ? `<img src="http://${req.headers.host}${websiteLogo.path}" width="${websiteLogo.width}" height="${websiteLogo.height}" alt="${websiteName} logo">` 
-      : '';
-    
-    const headerHtml = `
-      <div class="website-header">
-        ${logoHtml}
-        <strong>Source:</strong> ${websiteName} 
-        <span class="website-info">(${websiteUrl.protocol}//${websiteUrl.host})</span>
-      </div>
-    `;
-
-    // Enhanced CSS and styling support
-    document.querySelectorAll("*").forEach((el) => {
-      const style = el.getAttribute("style");
-      if (style) {
-        // Preserve background colors but remove background images
-        let newStyle = style
-          .replace(/background-image[^;]*;?/gi, '')
-          .replace(/background[^;]*url\([^)]*\)[^;]*;?/gi, '')
-          .trim();
-        
-        // Keep basic styling properties that work on vintage systems
-        const allowedProperties = [
-          'color', 'background-color', 'font-size', 'font-weight', 'font-family',
-          'text-align', 'margin', 'padding', 'border', 'width', 'height'
-        ];
-        
-        const styleParts = newStyle.split(';').filter(part => {
-          const property = part.split(':')[0]?.trim().toLowerCase();
-          return property && allowedProperties.some(allowed => property.includes(allowed));
-        });
-        
-        if (styleParts.length > 0) {
-          el.setAttribute("style", styleParts.join(';') + (styleParts[styleParts.length - 1].endsWith(';') ? '' : ';'));
-        } else {
-          el.removeAttribute("style");
-        }
+  }
+  
+  // Wait for all image processing to complete
+  await Promise.all(imagePromises);
+  imagesDone();
+  
+  // Generate website header, showing where the page came from when it was redirected
+  // (fetching it over HTTPS rather than HTTP doesn't count)
+  const websiteUrl = new URL(pageUrl);
+  const websiteName = websiteUrl.hostname.replace('www.', '');
+  const redirectedHtml = toHttp(pageUrl) !== toHttp(targetUrl)
+    ? `<br><span class="website-info">Redirected to ${escapeHtml(toHttp(pageUrl))}</span>`
+    : '';
+  
+  const logoHtml = websiteLogo 
+    ? `<img src="${localUrl(req, websiteLogo.path)}" width="${websiteLogo.width}" height="${websiteLogo.height}" alt="${websiteName} logo">` 
+    : '';
+  
+  const headerHtml = `
+    <div class="website-header">
+      ${logoHtml}
+      <strong>Source:</strong> ${websiteName} 
+      <span class="website-info">(${websiteUrl.protocol}//${websiteUrl.host})</span>
+      ${redirectedHtml}
+    </div>
+  `;
+
+  // Enhanced CSS and styling support; clients below the inline CSS level get no page styles at all
+  if (cssLevel < CSS_LEVELS.inline) {
+    context.report?.note(`The client profile's CSS level (${cssLevel}) removes every style attribute and stylesheet.`);
+    stripStyles(document);
+  }
+  document.querySelectorAll("*").forEach((el) => {
+    const style = el.getAttribute("style");
+    if (style) {
+      // Preserve background colors but remove background images
+      let newStyle = style
+        .replace(/background-image[^;]*;?/gi, '')
+        .replace(/background[^;]*url\([^)]*\)[^;]*;?/gi, '')
+        .trim();
+      
+      // Keep basic styling properties that work on vintage systems
+      const allowedProperties = [
+        'color', 'background-color', 'font-size', 'font-weight', 'font-family',
+        'text-align', 'margin', 'padding', 'border', 'width', 'height'
+      ];
+      
+      const styleParts = newStyle.split(';').filter(part => {
+        const property = part.split(':')[0]?.trim().toLowerCase();
+        return property && allowedProperties.some(allowed => property.includes(allowed));
+      });
+      context.report?.stylesCleaned(style, styleParts);
+      
+      if (styleParts.length > 0) {
+        el.setAttribute("style", styleParts.join(';') + (styleParts[styleParts.length - 1].endsWith(';') ? '' : ';'));
+      } else {
+        el.removeAttribute("style");
+      }
+    }
+  });
+  
+  // Add basic CSS for vintage Mac compatibility
+  const basicStyles = cssLevel === CSS_LEVELS.none ? '' : `
+    <style>
+      body { font-family: Geneva, Arial, sans-serif; font-size: 12px; line-height: 1.4; margin: 8px; }
+      h1 { font-size: 18px; font-weight: bold; margin: 8px 0; }
+      h2 { font-size: 16px; font-weight: bold; margin: 6px 0; }
+      h3 { font-size: 14px; font-weight: bold; margin: 4px 0; }
+      p { margin: 4px 0; }
+      a { color: #0000FF; text-decoration: underline; }
+      a:visited { color: #800080; }
+      img { max-width: ${maxWidth}px; max-height: ${maxHeight}px; border: 1px solid #000; height: auto; width: auto; }
+      table { border-collapse: collapse; width: 100%; }
+      td, th { border: 1px solid #000; padding: 2px; font-size: 11px; }
+      .website-header { 
+        background-color: #f0f0f0; 
+        border: 2px solid #ccc; 
+        padding: 8px; 
+        margin-bottom: 12px; 
+        font-size: 11px;
+        font-family: Geneva, Arial, sans-serif;
+      }
+      .website-header img { 
+        vertical-align: middle; 
+        margin-right: 8px; 
+        border: 1px solid #999;
+        max-width: ${logoSize}px;
+        max-height: ${logoSize}px;
       }
+      .website-info { color: #666; margin-left: 8px; }
+    </style>
+  `;
+
+  // Add a toolbar with links home, to bookmark this page, to switch between the readable
+  // and full page views (unless Readability already failed on this page) and to view the
+  // original page
+  const originalUrl = localUrl(req, `/original?url=${encodeURIComponent(targetUrl)}`);
+  const otherView = article ? 'full' : 'readable';
+  const toolbarLinks = [
+    [localUrl(req, '/'), 'Home'],
+    [bookmarkUrl(req, targetUrl, title), 'Bookmark'],
+    ...(article || !tryReadability
+      ? [[escapeHtml(localUrl(req, `/?url=${encodeURIComponent(targetUrl)}&view=${otherView}`)), article ? 'Full Page' : 'Readable View']]
+      : []),
+    [originalUrl, 'View Original Page', ' target="_blank"']
+  ];
+
+  // Convert HTML content from UTF-8 to ISO-8859-1
+  const htmlContent = `
+    <html>
+      <head>
+        <meta charset="ISO-8859-1">
+        <title>${escapeHtml(title)}</title>
+        ${basicStyles}
+      </head>
+      <body>
+        ${toolbarHtml(cssLevel, toolbarLinks)}
+        ${headerHtml}
+        ${article ? `<h1>${escapeHtml(title)}</h1>` : ''}
+        ${document.body.innerHTML}
+      </body>
+    </html>
+  `;
+
+  return keepRenderedPage(context, cacheKey, response, { html: htmlContent, title, images: usedImages }, !imagesUnavailable);
+}
+
+// Function to keep a rendered page in the page cache, with the upstream validators for
+// revalidating it later; pages that can't be kept are dropped from it
+function keepRenderedPage(context, cacheKey, response, { html, title, images }, keep = true) {
+  const renderedAt = Date.now();
+  if (cacheKey && keep && isCacheable(response)) {
+    context.pageCache.set(cacheKey, {
+      html,
+      title,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      images
+    }, renderedAt);
+  } else if (cacheKey) {
+    context.pageCache.delete(cacheKey);
+  }
+
+  return { html, title, renderedAt };
+}
+
+// Function to build the bookmark link for the toolbar
+function bookmarkUrl(req, url, title) {
+  return escapeHtml(localUrl(req, `/bookmarks?add=${encodeURIComponent(url)}&title=${encodeURIComponent(title || '')}`));
+}
+
+// Function to build the toolbar at the top of proxied pages from [href, label, attributes]
+// links: a table with font colours for clients without CSS, a styled bar for the rest
+function toolbarHtml(cssLevel, links) {
+  return cssLevel === CSS_LEVELS.none ? `
+    <table width="100%" border="0" cellpadding="6" cellspacing="0">
+      <tr><td bgcolor="#333333" align="center">${links.map(([href, label, target = '']) => `<a href="${href}"${target}><font color="#FFFFFF"><b>${label}</b></font></a>`).join(' <font color="#FFFFFF">|</font> ')}</td></tr>
+    </table>
+  ` : `
+    <div style="background-color: #333; color: white; padding: 10px; text-align: center;">
+      ${links.map(([href, label, target = '']) => `<a href="${href}"${target} style="color: white; text-decoration: none; font-weight: bold;">${label}</a>`).join(' | ')}
+    </div>
+  `;
+}
+
+// Function to wrap an image, text or download page in the toolbar, without the styles and
+// site header articles get
+function contentPage(req, cssLevel, targetUrl, title, body) {
+  const toolbarLinks = [
+    [localUrl(req, '/'), 'Home'],
+    [bookmarkUrl(req, targetUrl, title), 'Bookmark']
+  ];
+  return `<html>
+<head>
+<meta charset="ISO-8859-1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+${toolbarHtml(cssLevel, toolbarLinks)}
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+// How far an image opened on its own can be zoomed, in multiples of the image limits
+const IMAGE_ZOOM_LEVELS = [1, 2, 4];
+
+// Function to convert an image opened on its own, or shown in the lite view's layout, to
+// fit the image limits times `zoom`. Unlike article images, small ones are kept.
+// `loadImage` gives the image's bytes, or null if there is no image, and is only called
+// when the converted image isn't already cached.
+async function processTargetImage(context, imageUrl, zoom, loadImage) {
+  const { imageCache, options } = context;
+  const { maxWidth, maxHeight, quality } = options.imageLimits;
+  const filename = profileFilename(options, imageFilename(`${createImageHash(imageUrl)}_zoom${zoom}`, options.imageFormat));
+
+  const cachedMetadata = imageCache.get(filename);
+  context.trace.cacheResult('image', cachedMetadata ? 'hit' : 'miss');
+  if (cachedMetadata) {
+    log('info', 'Using cached image', { file: filename });
+    return { filename, path: imageCache.publicPath(filename), width: cachedMetadata.width, height: cachedMetadata.height };
+  }
+
+  // A client opening the same image twice at once gets one fetch and one conversion
+  return context.imageJobs.run(sessionJobKey(context, filename), async () => {
+    const buffer = await loadImage();
+    if (!buffer) {
+      return null;
+    }
+    const { processedBuffer, processedMetadata } = await runTransform(context, async () => {
+      const resizedImage = sharp(buffer).resize({
+        width: maxWidth * zoom,
+        height: maxHeight * zoom,
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+      const processedBuffer = await encodeImage(resizedImage, { ...options, quality });
+      return { processedBuffer, processedMetadata: await sharp(processedBuffer).metadata() };
     });
-    
-    // Add basic CSS for vintage Mac compatibility
-    const basicStyles = `
-      <style>
-        body { font-family: Geneva, Arial, sans-serif; font-size: 12px; line-height: 1.4; margin: 8px; }
-        h1 { font-size: 18px; font-weight: bold; margin: 8px 0; }
-        h2 { font-size: 16px; font-weight: bold; margin: 6px 0; }
-        h3 { font-size: 14px; font-weight: bold; margin: 4px 0; }
-        p { margin: 4px 0; }
-        a { color: #0000FF; text-decoration: underline; }
-        a:visited { color: #800080; }
-        img { max-width: 320px; max-height: 240px; border: 1px solid #000; height: auto; width: auto; }
-        table { border-collapse: collapse; width: 100%; }
-        td, th { border: 1px solid #000; padding: 2px; font-size: 11px; }
-        .website-header { 
-          background-color: #f0f0f0; 
-          border: 2px solid #ccc; 
-          padding: 8px; 
-          margin-bottom: 12px; 
-          font-size: 11px;
-          font-family: Geneva, Arial, sans-serif;
-        }
-        .website-header img { 
-          vertical-align: middle; 
-          margin-right: 8px; 
-          border: 1px solid #999;
-          max-width: 32px;
-          max-height: 32px;
-        }
-        .website-info { color: #666; margin-left: 8px; }
-      </style>
-    `;
-
-    // Add a toolbar with a button to view the original page
-    const toolbarHtml = `
-      <div style="background-color: #333; color: white; padding: 10px; text-align: center;">
-        <a href="/original?url=${encodeURIComponent(
-          targetUrl
-        )}" target="_blank" style="color: white; text-decoration: none; font-weight: bold;">View Original Page</a>
-      </div>
-    `;
-
-    // Convert HTML content from UTF-8 to ISO-8859-1
-    const htmlContent = `
-      <html>
-        <head>
-          <meta charset="ISO-8859-1">
-          <title>${article.title}</title>
-          ${basicStyles}
-        </head>
-        <body>
-          ${toolbarHtml}
-          ${headerHtml}
-          <h1>${article.title}</h1>
-          ${document.body.innerHTML}
-        </body>
-      </html>
-    `;
-
-    // Convert to ISO-8859-1 using iconv-lite
-    const isoHtml = iconv.encode(htmlContent, "ISO-8859-1");
-
-    // Set response headers to indicate the encoding
-    res.setHeader("Content-Type", "text/html; charset=ISO-8859-1");
-
-    // Send the ISO-8859-1 encoded content
-    res.send(isoHtml);
-  } catch (error) {
-    res.status(500).send(`Error fetching page: ${error.message}`);
+
+    imageCache.write(filename, processedBuffer, {
+      url: imageUrl,
+      width: processedMetadata.width,
+      height: processedMetadata.height,
+      profile: options.profile
+    });
+
+    log('info', 'Processed image', { url: imageUrl, file: filename, width: processedMetadata.width, height: processedMetadata.height });
+    return { filename, path: imageCache.publicPath(filename), width: processedMetadata.width, height: processedMetadata.height };
+  });
+}
+
+// Function to render a response that isn't HTML: an image converted to fit the screen,
+// with links to zoom in; text and Markdown, and JSON and XML laid out to read; anything
+// else as a link that downloads it through the proxy, without fetching it here
+async function renderContent(context, req, targetUrl, cacheKey, response, kind) {
+  const { options } = context;
+  const pageUrl = response.finalUrl || targetUrl;
+  const contentType = response.headers.get('content-type');
+  const title = fileTitle(pageUrl);
+  const images = [];
+  let body;
+
+  if (kind === 'binary') {
+    discardBody(response);
+    const length = response.headers.get('content-length');
+    body = renderDownload(req, pageUrl, contentType, length ? Number(length) : null);
+  } else if (kind === 'image') {
+    const buffer = Buffer.from(await context.trace.time('fetch', () => response.arrayBuffer()));
+    context.trace.received(buffer.length);
+    const zoom = IMAGE_ZOOM_LEVELS.includes(Number(req.query.zoom)) ? Number(req.query.zoom) : 1;
+    try {
+      const image = await context.trace.time('images', () => processTargetImage(context, pageUrl, zoom, async () => buffer));
+      images.push(image.filename);
+      context.report?.image(pageUrl, { onPage: true, result: 'kept', reason: `converted to ${image.width}x${image.height}` });
+      const zoomLinks = IMAGE_ZOOM_LEVELS.map(level => (level === zoom
+        ? `<b>${level}x</b>`
+        : `<a href="${escapeHtml(localUrl(req, `/?url=${encodeURIComponent(targetUrl)}&zoom=${level}`))}">${level}x</a>`));
+      body = `<p><img src="${localUrl(req, image.path)}" width="${image.width}" height="${image.height}" alt="${escapeHtml(title)}"></p>
+<p>Zoom: ${zoomLinks.join(' | ')}</p>
+<p><a href="${escapeHtml(downloadUrl(req, pageUrl))}">Download the original</a> (${escapeHtml(contentType || 'image')}, ${formatBytes(buffer.length)})</p>`;
+    } catch (error) {
+      // Formats sharp can't read are offered as a download instead
+      log('info', 'Could not convert image', { url: pageUrl, error: error.message });
+      context.report?.image(pageUrl, { onPage: true, result: 'rejected', reason: error.message });
+      body = renderDownload(req, pageUrl, contentType, buffer.length);
+    }
+  } else {
+    const { html: text, charset, bytes } = await context.trace.time('fetch', () => readHtml(response));
+    context.trace.received(bytes);
+    if (context.report) {
+      context.report.page = { ...context.report.page, charset, bytes };
+    }
+    body = context.trace.time('parse', () => renderTextContent(kind, text, req, pageUrl));
+  }
+  if (context.report) {
+    context.report.view = kind === 'binary' ? 'download link' : `${kind} page`;
   }
-});
 
-app.listen(PORT, () => {
-  console.log(`Readability proxy running on http://localhost:${PORT}`);
-});
+  const html = contentPage(req, options.cssLevel, targetUrl, title, body);
+  return keepRenderedPage(context, cacheKey, response, { html, title, images });
+}
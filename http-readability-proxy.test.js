@@ -1,13 +1,18 @@
 import request from 'supertest';
 import express from 'express';
+import http from 'http';
+import { PassThrough, Readable } from 'stream';
 import { jest } from '@jest/globals';
 
 // Mock dependencies
 const mockFetch = jest.fn();
 const mockJSDOM = jest.fn();
 const mockReadability = jest.fn();
+const mockIsProbablyReaderable = jest.fn();
 const mockIconv = {
   encode: jest.fn(),
+  decode: jest.fn((buffer) => buffer.toString('latin1')),
+  encodingExists: jest.fn(() => true),
 };
 const mockSharp = jest.fn();
 
@@ -21,6 +26,7 @@ jest.unstable_mockModule('jsdom', () => ({
 
 jest.unstable_mockModule('@mozilla/readability', () => ({
   Readability: mockReadability,
+  isProbablyReaderable: mockIsProbablyReaderable,
 }));
 
 jest.unstable_mockModule('iconv-lite', () => ({
@@ -36,6 +42,11 @@ jest.unstable_mockModule('fs', () => ({
   mkdirSync: jest.fn(),
   existsSync: jest.fn(() => false),
   writeFileSync: jest.fn(),
+  readdirSync: jest.fn(() => []),
+  statSync: jest.fn(),
+  unlinkSync: jest.fn(),
+  renameSync: jest.fn(),
+  readFileSync: jest.fn(),
 }));
 
 describe('HTTP Readability Proxy - HTML Generation', () => {
@@ -48,7 +59,7 @@ describe('HTTP Readability Proxy - HTML Generation', () => {
     mockFetch.mockResolvedValue({
       ok: true,
       status: 200,
-      text: jest.fn().mockResolvedValue('<html><head><title>Test Page</title></head><body><p>Test content</p></body></html>'),
+      arrayBuffer: jest.fn().mockResolvedValue(Buffer.from('<html><head><title>Test Page</title></head><body><p>Test content</p></body></html>')),
       headers: {
         get: jest.fn().mockReturnValue('text/html'),
       },
@@ -73,13 +84,15 @@ describe('HTTP Readability Proxy - HTML Generation', () => {
       })),
     };
 
-    mockJSDOM.mockImplementation(() => ({
+    mockJSDOM.mockImplementation((html) => ({
       window: {
         document: mockDocument,
       },
+      serialize: () => html,
     }));
 
     // Mock Readability
+    mockIsProbablyReaderable.mockReturnValue(true);
     mockReadability.mockImplementation(() => ({
       parse: jest.fn().mockReturnValue({
         title: 'Test Article Title',
@@ -325,6 +338,888 @@ describe('HTTP Readability Proxy - HTML Generation', () => {
       expect(response.headers['content-type']).toContain('charset');
     });
   });
+
+  describe('Real App Tests', () => {
+    let createReadabilityProxy;
+
+    beforeAll(async () => {
+      ({ createReadabilityProxy } = await import('./http-readability-proxy.js'));
+    });
+
+    test('should serve the readable article from the real app', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/story');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/html; charset=ISO-8859-1');
+      expect(response.text).toContain('<meta charset="ISO-8859-1">');
+      expect(response.text).toContain('<title>Test Article Title</title>');
+      expect(response.text).toContain('<p>Readable content here</p>');
+      expect(mockFetch).toHaveBeenCalledWith('http://example.com/story', expect.any(Object));
+    });
+
+    test('should read the target URL from the path and fix the ttp:// typo', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      await request(app).get('/ttp://example.com/');
+
+      expect(mockFetch).toHaveBeenCalledWith('http://example.com/', expect.any(Object));
+    });
+
+    test('should send the configured User-Agent upstream', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache', userAgent: 'TestAgent/1.0' });
+      await request(app).get('/?url=http://example.com/');
+
+      expect(mockFetch.mock.calls[0][1].headers['User-Agent']).toBe('TestAgent/1.0');
+    });
+
+    test('should render pages afresh for each session holding Secure cookies for the site', async () => {
+      const { createCookieStore } = await import('./lib/cookie-jar.js');
+      const { createHttpsHosts } = await import('./lib/https-hosts.js');
+      const cookieStore = createCookieStore();
+      const httpsHosts = createHttpsHosts();
+      httpsHosts.remember('example.com');
+      const sessions = ['0123456789abcdef0123456789abcdef', 'fedcba9876543210fedcba9876543210'];
+      sessions.forEach((sessionId, index) => {
+        cookieStore.jar(sessionId).store('https://example.com/', { headers: { getSetCookie: () => [`sid=${index}; Secure`] } });
+      });
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache', cookieStore, httpsHosts });
+
+      for (const sessionId of sessions) {
+        const response = await request(app).get('/?url=http://example.com/account').set('Host', 'proxy.local').set('Cookie', `proxy_session=${sessionId}`);
+        expect(response.status).toBe(200);
+      }
+
+      const pageFetches = mockFetch.mock.calls.filter(([url]) => url === 'https://example.com/account');
+      expect(pageFetches.map(call => call[1].headers.Cookie)).toEqual(['sid=0', 'sid=1']);
+    });
+
+    test('should serve the home page when no URL is provided', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const responses = [await request(app).get('/').set('Host', 'proxy.local'), await request(app).get('/?url=')];
+
+      responses.forEach(response => expect(response.status).toBe(200));
+      expect(responses[0].text).toContain('<form method="get" action="http://proxy.local/">');
+      expect(responses[0].text).toContain('<input type="text" name="url" size="40">');
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test('should list the pages a session read and keep its bookmarks on the home page', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const session = 'proxy_session=0123456789abcdef0123456789abcdef';
+      const page = await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local').set('Cookie', session);
+      expect(page.text).toContain('<a href="http://proxy.local/bookmarks?add=http%3A%2F%2Fexample.com%2Fstory&amp;title=Test%20Article%20Title"');
+
+      let home = await request(app).get('/').set('Host', 'proxy.local').set('Cookie', session);
+      expect(home.text).toContain('<a href="http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fstory">Test Article Title</a>');
+      expect(home.text).toContain('<p>No bookmarks yet.</p>');
+
+      const added = await request(app).get('/bookmarks?add=example.com/story&title=My%20Story').set('Host', 'proxy.local').set('Cookie', session);
+      expect(added.status).toBe(302);
+      expect(added.headers.location).toBe('http://proxy.local/');
+      home = await request(app).get('/').set('Host', 'proxy.local').set('Cookie', session);
+      expect(home.text).toContain('>My Story</a>');
+      expect(home.text).toContain('<form method="post" action="http://proxy.local/bookmarks">\n<input type="hidden" name="remove" value="http://example.com/story"><input type="submit" value="Delete">');
+
+      const stranger = await request(app).get('/').set('Host', 'proxy.local');
+      expect(stranger.text).not.toContain('My Story');
+      expect(stranger.text).not.toContain('Test Article Title');
+
+      // Links can't delete anything
+      await request(app).get('/bookmarks?remove=http%3A%2F%2Fexample.com%2Fstory').set('Cookie', session);
+      await request(app).get('/bookmarks?clearHistory=1').set('Cookie', session);
+      home = await request(app).get('/').set('Cookie', session);
+      expect(home.text).toContain('>My Story</a>');
+      expect(home.text).toContain('>Test Article Title</a>');
+
+      await request(app).post('/bookmarks').type('form').send('remove=http%3A%2F%2Fexample.com%2Fstory').set('Cookie', session);
+      await request(app).post('/bookmarks').type('form').send('clearHistory=1').set('Cookie', session);
+      home = await request(app).get('/').set('Cookie', session);
+      expect(home.text).toContain('<p>No bookmarks yet.</p>');
+      expect(home.text).toContain('<p>Pages you read will be listed here.</p>');
+    });
+
+    test('should refuse to bookmark addresses that are not web pages', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/bookmarks?add=javascript%3A%3Cb%3Ealert(1)%3C%2Fb%3E');
+
+      expect(response.status).toBe(400);
+      expect(response.text).toContain('javascript:&lt;b&gt;alert(1)&lt;/b&gt;');
+    });
+
+    test('should pick a client profile from the path prefix and keep it in links', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/p/palm/?url=http://example.com/').set('Host', 'proxy.local');
+
+      expect(response.status).toBe(200);
+      expect(response.text).not.toContain('<style>');
+      expect(response.text).toContain('href="http://proxy.local/p/palm/original?url=http%3A%2F%2Fexample.com%2F"');
+      expect(mockFetch).toHaveBeenCalledWith('http://example.com/', expect.any(Object));
+    });
+
+    test('should pick a client profile from the User-Agent', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/').set('User-Agent', 'MacWeb/2.0');
+
+      expect(response.headers['content-type']).toBe('text/html; charset=x-mac-roman');
+    });
+
+    test('should let the profile cookie win over the User-Agent', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app)
+        .get('/?url=http://example.com/')
+        .set('User-Agent', 'Mozilla/4.0 (compatible; MSIE 5.0; Mac_PowerPC)')
+        .set('Cookie', 'proxy_profile=palm');
+
+      expect(response.headers['content-type']).toBe('text/html; charset=ISO-8859-1');
+      expect(response.text).not.toContain('<style>');
+    });
+
+    test('should store the profile chosen on the /profile page in a cookie', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/profile?name=kindle').set('Host', 'proxy.local');
+
+      expect(response.status).toBe(302);
+      expect(response.headers['set-cookie']).toContainEqual(expect.stringMatching(/^proxy_profile=kindle; Max-Age=\d+; Path=\//));
+      expect(response.headers.location).toBe('http://proxy.local/profile');
+    });
+
+    test('should follow redirects and replay the cookies they set on later requests', async () => {
+      const redirect = {
+        ok: false,
+        status: 302,
+        headers: {
+          get: jest.fn((name) => (name === 'location' ? '/home' : null)),
+          raw: () => ({ 'set-cookie': ['sid=abc123; Path=/'] }),
+        },
+      };
+      mockFetch.mockResolvedValueOnce(redirect);
+
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const cookieSent = (url) => mockFetch.mock.calls.filter(([calledUrl]) => calledUrl === url).pop()[1].headers.Cookie;
+      const first = await request(app).get('/?url=http://example.com/login');
+      const session = first.headers['set-cookie'].find(cookie => cookie.startsWith('proxy_session='));
+
+      expect(first.status).toBe(200);
+      expect(cookieSent('http://example.com/home')).toBe('sid=abc123');
+
+      await request(app).get('/?url=http://example.com/other').set('Cookie', session.split(';')[0]);
+      expect(cookieSent('http://example.com/other')).toBe('sid=abc123');
+
+      // A client without the session cookie gets a jar of its own
+      await request(app).get('/?url=http://example.com/other');
+      expect(cookieSent('http://example.com/other')).toBeUndefined();
+    });
+
+    test('should serve a repeat visit from the page cache without re-rendering', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const first = await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+      const fetches = mockFetch.mock.calls.length;
+      const second = await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+
+      expect(second.status).toBe(200);
+      expect(second.text).toBe(first.text);
+      expect(mockFetch.mock.calls.length).toBe(fetches);
+      expect(mockReadability).toHaveBeenCalledTimes(1);
+    });
+
+    test('should revalidate stale pages upstream and reuse them on a 304', async () => {
+      const upstreamHeaders = { etag: '"v1"', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' };
+      mockFetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        arrayBuffer: jest.fn().mockResolvedValue(Buffer.from('<html><body><p>Test content</p></body></html>')),
+        headers: { get: jest.fn((name) => upstreamHeaders[name] || (name === 'content-type' ? 'text/html' : null)) },
+      });
+
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache', pageCacheMaxAge: 0 });
+      const first = await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+
+      mockFetch.mockClear();
+      mockFetch.mockResolvedValueOnce({ ok: false, status: 304, headers: { get: jest.fn(() => null) } });
+      const second = await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+
+      expect(mockFetch.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"');
+      expect(mockFetch.mock.calls[0][1].headers['If-Modified-Since']).toBe('Mon, 01 Jan 2024 00:00:00 GMT');
+      expect(second.status).toBe(200);
+      expect(second.text).toBe(first.text);
+      expect(mockReadability).toHaveBeenCalledTimes(1);
+    });
+
+    test('should send its own ETag and Last-Modified and answer 304 to browsers', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const first = await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+
+      expect(first.headers.etag).toBeDefined();
+      expect(first.headers['last-modified']).toBeDefined();
+
+      const byEtag = await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local').set('If-None-Match', first.headers.etag);
+      const byDate = await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local').set('If-Modified-Since', first.headers['last-modified']);
+      expect(byEtag.status).toBe(304);
+      expect(byDate.status).toBe(304);
+    });
+
+    test('should render a page once for identical requests arriving together', async () => {
+      const page = await mockFetch();
+      mockFetch.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve(page), 50)));
+
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache', pageCacheSize: 0 });
+      const responses = await Promise.all([1, 2, 3].map(() => request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local')));
+
+      responses.forEach(response => expect(response.status).toBe(200));
+      expect(mockFetch.mock.calls.filter(([url]) => url === 'http://example.com/story')).toHaveLength(1);
+      expect(mockReadability).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not cache form submissions', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      await request(app).post('/?url=http://example.com/search').type('form').send('q=mac');
+      await request(app).post('/?url=http://example.com/search').type('form').send('q=mac');
+
+      expect(mockReadability).toHaveBeenCalledTimes(2);
+    });
+
+    test('should log each request as one JSON line with its stages, bytes and cache hits', async () => {
+      const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+      await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+      const records = consoleLog.mock.calls.map(([line]) => JSON.parse(line)).filter(record => record.message === 'request');
+      consoleLog.mockRestore();
+
+      expect(records).toHaveLength(2);
+      expect(records[0]).toMatchObject({ method: 'GET', url: 'http://example.com/story', route: 'readable', status: 200, cache: { page: { miss: 1 } } });
+      expect(Object.keys(records[0].stages).sort()).toEqual(['encode', 'fetch', 'images', 'parse']);
+      expect(records[0].bytesIn).toBeGreaterThan(0);
+      expect(records[0].bytesOut).toBeGreaterThan(0);
+      expect(records[1].cache).toEqual({ page: { hit: 1 } });
+      expect(Object.keys(records[1].stages)).toEqual(['encode']);
+    });
+
+    test('should count requests in the Prometheus metrics and on the status page', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      await request(app).get('/?url=http://example.com/story');
+
+      const metrics = await request(app).get('/metrics');
+      expect(metrics.headers['content-type']).toMatch(/^text\/plain;.*version=0.0.4/);
+      expect(metrics.text).toContain('proxy_requests_total{route="readable",status="200"} 1');
+      expect(metrics.text).toContain('proxy_stage_duration_seconds_count{stage="parse"} 1');
+      expect(metrics.text).toContain('proxy_page_cache_entries{app="readability"} 1');
+
+      const status = await request(app).get('/status');
+      expect(status.text).toContain('<title>Proxy Status</title>');
+      expect(status.text).toContain('<td>http://example.com/story</td>');
+    });
+
+    test('should show on /debug why each image and logo was kept or rejected', async () => {
+      const element = (attributes) => ({
+        getAttribute: (name) => attributes[name] ?? null,
+        setAttribute: (name, value) => { attributes[name] = value; },
+        removeAttribute: (name) => { delete attributes[name]; },
+        remove: jest.fn(),
+      });
+      const photo = { src: 'http://example.com/photo.jpg', alt: 'Photo' };
+      const { document } = mockJSDOM.getMockImplementation()().window;
+      const originalDocument = {
+        ...document,
+        querySelectorAll: (selector) => (selector === 'img' ? [element(photo), element({ src: '/tracking/dot.gif' })] : []),
+      };
+      const contentDocument = {
+        ...document,
+        querySelectorAll: (selector) => ({ img: [element({ ...photo })], '*': [element({ style: 'color: red; float: left' })] }[selector] || []),
+      };
+      mockJSDOM
+        .mockImplementationOnce(() => ({ window: { document: originalDocument } }))
+        .mockImplementationOnce(() => ({ window: { document: contentDocument } }));
+      const page = await mockFetch();
+      mockFetch.mockImplementation((url) => Promise.resolve(url === 'http://example.com/photo.jpg'
+        ? { ok: true, status: 200, headers: { get: () => 'image/jpeg' }, arrayBuffer: async () => Buffer.alloc(10) }
+        : page));
+
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/debug?url=http://example.com/story').set('Host', 'proxy.local');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<h1>What the Proxy Did</h1>');
+      expect(response.text).toContain('<tr><td>http://example.com/photo.jpg</td><td>page, article</td><td>rejected</td><td>only 10 bytes, likely a tracking pixel</td></tr>');
+      expect(response.text).toContain('<tr><td>http://example.com/tracking/dot.gif</td><td>page</td><td>rejected</td><td>URL contains &quot;tracking&quot;</td></tr>');
+      expect(response.text).toContain('<tr><td>http://example.com/favicon.ico</td><td>failed</td><td>missing or not an image</td></tr>');
+      expect(response.text).toContain('<tr><td>Title</td><td>Test Article Title</td></tr>');
+      expect(response.text).toContain('<tr><td>View</td><td>readable</td></tr>');
+      expect(response.text).toContain('<tr><td>float</td><td>1</td></tr>');
+      expect(response.text).toMatch(/<tr><td>parse<\/td><td>[\d.]+ ms<\/td><\/tr>/);
+      expect(response.text).toMatch(/<tr><td>Sent to the browser<\/td><td>\d+ bytes<\/td><\/tr>/);
+    });
+
+    test('should render afresh on /debug without using or filling the page cache', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      await request(app).get('/debug?url=http://example.com/story').set('Host', 'proxy.local');
+      await request(app).get('/debug?url=http://example.com/story').set('Host', 'proxy.local');
+      expect(mockReadability).toHaveBeenCalledTimes(2);
+
+      await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+      expect(mockReadability).toHaveBeenCalledTimes(3);
+      expect((await request(app).get('/debug')).status).toBe(400);
+    });
+
+    test('should show pages that do not look like articles in full, without scripts or handlers', async () => {
+      mockIsProbablyReaderable.mockReturnValue(false);
+      const script = { remove: jest.fn() };
+      const link = { attributes: [{ name: 'onclick' }, { name: 'href' }], getAttribute: () => null, removeAttribute: jest.fn() };
+      const { document } = mockJSDOM.getMockImplementation()().window;
+      mockJSDOM.mockImplementation(() => ({
+        window: {
+          document: {
+            ...document,
+            title: 'Forum Index',
+            body: { innerHTML: '<table><tr><td>Topics</td></tr></table>' },
+            querySelectorAll: (selector) => (selector.startsWith('script') ? [script] : selector === '*' ? [link] : []),
+          },
+        },
+      }));
+
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/forum').set('Host', 'proxy.local');
+
+      expect(response.status).toBe(200);
+      expect(mockReadability).not.toHaveBeenCalled();
+      expect(script.remove).toHaveBeenCalled();
+      expect(link.removeAttribute).toHaveBeenCalledWith('onclick');
+      expect(link.removeAttribute).not.toHaveBeenCalledWith('href');
+      expect(response.text).toContain('<title>Forum Index</title>');
+      expect(response.text).toContain('<table><tr><td>Topics</td></tr></table>');
+      expect(response.text).not.toContain('<h1>');
+      expect(response.text).toContain('<a href="http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fforum&amp;view=readable"');
+    });
+
+    test('should fall back to the full page when Readability finds no article', async () => {
+      mockReadability.mockImplementation(() => ({ parse: () => null }));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/').set('Host', 'proxy.local');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<title>Test Page</title>');
+      expect(response.text).toContain('<p>Readable content here</p>');
+      expect(response.text).not.toContain('view=');
+    });
+
+    test('should switch between the readable and full page views, caching each', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const readable = await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+      expect(readable.text).toContain('<a href="http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fstory&amp;view=full"');
+      expect(readable.text).toContain('<h1>Test Article Title</h1>');
+
+      const full = await request(app).get('/?url=http://example.com/story&view=full').set('Host', 'proxy.local');
+      expect(full.text).toContain('<title>Test Page</title>');
+      expect(full.text).toContain('view=readable');
+      expect(mockReadability).toHaveBeenCalledTimes(1);
+
+      await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+      await request(app).get('/?url=http://example.com/story&view=full').set('Host', 'proxy.local');
+      expect(mockFetch.mock.calls.filter(([url]) => url === 'http://example.com/story')).toHaveLength(2);
+
+      mockIsProbablyReaderable.mockReturnValue(false);
+      await request(app).get('/?url=http://example.com/other&view=readable').set('Host', 'proxy.local');
+      expect(mockReadability).toHaveBeenCalledTimes(2);
+    });
+
+    const fileAnswer = (contentType, body, headers = {}) => ({
+      ok: true,
+      status: 200,
+      body: Object.assign(Readable.from([Buffer.from(body)]), { destroy: jest.fn() }),
+      arrayBuffer: jest.fn().mockResolvedValue(Buffer.from(body)),
+      headers: { get: jest.fn((name) => ({ 'content-type': contentType, ...headers })[name] ?? null) },
+    });
+
+    test('should show an image on a page of its own, converted, with zoom links', async () => {
+      const pipeline = {
+        resize: jest.fn(() => pipeline),
+        jpeg: jest.fn(() => pipeline),
+        toBuffer: jest.fn().mockResolvedValue(Buffer.from('converted')),
+        metadata: jest.fn().mockResolvedValue({ width: 640, height: 480 }),
+      };
+      mockSharp.mockImplementationOnce(() => pipeline).mockImplementationOnce(() => pipeline);
+      mockFetch.mockResolvedValueOnce(fileAnswer('image/png', 'a big photo'));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/photo.png&zoom=2').set('Host', 'proxy.local');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<title>photo.png</title>');
+      expect(response.text).toMatch(/<img src="http:\/\/proxy\.local\/cached_images\/[0-9a-f]+_zoom2\.jpg" width="640" height="480" alt="photo.png">/);
+      expect(response.text).toContain('Zoom: <a href="http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fphoto.png&amp;zoom=1">1x</a> | <b>2x</b> | <a href="http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fphoto.png&amp;zoom=4">4x</a>');
+      expect(response.text).toContain('<a href="http://proxy.local/download?url=http%3A%2F%2Fexample.com%2Fphoto.png">Download the original</a> (image/png, 11 bytes)');
+      expect(pipeline.resize).toHaveBeenCalledWith(expect.objectContaining({ width: 640, height: 480, withoutEnlargement: true }));
+      expect(mockJSDOM).not.toHaveBeenCalled();
+    });
+
+    test('should offer an image it cannot convert as a download', async () => {
+      mockFetch.mockResolvedValueOnce(fileAnswer('image/x-pict', 'PICT data'));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/old.pict');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<b>Download old.pict</b></a> (image/x-pict, 9 bytes)');
+    });
+
+    test('should pretty-print JSON rather than run it through Readability', async () => {
+      mockFetch.mockResolvedValueOnce(fileAnswer('application/json', '{"ok":true}'));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/api/status');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<h1>status</h1>');
+      expect(response.text).toContain('<pre>{\n  &quot;ok&quot;: true\n}</pre>');
+      expect(mockJSDOM).not.toHaveBeenCalled();
+    });
+
+    test('should offer other files as a download link without downloading them', async () => {
+      const file = fileAnswer('application/zip', 'PK', { 'content-length': '2048' });
+      mockFetch.mockResolvedValueOnce(file);
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/files/archive.zip').set('Host', 'proxy.local');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<a href="http://proxy.local/download?url=http%3A%2F%2Fexample.com%2Ffiles%2Farchive.zip"><b>Download archive.zip</b></a> (application/zip, 2.0 KB)');
+      expect(file.body.destroy).toHaveBeenCalled();
+      expect(file.arrayBuffer).not.toHaveBeenCalled();
+    });
+
+    test('should offer a file too big to fetch as a page as a download', async () => {
+      mockFetch.mockResolvedValueOnce(fileAnswer('application/x-stuffit', '', { 'content-length': String(40 * 1024 * 1024) }));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/files/disk.sit');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<b>Download disk.sit</b></a> (application/x-stuffit, 40.0 MB)');
+    });
+
+    test('should pass files through /download as they came, with their name', async () => {
+      mockFetch.mockResolvedValueOnce(fileAnswer('application/zip', 'PK\u0003\u0004', { 'content-length': '4' }));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache', maxDownloadBytes: 1000 });
+      const response = await request(app).get('/download?url=http://example.com/files/archive.zip')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="archive.zip"');
+      expect(response.body).toEqual(Buffer.from('PK\u0003\u0004'));
+      expect(mockFetch.mock.calls[0][1].size).toBe(1000);
+    });
+
+    test('should show an error page when a download is missing', async () => {
+      mockFetch.mockResolvedValueOnce(errorAnswer(404));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/download?url=http://example.com/files/gone.zip');
+
+      expect(response.status).toBe(404);
+      expect(response.text).toContain('<h1>Page Not Found</h1>');
+    });
+
+    test('should stop fetching a download when the browser goes away', async () => {
+      const body = new PassThrough();
+      const closed = new Promise(resolve => body.on('close', resolve));
+      mockFetch.mockResolvedValueOnce({ ...fileAnswer('application/zip', ''), body });
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+
+      const server = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      const req = http.get({ host: '127.0.0.1', port: server.address().port, path: '/download?url=http://example.com/files/big.zip' }, (res) => {
+        res.once('data', () => req.destroy());
+      });
+      req.on('error', () => {});
+      body.write(Buffer.alloc(1024));
+      await closed;
+      server.close();
+
+      expect(body.destroyed).toBe(true);
+    });
+
+    test('should quote the download limits when a download times out or is too big', async () => {
+      mockFetch
+        .mockRejectedValueOnce(Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' }))
+        .mockRejectedValueOnce(Object.assign(new Error('content size over limit'), { type: 'max-size' }));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache', pageTimeout: 15000, downloadTimeout: 120000, maxDownloadBytes: 50 * 1024 * 1024 });
+      const slow = await request(app).get('/download?url=http://example.com/files/slow.zip');
+      const huge = await request(app).get('/download?url=http://example.com/files/huge.zip');
+
+      expect(slow.status).toBe(504);
+      expect(slow.text).toContain('<title>File Took Too Long</title>');
+      expect(slow.text).toContain('within 120 seconds');
+      expect(huge.status).toBe(502);
+      expect(huge.text).toContain('<title>File Too Large</title>');
+      expect(huge.text).toContain('bigger than the 50.0 MB the proxy will download for one file.');
+    });
+
+    test('should show on /debug why a page could not be fetched', async () => {
+      mockFetch.mockRejectedValueOnce(Object.assign(new Error('content size over limit'), { type: 'max-size' }));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/debug?url=http://example.com/huge');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<p><b>Error fetching page: content size over limit (too-large)</b></p>');
+      expect(response.text).toContain('<p>Readability found no article.</p>');
+    });
+
+    const aborted =() =>Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+    test('should answer a page that took too long with an error page and a retry link', async () => {
+      mockFetch.mockRejectedValueOnce(aborted());
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache', pageTimeout: 15000 });
+      const response = await request(app).get('/?url=http://example.com/slow').set('Host', 'proxy.local');
+
+      expect(response.status).toBe(504);
+      expect(response.text).toContain('<title>Page Took Too Long</title>');
+      expect(response.text).toContain('within 15 seconds');
+      expect(response.text).toContain('<a href="http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fslow">Try again</a>');
+    });
+
+    test('should answer a page that was too big with an error page', async () => {
+      mockFetch.mockRejectedValueOnce(Object.assign(new Error('content size over limit'), { type: 'max-size' }));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache', maxPageBytes: 1024 * 1024 });
+      const response = await request(app).get('/?url=http://example.com/huge');
+
+      expect(response.status).toBe(502);
+      expect(response.text).toContain('bigger than the 1.0 MB the proxy will download for one page.');
+    });
+
+    const errorAnswer = (status) => ({
+      ok: false,
+      status,
+      arrayBuffer: jest.fn().mockResolvedValue(Buffer.from('<html><body><p>No such page</p></body></html>')),
+      headers: { get: jest.fn((name) => (name === 'content-type' ? 'text/html' : null)) },
+    });
+
+    test('should answer a redirect it cannot follow, or one too many, with a 502', async () => {
+      mockFetch.mockResolvedValueOnce(errorAnswer(301));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const bare = await request(app).get('/?url=http://example.com/moved');
+
+      expect(bare.status).toBe(502);
+      expect(bare.headers.location).toBeUndefined();
+      expect(bare.text).toContain('<h1>Site Error</h1>');
+
+      const body = { destroy: jest.fn() };
+      mockFetch.mockResolvedValue({ ...errorAnswer(302), body, headers: { get: jest.fn((name) => (name === 'location' ? '/loop' : null)) } });
+      const loop = await request(app).get('/?url=http://example.com/loop');
+
+      expect(loop.status).toBe(502);
+      expect(loop.text).toContain('<h1>Too Many Redirects</h1>');
+      expect(body.destroy).toHaveBeenCalledTimes(11);
+    });
+
+    test('should pass a missing page on as a 404 with links to retry and to the original', async () => {
+      mockFetch.mockResolvedValueOnce(errorAnswer(404));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/gone').set('Host', 'proxy.local');
+
+      expect(response.status).toBe(404);
+      expect(response.text).toContain('<h1>Page Not Found</h1>');
+      expect(response.text).toContain('<a href="http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fgone">Try again</a>');
+      expect(response.text).toContain('<a href="http://proxy.local/original?url=http%3A%2F%2Fexample.com%2Fgone">View the original page</a>');
+      expect(mockReadability).not.toHaveBeenCalled();
+
+      // Error pages aren't cached: the next visit asks the site again
+      await request(app).get('/?url=http://example.com/gone').set('Host', 'proxy.local');
+      expect(mockFetch.mock.calls.filter(([url]) => url === 'http://example.com/gone')).toHaveLength(2);
+    });
+
+    test('should answer a site error with a 502', async () => {
+      mockFetch.mockResolvedValueOnce(errorAnswer(503));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/busy');
+
+      expect(response.status).toBe(502);
+      expect(response.text).toContain('<h1>Site Error</h1>');
+      expect(response.text).toContain('503 Service Unavailable');
+    });
+
+    test('should tell an unknown site apart from one that is not answering', async () => {
+      mockFetch.mockRejectedValueOnce(Object.assign(new Error('getaddrinfo ENOTFOUND nowhere.example'), { code: 'ENOTFOUND' }));
+      // A site refusing plain HTTP is tried once over HTTPS
+      mockFetch.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+      mockFetch.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const unknown = await request(app).get('/?url=http://nowhere.example/');
+      const down = await request(app).get('/?url=http://example.com/down');
+      expect(mockFetch.mock.calls.map(([url]) => url)).toEqual(['http://nowhere.example/', 'http://example.com/down', 'https://example.com/down']);
+
+      expect(unknown.status).toBe(502);
+      expect(unknown.text).toContain('<h1>Site Not Found</h1>');
+      expect(down.status).toBe(502);
+      expect(down.text).toContain('<h1>Site Not Answering</h1>');
+    });
+
+    test('should answer other failures with a 500 error page', async () => {
+      mockReadability.mockImplementationOnce(() => {
+        throw new Error('parser exploded');
+      });
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/?url=http://example.com/story');
+
+      expect(response.status).toBe(500);
+      expect(response.text).toContain('<h1>Page Could Not Be Shown</h1>');
+      expect(response.text).toContain('parser exploded');
+    });
+
+    test('should show where a redirect led and say so on its error page', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: false,
+        status: 301,
+        headers: { get: jest.fn((name) => (name === 'location' ? 'http://example.com/new' : null)) },
+      });
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const moved = await request(app).get('/?url=http://example.com/old');
+
+      expect(moved.status).toBe(200);
+      expect(moved.text).toContain('Redirected to');
+      expect(moved.text).toContain('http://example.com/new');
+
+      mockFetch.mockResolvedValueOnce({
+        ok: false,
+        status: 302,
+        headers: { get: jest.fn((name) => (name === 'location' ? 'http://example.com/missing' : null)) },
+      });
+      mockFetch.mockResolvedValueOnce(errorAnswer(404));
+      const missing = await request(app).get('/?url=http://example.com/link');
+
+      expect(missing.status).toBe(404);
+      expect(missing.text).toContain('The address led to <b>http://example.com/missing</b>.');
+    });
+
+    test('should fetch a site that moved to HTTPS over it from then on, keeping its links plain http', async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: false,
+        status: 301,
+        headers: { get: jest.fn((name) => (name === 'location' ? 'https://secure.example.com/story' : null)) },
+      });
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const first = await request(app).get('/?url=http://secure.example.com/story');
+
+      expect(first.status).toBe(200);
+      expect(first.text).not.toContain('Redirected to');
+      expect(mockFetch.mock.calls.map(([url]) => url)).toContain('https://secure.example.com/story');
+
+      mockFetch.mockClear();
+      await request(app).get('/?url=http://secure.example.com/other');
+      expect(mockFetch.mock.calls[0][0]).toBe('https://secure.example.com/other');
+    });
+
+    test('should pass the page and image limits to each fetch', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache', pageTimeout: 1000, maxPageBytes: 2000 });
+      await request(app).get('/?url=http://example.com/story');
+
+      const pageFetch = mockFetch.mock.calls.find(([url]) => url === 'http://example.com/story')[1];
+      expect(pageFetch.size).toBe(2000);
+      expect(pageFetch.signal).toBeInstanceOf(AbortSignal);
+    });
+
+    test('should show a placeholder for an image that took too long and not cache the page', async () => {
+      const attributes = { src: 'http://example.com/photo.jpg', alt: 'Photo' };
+      const img = {
+        getAttribute: (name) => attributes[name] ?? null,
+        setAttribute: (name, value) => { attributes[name] = value; },
+        removeAttribute: (name) => { delete attributes[name]; },
+        remove: jest.fn(),
+      };
+      const { document } = mockJSDOM.getMockImplementation()().window;
+      mockJSDOM.mockImplementation(() => ({
+        window: { document: { ...document, querySelectorAll: (selector) => (selector === 'img' ? [img] : []) } },
+      }));
+      const page = await mockFetch();
+      mockFetch.mockImplementation((url) => (url === 'http://example.com/photo.jpg' ? Promise.reject(aborted()) : Promise.resolve(page)));
+
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+
+      expect(attributes.src).toBe('http://proxy.local/image-unavailable.gif');
+      expect(attributes.alt).toBe('[Image unavailable: Photo]');
+      expect(img.remove).not.toHaveBeenCalled();
+
+      await request(app).get('/?url=http://example.com/story').set('Host', 'proxy.local');
+      expect(mockReadability).toHaveBeenCalledTimes(2);
+    });
+
+    test('should refuse private addresses in every URL form with an error page', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const responses = [
+        await request(app).get('/?url=http://127.0.0.1:8080/cache'),
+        await request(app).get('/http://192.168.1.1/'),
+        await request(app).get('/original?url=http://169.254.169.254/latest/meta-data/'),
+      ];
+
+      responses.forEach(response => {
+        expect(response.status).toBe(403);
+        expect(response.text).toContain('<title>Address Not Allowed</title>');
+        expect(response.text).not.toContain('Try again');
+      });
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test('should only fetch allowed sites when an allowlist is configured', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache', allowedDomains: ['example.com'] });
+
+      expect((await request(app).get('/?url=http://example.net/')).status).toBe(403);
+      expect((await request(app).get('/?url=http://www.example.com/')).status).toBe(200);
+    });
+
+    test('should serve the placeholder image uncached', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/image-unavailable.gif');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/gif');
+      expect(response.headers['cache-control']).toBe('no-store');
+    });
+
+    test('should reject unknown profile prefixes', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/p/commodore/?url=http://example.com/');
+
+      expect(response.status).toBe(404);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    // Sends an absolute-URI request line, the way a browser configured to use the proxy does
+    function forwardProxyGet(app, buildUrl) {
+      return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+          const url = buildUrl(server.address().port);
+          const req = http.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            path: url,
+            headers: { Host: new URL(url).host },
+          }, (res) => {
+            let text = '';
+            res.setEncoding('latin1');
+            res.on('data', (chunk) => { text += chunk; });
+            res.on('end', () => {
+              server.close();
+              resolve({ status: res.statusCode, text });
+            });
+          });
+          req.on('error', (error) => {
+            server.close();
+            reject(error);
+          });
+          req.end();
+        });
+      });
+    }
+
+    test('should transform pages requested as a forward proxy', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await forwardProxyGet(app, () => 'http://example.com/story?url=ignored');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<title>Test Article Title</title>');
+      expect(mockFetch).toHaveBeenCalledWith('http://example.com/story?url=ignored', expect.any(Object));
+    });
+
+    test('should link back to the proxy itself when used as a forward proxy', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      let port;
+      const response = await forwardProxyGet(app, (listenPort) => {
+        port = listenPort;
+        return 'http://example.com/';
+      });
+
+      expect(response.text).toContain(`href="http://127.0.0.1:${port}/original?url=http%3A%2F%2Fexample.com%2F"`);
+    });
+
+    test('should serve its own routes when a forward-proxy request names the proxy host', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await forwardProxyGet(app, (port) => `http://127.0.0.1:${port}/original?url=http://example.com/`);
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<title>Test Page</title>');
+      expect(mockFetch).toHaveBeenCalledWith('http://example.com/', expect.any(Object));
+    });
+
+    test('should serve the /original route from the real app', async () => {
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/original?url=http://example.com/');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/html; charset=ISO-8859-1');
+      expect(response.text).toContain('<title>Test Page</title>');
+    });
+
+    test('should show the original layout on /original with links, frames and images through the proxy and no scripts', async () => {
+      const element = (tagName, attributes) => ({
+        tagName,
+        attributes: Object.keys(attributes).map(name => ({ name })),
+        getAttribute: (name) => attributes[name] ?? null,
+        setAttribute: (name, value) => { attributes[name] = value; },
+        removeAttribute: (name) => { delete attributes[name]; },
+        remove: jest.fn(),
+      });
+      const [button, frame, photo, cell, link] = [{ onclick: 'go()' }, { src: '/ad' }, { src: 'https://example.com/photo.png', width: '200' }, { background: '/missing.gif' }, { href: '/next' }];
+      const script = element('SCRIPT', {});
+      const body = { tagName: 'BODY', insertAdjacentHTML: jest.fn() };
+      const elements = {
+        '*': [element('BUTTON', button)],
+        'frame[src], iframe[src]': [element('IFRAME', frame)],
+        'img[src], input[type="image"][src]': [element('IMG', photo)],
+        '[background]': [element('TD', cell)],
+        a: [element('A', link)],
+      };
+      const { document } = mockJSDOM.getMockImplementation()().window;
+      mockJSDOM.mockImplementationOnce(() => ({
+        window: { document: { ...document, body, querySelectorAll: (selector) => (selector.startsWith('script') ? [script] : elements[selector] || []) } },
+        serialize: () => '<html><body><p>Lite page</p></body></html>',
+      }));
+      const pipeline = {
+        resize: jest.fn(() => pipeline),
+        jpeg: jest.fn(() => pipeline),
+        toBuffer: jest.fn().mockResolvedValue(Buffer.from('converted')),
+        metadata: jest.fn().mockResolvedValue({ width: 320, height: 200 }),
+      };
+      mockSharp.mockImplementationOnce(() => pipeline).mockImplementationOnce(() => pipeline);
+      const page = await mockFetch();
+      mockFetch.mockImplementation((url) => Promise.resolve({
+        'https://example.com/photo.png': fileAnswer('image/png', 'a photo'),
+        'http://example.com/missing.gif': errorAnswer(404),
+      }[url] || page));
+
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/original?url=http://example.com/').set('Host', 'proxy.local');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<p>Lite page</p>');
+      expect(script.remove).toHaveBeenCalled();
+      expect(button.onclick).toBeUndefined();
+      expect(frame.src).toBe('http://proxy.local/original?url=http%3A%2F%2Fexample.com%2Fad');
+      expect(photo.src).toMatch(/^http:\/\/proxy\.local\/cached_images\/[0-9a-f]+_zoom1\.jpg$/);
+      expect(photo.width).toBe('200');
+      expect(cell.background).toBeUndefined();
+      expect(link.href).toBe('http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fnext');
+      expect(body.insertAdjacentHTML).toHaveBeenCalledWith('afterbegin', expect.stringContaining('<a href="http://proxy.local/?url=http%3A%2F%2Fexample.com%2F"'));
+      expect(mockReadability).not.toHaveBeenCalled();
+    });
+
+    test('should send images and other files from /original to the readable view', async () => {
+      mockFetch.mockResolvedValueOnce(fileAnswer('image/png', 'a photo'));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/original?url=http://example.com/photo.png').set('Host', 'proxy.local');
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fphoto.png');
+    });
+
+    test('should keep a missing page\'s status on the /original route', async () => {
+      mockFetch.mockResolvedValueOnce(errorAnswer(404));
+      const app = createReadabilityProxy({ cacheDir: '/tmp/readability-test-cache' });
+      const response = await request(app).get('/original?url=http://example.com/gone');
+
+      expect(response.status).toBe(404);
+      expect(response.text).toContain('<p>No such page</p>');
+    });
+  });
 });
 
 describe('HTML Structure Validation', () => {
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import { createAddressList } from "./network-policy.js";
+import { sendErrorPage } from "./error-pages.js";
+import { escapeHtml } from "./proxy-core.js";
+import { log } from "./logging.js";
+
+// Rate limits are counted over fixed windows of this many milliseconds
+const RATE_WINDOW = 60 * 1000;
+
+// Past this many tracked clients, clients whose window has ended are forgotten
+const MAX_TRACKED_CLIENTS = 1000;
+
+// Defaults for who may use the proxy and how much
+export const DEFAULT_ACCESS_CONTROL = {
+  users: {}, // user name -> password; when not empty, every request needs one of them
+  authRealm: 'Vintage Web Proxy',
+  allowedClients: [], // client IP addresses and CIDR ranges; when not empty, nobody else gets in
+  maxRequestsPerMinute: 0,
+  maxBytesPerMinute: 0
+};
+
+// Function to create per-client request and byte counters. admit(id) counts a request and
+// returns 0, or the seconds until the client may try again once it is over a limit;
+// sent(id, bytes) adds to the bytes the client was sent. 0 turns a limit off.
+export function createRateLimits({ requests = 0, bytes = 0 } = {}) {
+  const clients = new Map();
+
+  const usage = (id, now) => {
+    let entry = clients.get(id);
+    if (!entry || now - entry.start >= RATE_WINDOW) {
+      entry = { start: now, requests: 0, bytes: 0 };
+      clients.set(id, entry);
+    }
+    return entry;
+  };
+
+  return {
+    admit(id, now = Date.now()) {
+      if (clients.size > MAX_TRACKED_CLIENTS) {
+        clients.forEach((entry, key) => {
+          if (now - entry.start >= RATE_WINDOW) clients.delete(key);
+        });
+      }
+
+      const entry = usage(id, now);
+      if ((requests && entry.requests >= requests) || (bytes && entry.bytes >= bytes)) {
+        return Math.ceil((entry.start + RATE_WINDOW - now) / 1000);
+      }
+      entry.requests++;
+      return 0;
+    },
+
+    sent(id, count, now = Date.now()) {
+      usage(id, now).bytes += count;
+    }
+  };
+}
+
+// Function to read the user name and password from a Basic Authorization header.
+// Old browsers send them in Latin-1.
+function readCredentials(header) {
+  const match = /^Basic\s+([A-Za-z0-9+/=]+)\s*$/i.exec(header || '');
+  if (!match) {
+    return null;
+  }
+  const decoded = Buffer.from(match[1], 'base64').toString('latin1');
+  const colon = decoded.indexOf(':');
+  return colon === -1 ? null : { user: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+}
+
+// Function to compare passwords in constant time
+function samePassword(given, expected) {
+  const digest = (text) => crypto.createHash('sha256').update(String(text)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// Function to call `done` with the body bytes written to a response once it is closed,
+// counting what went out in chunks or through a pipe as well as what was sent whole.
+// A response cut off part way counts what was written before it was.
+function countBytesWritten(res, done) {
+  let written = 0;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      written += typeof chunk === 'string' ? Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8') : chunk.length;
+    }
+  };
+
+  const { write, end } = res;
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+  res.on('close', () => done(written));
+}
+
+// Middleware that keeps the proxy from being an open relay: clients must come from an
+// allowed address, give a user name and password when users are configured, and stay
+// under the request and byte rate limits. Browsers using the proxy as their HTTP proxy
+// are asked with 407 and Proxy-Authorization instead of 401 and Authorization.
+// Clients are counted by user name when they log in, otherwise by address.
+export function accessControl(options) {
+  const users = options.users || {};
+  const realm = (options.authRealm || DEFAULT_ACCESS_CONTROL.authRealm).replace(/"/g, '');
+  const allowedClients = options.allowedClients && options.allowedClients.length
+    ? createAddressList(options.allowedClients)
+    : null;
+  const rateLimits = createRateLimits({ requests: options.maxRequestsPerMinute, bytes: options.maxBytesPerMinute });
+
+  return (req, res, next) => {
+    // Checked once, even when an app is mounted inside another or re-routes the request
+    if (req.accessClient) {
+      return next();
+    }
+
+    const address = req.socket.remoteAddress || '';
+    if (allowedClients && !allowedClients.includes(address)) {
+      log('info', 'Refused client not on the allowlist', { address });
+      return sendErrorPage(res, 403, 'Access Denied', [
+        `This proxy only serves the computers it has been set up for, and your address (${escapeHtml(address)}) isn't one of them.`
+      ]);
+    }
+
+    let user = null;
+    if (Object.keys(users).length) {
+      const credentials = readCredentials(req.headers[req.forwardProxied ? 'proxy-authorization' : 'authorization']);
+      const known = credentials && Object.prototype.hasOwnProperty.call(users, credentials.user);
+      if (!known || !samePassword(credentials.password, users[credentials.user])) {
+        res.setHeader(req.forwardProxied ? 'Proxy-Authenticate' : 'WWW-Authenticate', `Basic realm="${realm}"`);
+        return sendErrorPage(res, req.forwardProxied ? 407 : 401, 'Password Required', [
+          'This proxy needs a user name and password. Reload the page to enter them again.'
+        ]);
+      }
+      user = credentials.user;
+    }
+
+    req.accessClient = user === null ? `address:${address}` : `user:${user}`;
+    const retryAfter = rateLimits.admit(req.accessClient);
+    if (retryAfter) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return sendErrorPage(res, 429, 'Slow Down', [
+        `You have used the proxy a lot in the last minute. Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} and try again.`
+      ]);
+    }
+
+    // Count what the client was sent against its byte limit
+    countBytesWritten(res, (bytes) => rateLimits.sent(req.accessClient, bytes));
+    next();
+  };
+}
@@ -0,0 +1,120 @@
+import express from 'express';
+import request from 'supertest';
+import { accessControl, createRateLimits } from './access-control.js';
+
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+
+// Function to create an app behind access control that answers every request with 100
+// bytes, sent whole on / and streamed in chunks without a Content-Length on /stream
+function createApp(options, { forwardProxied = false } = {}) {
+  const app = express();
+  app.locals.options = { outputCharset: 'iso-8859-1' };
+  app.use((req, res, next) => {
+    req.forwardProxied = forwardProxied;
+    next();
+  });
+  app.use(accessControl(options));
+  // A second check, as a mounted app would add, must not count the request again
+  app.use(accessControl(options));
+  app.get('/', (req, res) => res.send('x'.repeat(100)));
+  app.get('/stream', (req, res) => {
+    res.write('x'.repeat(60));
+    res.end(Buffer.alloc(40));
+  });
+  return app;
+}
+
+const basic = (user, password) => `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+
+describe('Access Control - Rate Limits', () => {
+  test('should count requests and bytes per client within each minute', () => {
+    const limits = createRateLimits({ requests: 2, bytes: 1000 });
+
+    expect(limits.admit('a', NOW)).toBe(0);
+    expect(limits.admit('a', NOW + 1000)).toBe(0);
+    expect(limits.admit('a', NOW + 30000)).toBe(30);
+    expect(limits.admit('b', NOW + 30000)).toBe(0);
+    expect(limits.admit('a', NOW + 60000)).toBe(0);
+
+    limits.sent('b', 1000, NOW + 30000);
+    expect(limits.admit('b', NOW + 31000)).toBe(59);
+  });
+
+  test('should not limit anything by default', () => {
+    const limits = createRateLimits();
+    for (let i = 0; i < 100; i++) {
+      expect(limits.admit('a', NOW)).toBe(0);
+    }
+  });
+});
+
+describe('Access Control - Middleware', () => {
+  test('should let everyone in when nothing is configured', async () => {
+    expect((await request(createApp({})).get('/')).status).toBe(200);
+  });
+
+  test('should only let in clients on the allowlist', async () => {
+    expect((await request(createApp({ allowedClients: ['127.0.0.1', '::1'] })).get('/')).status).toBe(200);
+
+    const refused = await request(createApp({ allowedClients: ['10.0.0.0/8'] })).get('/');
+    expect(refused.status).toBe(403);
+    expect(refused.text).toContain('<title>Access Denied</title>');
+  });
+
+  test('should ask for a password with Basic auth and check it', async () => {
+    const app = createApp({ users: { mac: 'classic' }, authRealm: 'Test Proxy' });
+
+    const challenge = await request(app).get('/');
+    expect(challenge.status).toBe(401);
+    expect(challenge.headers['www-authenticate']).toBe('Basic realm="Test Proxy"');
+    expect(challenge.text).toContain('<h1>Password Required</h1>');
+
+    expect((await request(app).get('/').set('Authorization', basic('mac', 'wrong'))).status).toBe(401);
+    expect((await request(app).get('/').set('Authorization', basic('other', 'classic'))).status).toBe(401);
+    expect((await request(app).get('/').set('Authorization', basic('mac', 'classic'))).status).toBe(200);
+  });
+
+  test('should ask browsers using it as their HTTP proxy with 407', async () => {
+    const app = createApp({ users: { mac: 'classic' } }, { forwardProxied: true });
+
+    const challenge = await request(app).get('/');
+    expect(challenge.status).toBe(407);
+    expect(challenge.headers['proxy-authenticate']).toBe('Basic realm="Vintage Web Proxy"');
+    expect((await request(app).get('/').set('Proxy-Authorization', basic('mac', 'classic'))).status).toBe(200);
+  });
+
+  test('should refuse clients over the request limit with Retry-After', async () => {
+    const app = createApp({ maxRequestsPerMinute: 2 });
+    await request(app).get('/');
+    await request(app).get('/');
+    const refused = await request(app).get('/');
+
+    expect(refused.status).toBe(429);
+    expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+    expect(refused.text).toContain('<title>Slow Down</title>');
+  });
+
+  test('should refuse clients once they have been sent their bytes for the minute', async () => {
+    const app = createApp({ maxBytesPerMinute: 150 });
+
+    expect((await request(app).get('/')).status).toBe(200);
+    expect((await request(app).get('/')).status).toBe(200);
+    expect((await request(app).get('/')).status).toBe(429);
+  });
+
+  test('should count bytes streamed without a Content-Length', async () => {
+    const app = createApp({ maxBytesPerMinute: 150 });
+
+    expect((await request(app).get('/stream')).status).toBe(200);
+    expect((await request(app).get('/stream')).status).toBe(200);
+    expect((await request(app).get('/stream')).status).toBe(429);
+  });
+
+  test('should count logged-in users by name', async () => {
+    const app = createApp({ users: { a: '1', b: '2' }, maxRequestsPerMinute: 1 });
+
+    expect((await request(app).get('/').set('Authorization', basic('a', '1'))).status).toBe(200);
+    expect((await request(app).get('/').set('Authorization', basic('a', '1'))).status).toBe(429);
+    expect((await request(app).get('/').set('Authorization', basic('b', '2'))).status).toBe(200);
+  });
+});
@@ -0,0 +1,210 @@
+import { basename, dirname } from "path";
+import { readFileSync } from "fs";
+import { escapeHtml, localUrl, proxyUrl, sendHtml } from "./proxy-core.js";
+import { writeFileAtomic } from "./image-cache.js";
+import { postedFields } from "./forms.js";
+import { log } from "./logging.js";
+
+// How many recently read pages the home page lists
+const HISTORY_SIZE = 20;
+
+// Function to tell whose history and bookmarks a request uses: a signed-in user keeps the
+// same ones on every browser, anyone else has those of their proxy session
+export function bookmarkOwner(req) {
+  if (req.accessClient && req.accessClient.startsWith('user:')) {
+    return req.accessClient;
+  }
+  return `session:${req.sessionId}`;
+}
+
+// How many proxy sessions' history and bookmarks are kept before the least recently used
+// is dropped; signed-in users are always kept
+const MAX_SESSIONS = 1000;
+
+// Function to create the store of each user's or session's reading history and
+// bookmarks. History is kept in memory; with a `file`, bookmarks are also saved there
+// as JSON so they survive a restart. A session only takes room once it reads a page or
+// bookmarks one.
+export function createBookmarkStore(file = null, { maxSessions = MAX_SESSIONS } = {}) {
+  const owners = new Map(); // owner -> { history, bookmarks }, newest first; least recently used owner first
+
+  // Function to find an owner's history and bookmarks, moving it to the back of the line
+  const find = (owner) => {
+    const found = owners.get(owner);
+    if (found) {
+      owners.delete(owner);
+      owners.set(owner, found);
+    }
+    return found;
+  };
+
+  const entry = (owner) => {
+    const found = find(owner);
+    if (found) {
+      return found;
+    }
+    owners.set(owner, { history: [], bookmarks: [] });
+    const sessions = [...owners.keys()].filter(key => !key.startsWith('user:'));
+    if (maxSessions && sessions.length > maxSessions) {
+      owners.delete(sessions[0]);
+    }
+    return owners.get(owner);
+  };
+
+  if (file) {
+    try {
+      Object.entries(JSON.parse(readFileSync(file, 'utf-8'))).forEach(([owner, bookmarks]) => {
+        entry(owner).bookmarks = bookmarks;
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log('error', 'Could not read bookmarks', { file, error: error.message });
+      }
+    }
+  }
+
+  const save = () => {
+    if (!file) {
+      return;
+    }
+    const saved = {};
+    owners.forEach(({ bookmarks }, owner) => {
+      if (bookmarks.length) saved[owner] = bookmarks;
+    });
+    try {
+      writeFileAtomic(dirname(file), basename(file), JSON.stringify(saved));
+    } catch (error) {
+      log('error', 'Could not save bookmarks', { file, error: error.message });
+    }
+  };
+
+  return {
+    history: (owner) => (find(owner) ? find(owner).history.slice() : []),
+    bookmarks: (owner) => (find(owner) ? find(owner).bookmarks.slice() : []),
+
+    // Function to put a page at the top of the history, once
+    visited(owner, url, title, now = Date.now()) {
+      const history = entry(owner).history.filter(page => page.url !== url);
+      history.unshift({ url, title, at: now });
+      entry(owner).history = history.slice(0, HISTORY_SIZE);
+    },
+
+    clearHistory(owner) {
+      if (find(owner)) {
+        find(owner).history = [];
+      }
+    },
+
+    // Function to count the users and sessions with history or bookmarks
+    size: () => owners.size,
+
+    // Function to bookmark a page; bookmarking it again just updates the title
+    add(owner, url, title, now = Date.now()) {
+      const bookmarks = entry(owner).bookmarks;
+      const existing = bookmarks.find(page => page.url === url);
+      if (existing) {
+        existing.title = title || existing.title;
+      } else {
+        bookmarks.unshift({ url, title: title || url, at: now });
+      }
+      save();
+    },
+
+    remove(owner, url) {
+      if (find(owner)) {
+        find(owner).bookmarks = find(owner).bookmarks.filter(page => page.url !== url);
+        save();
+      }
+    }
+  };
+}
+
+// Function to format when a page was read or bookmarked, e.g. "19 Oct 2026 04:35"
+function formatTime(time) {
+  return new Date(time).toUTCString().slice(5, 22);
+}
+
+// Function to handle the bookmark and history links and forms on the home page, then go
+// back home: ?add=<url>&title=<title> bookmarks a page, and posting remove=<url> or
+// clearHistory=1 deletes. Deleting is only done for posted forms, so a link or image
+// on a proxied page can't do it.
+export function serveBookmarkAction(context, req, res) {
+  const { bookmarks } = context;
+  const owner = bookmarkOwner(req);
+  const { add, title } = req.query;
+  const fields = postedFields(req);
+  const remove = fields.get('remove');
+  const clearHistory = fields.get('clearHistory');
+
+  if (add) {
+    try {
+      const url = new URL(add.includes('://') ? add : `http://${add}`);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('not a web address');
+      }
+      bookmarks.add(owner, url.href, (title || '').trim());
+    } catch (error) {
+      return res.status(400).send(`Error: Can't bookmark ${escapeHtml(add)}`);
+    }
+  } else if (remove) {
+    bookmarks.remove(owner, remove);
+  } else if (clearHistory) {
+    bookmarks.clearHistory(owner);
+  }
+  res.redirect(localUrl(req, '/'));
+}
+
+// Function to list pages as a table of links through the proxy, with one action per page
+function pageTable(req, pages, action, empty) {
+  if (!pages.length) {
+    return `<p>${empty}</p>`;
+  }
+  const rows = pages.map(page => `
+<tr>
+<td><a href="${escapeHtml(proxyUrl(req, page.url))}">${escapeHtml(page.title || page.url)}</a><br>
+<font size="1">${escapeHtml(page.url)}, ${formatTime(page.at)}</font></td>
+<td>${action(page)}</td>
+</tr>`).join('');
+  return `<table border="1" cellpadding="4" cellspacing="0">${rows}
+</table>`;
+}
+
+// Function to serve the home page: a form for the address to read, the visitor's
+// bookmarks with a form to add one, and the pages they read recently. Plain forms
+// and tables, so it works in any browser.
+export function serveHomePage(context, req, res) {
+  const owner = bookmarkOwner(req);
+  const actionUrl = (query) => escapeHtml(localUrl(req, `/bookmarks?${query}`));
+  const postButton = (name, value, label) => `<form method="post" action="${escapeHtml(localUrl(req, '/bookmarks'))}">
+<input type="hidden" name="${name}" value="${escapeHtml(value)}"><input type="submit" value="${label}">
+</form>`;
+
+  const bookmarks = pageTable(req, context.bookmarks.bookmarks(owner),
+    page => postButton('remove', page.url, 'Delete'),
+    'No bookmarks yet.');
+  const history = pageTable(req, context.bookmarks.history(owner),
+    page => `<a href="${actionUrl(`add=${encodeURIComponent(page.url)}&title=${encodeURIComponent(page.title || '')}`)}">Bookmark</a>`,
+    'Pages you read will be listed here.');
+
+  sendHtml(res, `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="ISO-8859-1">
+<title>Readability Proxy</title>
+</head>
+<body>
+<h1>Readability Proxy</h1>
+<form method="get" action="${escapeHtml(localUrl(req, '/'))}">
+<p>Web address: <input type="text" name="url" size="40"> <input type="submit" value="Read"></p>
+</form>
+<h2>Bookmarks</h2>
+${bookmarks}
+<form method="get" action="${escapeHtml(localUrl(req, '/bookmarks'))}">
+<p>Address: <input type="text" name="add" size="30"> Title: <input type="text" name="title" size="20"> <input type="submit" value="Add Bookmark"></p>
+</form>
+<h2>Recently Read</h2>
+${history}
+${context.bookmarks.history(owner).length ? `${postButton('clearHistory', '1', 'Clear history')}\n` : ''}<p>Client profile: <a href="${localUrl(req, '/profile')}">${req.profile || 'none'}</a> | <a href="${localUrl(req, '/cookies')}">Stored cookies</a> | <a href="${localUrl(req, '/status')}">Proxy status</a></p>
+</body>
+</html>`);
+}
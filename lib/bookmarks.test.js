@@ -0,0 +1,92 @@
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { bookmarkOwner, createBookmarkStore } from './bookmarks.js';
+
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+
+describe('Bookmarks - Store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'bookmarks-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should list each page read once, newest first, up to 20', () => {
+    const store = createBookmarkStore();
+    for (let page = 0; page < 25; page++) {
+      store.visited('session:a', `http://example.com/${page}`, `Page ${page}`, NOW + page);
+    }
+    store.visited('session:a', 'http://example.com/10', 'Page 10 again', NOW + 100);
+
+    const history = store.history('session:a');
+    expect(history).toHaveLength(20);
+    expect(history[0]).toEqual({ url: 'http://example.com/10', title: 'Page 10 again', at: NOW + 100 });
+    expect(history.filter(page => page.url === 'http://example.com/10')).toHaveLength(1);
+    expect(store.history('session:b')).toEqual([]);
+  });
+
+  test('should add, rename and remove bookmarks', () => {
+    const store = createBookmarkStore();
+    store.add('user:alice', 'http://example.com/a', 'A', NOW);
+    store.add('user:alice', 'http://example.com/b', '', NOW);
+    store.add('user:alice', 'http://example.com/a', 'Better A', NOW);
+
+    expect(store.bookmarks('user:alice').map(({ url, title }) => [url, title])).toEqual([
+      ['http://example.com/b', 'http://example.com/b'],
+      ['http://example.com/a', 'Better A']
+    ]);
+
+    store.remove('user:alice', 'http://example.com/b');
+    expect(store.bookmarks('user:alice')).toHaveLength(1);
+  });
+
+  test('should save bookmarks but not history to the file and read them back', () => {
+    const file = join(dir, 'bookmarks.json');
+    const store = createBookmarkStore(file);
+    store.add('session:a', 'http://example.com/a', 'A', NOW);
+    store.visited('session:a', 'http://example.com/b', 'B', NOW);
+
+    expect(JSON.parse(readFileSync(file, 'utf-8'))).toEqual({ 'session:a': [{ url: 'http://example.com/a', title: 'A', at: NOW }] });
+    expect(readdirSync(dir)).toEqual(['bookmarks.json']);
+
+    const restarted = createBookmarkStore(file);
+    expect(restarted.bookmarks('session:a')).toHaveLength(1);
+    expect(restarted.history('session:a')).toEqual([]);
+  });
+
+  test('should take no room for sessions that only look, and drop the least recently used session past the limit', () => {
+    const store = createBookmarkStore(null, { maxSessions: 2 });
+    store.history('session:a');
+    store.bookmarks('session:a');
+    store.remove('session:a', 'http://example.com/');
+    store.clearHistory('session:a');
+    expect(store.size()).toBe(0);
+
+    store.add('user:alice', 'http://example.com/alice', 'Alice', NOW);
+    store.visited('session:a', 'http://example.com/a', 'A', NOW);
+    store.visited('session:b', 'http://example.com/b', 'B', NOW);
+    store.history('session:a');
+    store.visited('session:c', 'http://example.com/c', 'C', NOW);
+
+    expect(store.size()).toBe(3);
+    expect(store.history('session:b')).toEqual([]);
+    expect(store.history('session:a')).toHaveLength(1);
+    expect(store.bookmarks('user:alice')).toHaveLength(1);
+  });
+
+  test('should start empty when the file does not exist yet', () => {
+    expect(createBookmarkStore(join(dir, 'missing.json')).bookmarks('session:a')).toEqual([]);
+  });
+});
+
+describe('Bookmarks - Owners', () => {
+  test('should keep a signed-in user\'s bookmarks across sessions', () => {
+    expect(bookmarkOwner({ accessClient: 'user:alice', sessionId: 'abc' })).toBe('user:alice');
+    expect(bookmarkOwner({ accessClient: 'address:10.0.0.2', sessionId: 'abc' })).toBe('session:abc');
+  });
+});
@@ -0,0 +1,95 @@
+import iconv from "iconv-lite";
+
+// Byte order marks, checked before anything the page declares
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: 'utf-8' },
+  { bytes: [0xfe, 0xff], charset: 'utf-16be' },
+  { bytes: [0xff, 0xfe], charset: 'utf-16le' }
+];
+
+// Labels browsers treat as another charset. ISO-8859-1 and ASCII pages are
+// really windows-1252, and pages declaring UTF-16 in a meta tag are ASCII-compatible.
+const CHARSET_ALIASES = {
+  'iso-8859-1': 'windows-1252',
+  'latin1': 'windows-1252',
+  'us-ascii': 'windows-1252',
+  'ascii': 'windows-1252',
+  'x-sjis': 'shift_jis',
+  'x-euc-jp': 'euc-jp',
+  'x-mac-roman': 'macintosh',
+  'utf-16': 'utf-8',
+  'utf-16le': 'utf-8',
+  'utf-16be': 'utf-8'
+};
+
+// How far into the page to look for a <meta> charset declaration
+const META_PRESCAN_BYTES = 1024;
+
+// Function to map a declared charset label onto one iconv-lite can decode, or null
+export function normalizeCharset(label, { fromMeta = false } = {}) {
+  let charset = String(label || '').trim().replace(/^["']|["']$/g, '').toLowerCase();
+  if (!charset) {
+    return null;
+  }
+
+  if (CHARSET_ALIASES[charset] && (fromMeta || !charset.startsWith('utf-16'))) {
+    charset = CHARSET_ALIASES[charset];
+  }
+  return iconv.encodingExists(charset) ? charset : null;
+}
+
+// Function to read the charset parameter from a Content-Type header
+export function charsetFromContentType(contentType) {
+  const match = /;\s*charset\s*=\s*("[^"]*"|[^;\s]+)/i.exec(contentType || '');
+  return match ? normalizeCharset(match[1]) : null;
+}
+
+// Function to find a <meta charset> or http-equiv Content-Type declaration near the start of the page
+export function charsetFromMeta(buffer) {
+  const head = buffer.subarray(0, META_PRESCAN_BYTES).toString('latin1');
+
+  for (const [tag] of head.matchAll(/<meta\s[^>]*>/gi)) {
+    const charset = /\scharset\s*=\s*["']?([^"'\s/>]+)/i.exec(tag);
+    if (charset) {
+      return normalizeCharset(charset[1], { fromMeta: true });
+    }
+
+    if (/http-equiv\s*=\s*["']?content-type/i.test(tag)) {
+      const content = /content\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i.exec(tag);
+      const declared = content && /charset\s*=\s*([^"'\s;>]+)/i.exec(content[1]);
+      if (declared) {
+        return normalizeCharset(declared[1], { fromMeta: true });
+      }
+    }
+  }
+  return null;
+}
+
+// Function to guess the charset of an undeclared page: UTF-8 if the bytes are valid UTF-8, windows-1252 otherwise
+export function sniffCharset(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return 'utf-8';
+  } catch (error) {
+    return 'windows-1252';
+  }
+}
+
+// Function to work out a page's charset: BOM first, then the Content-Type header,
+// then the page's own meta tags, then sniffing
+export function detectCharset(buffer, contentType) {
+  const bom = BOMS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  if (bom) {
+    return bom.charset;
+  }
+
+  return charsetFromContentType(contentType) || charsetFromMeta(buffer) || sniffCharset(buffer);
+}
+
+// Function to decode an upstream HTML page using its detected charset, returning the
+// text and the charset it was in
+export function decodeHtml(buffer, contentType) {
+  const charset = detectCharset(buffer, contentType);
+  // iconv-lite strips the BOM itself
+  return { html: iconv.decode(buffer, charset), charset };
+}
@@ -0,0 +1,79 @@
+import iconv from 'iconv-lite';
+import {
+  charsetFromContentType,
+  charsetFromMeta,
+  decodeHtml,
+  detectCharset,
+  normalizeCharset,
+} from './charset.js';
+
+describe('Charset - Declarations', () => {
+  test('should read the charset from the Content-Type header', () => {
+    expect(charsetFromContentType('text/html; charset=Shift_JIS')).toBe('shift_jis');
+    expect(charsetFromContentType('text/html;charset="windows-1251"')).toBe('windows-1251');
+    expect(charsetFromContentType('text/html')).toBe(null);
+  });
+
+  test('should read <meta charset> and http-equiv declarations', () => {
+    expect(charsetFromMeta(Buffer.from('<head><meta charset="euc-kr"><title>x</title>'))).toBe('euc-kr');
+    expect(charsetFromMeta(Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=koi8-r">'))).toBe('koi8-r');
+    expect(charsetFromMeta(Buffer.from('<meta name="viewport" content="width=device-width">'))).toBe(null);
+  });
+
+  test('should treat ISO-8859-1 and ASCII as windows-1252 like browsers do', () => {
+    expect(normalizeCharset('ISO-8859-1')).toBe('windows-1252');
+    expect(normalizeCharset('us-ascii')).toBe('windows-1252');
+  });
+
+  test('should ignore charsets it cannot decode', () => {
+    expect(normalizeCharset('x-klingon')).toBe(null);
+    expect(charsetFromContentType('text/html; charset=x-klingon')).toBe(null);
+  });
+});
+
+describe('Charset - Detection Order', () => {
+  test('should let a BOM win over everything else', () => {
+    const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('<meta charset="shift_jis">')]);
+    expect(detectCharset(buffer, 'text/html; charset=iso-8859-2')).toBe('utf-8');
+  });
+
+  test('should prefer the Content-Type header over the meta tag', () => {
+    expect(detectCharset(Buffer.from('<meta charset="euc-kr">'), 'text/html; charset=utf-8')).toBe('utf-8');
+  });
+
+  test('should sniff UTF-8 and fall back to windows-1252', () => {
+    expect(detectCharset(Buffer.from('<p>café</p>', 'utf-8'))).toBe('utf-8');
+    expect(detectCharset(Buffer.from('<p>café</p>', 'latin1'))).toBe('windows-1252');
+  });
+});
+
+describe('Charset - Decoding', () => {
+  test('should decode Shift_JIS pages declared in the header', () => {
+    const buffer = iconv.encode('<p>日本語</p>', 'shift_jis');
+    expect(decodeHtml(buffer, 'text/html; charset=Shift_JIS').html).toBe('<p>日本語</p>');
+  });
+
+  test('should decode windows-1251 pages declared in a meta tag', () => {
+    const buffer = iconv.encode('<meta charset="windows-1251"><p>Привет</p>', 'windows-1251');
+    expect(decodeHtml(buffer, 'text/html').html).toBe('<meta charset="windows-1251"><p>Привет</p>');
+  });
+
+  test('should decode EUC-KR pages declared with http-equiv', () => {
+    const html = '<meta http-equiv="Content-Type" content="text/html; charset=euc-kr"><p>한국어</p>';
+    expect(decodeHtml(iconv.encode(html, 'euc-kr'), 'text/html').html).toBe(html);
+  });
+
+  test('should decode windows-1252 punctuation in pages labelled ISO-8859-1', () => {
+    const buffer = Buffer.from([0x93, 0x71, 0x94]); // “q” in windows-1252
+    expect(decodeHtml(buffer, 'text/html; charset=iso-8859-1').html).toBe('“q”');
+  });
+
+  test('should return the charset it decoded with', () => {
+    expect(decodeHtml(Buffer.from('<p>plain</p>'), 'text/html; charset=koi8-r').charset).toBe('koi8-r');
+  });
+
+  test('should strip the BOM from the decoded text', () => {
+    const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('<p>hi</p>')]);
+    expect(decodeHtml(buffer).html).toBe('<p>hi</p>');
+  });
+});
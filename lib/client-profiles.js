@@ -0,0 +1,185 @@
+import { escapeHtml, localUrl, parseCookies, sendHtml } from "./proxy-core.js";
+import { sendErrorPage } from "./error-pages.js";
+import { parseColourDepth } from "./image-encoding.js";
+
+// Cookie that remembers the profile picked on the /profile page
+export const PROFILE_COOKIE = 'proxy_profile';
+
+// Path prefix that selects a profile for one request, e.g. /p/palm/?url=...
+export const PROFILE_PATH_PREFIX = '/p/';
+
+// CSS levels: 0 sends no stylesheets at all, 1 sends the proxy's own stylesheet only,
+// 2 also keeps the page's simple inline styles (colours, fonts, margins)
+export const CSS_LEVELS = { none: 0, basic: 1, inline: 2 };
+
+// Built-in profiles for the machines people browse with. `userAgent` is matched
+// case-insensitively; `options` override the server's options for that client.
+export const BUILTIN_PROFILES = {
+  'mac-plus': {
+    description: 'Mac Plus or SE with MacWeb: dithered 1-bit GIFs, MacRoman, no CSS',
+    userAgent: 'MacWeb',
+    options: {
+      imageFormat: 'gif',
+      colourDepth: 1,
+      outputCharset: 'macroman',
+      numericEntities: false,
+      cssLevel: CSS_LEVELS.none,
+      imageLimits: { maxWidth: 400, maxHeight: 240, logoSize: 16, maxAdditionalImages: 1 }
+    }
+  },
+  'palm': {
+    description: 'Palm handhelds: small GIFs in the 256-colour palette, no CSS',
+    userAgent: 'PalmOS|PalmSource|Blazer|Xiino|AvantGo|Elaine',
+    options: {
+      imageFormat: 'gif',
+      colourDepth: 8,
+      outputCharset: 'iso-8859-1',
+      numericEntities: false,
+      cssLevel: CSS_LEVELS.none,
+      imageLimits: { maxWidth: 150, maxHeight: 150, logoSize: 16, maxAdditionalImages: 1 }
+    }
+  },
+  'kindle': {
+    description: 'Kindle: large greyscale JPEGs, basic CSS',
+    userAgent: 'Kindle',
+    options: {
+      imageFormat: 'jpeg',
+      greyscale: true,
+      outputCharset: 'iso-8859-1',
+      numericEntities: true,
+      cssLevel: CSS_LEVELS.basic,
+      imageLimits: { maxWidth: 560, maxHeight: 700, quality: 60, logoSize: 32, maxAdditionalImages: 3 }
+    }
+  },
+  'os9': {
+    description: 'PowerBook G3 on Mac OS 9: mid-sized JPEGs, MacRoman, basic CSS',
+    userAgent: 'Mac_PowerPC|Macintosh; [IUN]; PPC\\)',
+    options: {
+      imageFormat: 'jpeg',
+      outputCharset: 'macroman',
+      cssLevel: CSS_LEVELS.basic,
+      imageLimits: { maxWidth: 480, maxHeight: 360, quality: 60, logoSize: 32, maxAdditionalImages: 3 }
+    }
+  }
+};
+
+// Function to combine the built-in profiles with any configured ones; a configured
+// profile with a built-in name overrides only the settings it lists
+export function getProfiles(options) {
+  const profiles = { ...BUILTIN_PROFILES };
+  Object.entries(options.profiles || {}).forEach(([name, profile]) => {
+    const builtin = profiles[name] || {};
+    profiles[name] = {
+      ...builtin,
+      ...profile,
+      options: {
+        ...builtin.options,
+        ...profile.options,
+        imageLimits: { ...builtin.options?.imageLimits, ...profile.options?.imageLimits }
+      }
+    };
+  });
+  return profiles;
+}
+
+// Function to find the profile whose User-Agent pattern matches the client
+export function detectProfile(profiles, userAgent = '') {
+  return Object.keys(profiles).find(name => {
+    const pattern = profiles[name].userAgent;
+    return pattern && new RegExp(pattern, 'i').test(userAgent);
+  }) || null;
+}
+
+// Function to apply a profile's settings over the server's options
+export function applyProfile(options, profiles, name) {
+  const profile = name && profiles[name];
+  if (!profile) {
+    return { ...options, profile: null };
+  }
+
+  return {
+    ...options,
+    ...profile.options,
+    profile: name,
+    imageLimits: { ...options.imageLimits, ...profile.options.imageLimits }
+  };
+}
+
+// Function to keep each profile's (and each colour depth's) processed images apart in the image cache
+export function profileFilename(options, filename) {
+  const variant = [options.profile, options.colourDepth && `${options.colourDepth}bit`].filter(Boolean);
+  return [...variant, filename].join('-');
+}
+
+// Function to create middleware that picks the client's profile: a /p/<name>/ path
+// prefix first, then the profile cookie, then User-Agent sniffing, then the
+// configured default. A profile already picked by an outer app is kept. A ?depth=
+// parameter (1, 4, 8 or full) overrides the colour depth for that request only.
+export function selectProfile(options) {
+  const profiles = getProfiles(options);
+
+  return (req, res, next) => {
+    if (req.url.startsWith(PROFILE_PATH_PREFIX)) {
+      const [, name, rest] = req.url.slice(PROFILE_PATH_PREFIX.length).match(/^([^/?]*)(.*)$/);
+      if (!profiles[name]) {
+        return sendErrorPage(res, 404, 'Unknown Client Profile', [
+          `There is no client profile called ${escapeHtml(name)}. The profiles are: ${Object.keys(profiles).map(escapeHtml).join(', ')}.`
+        ]);
+      }
+      req.profile = name;
+      req.profilePrefix = `${req.profilePrefix || ''}${PROFILE_PATH_PREFIX}${name}`;
+      req.url = rest.startsWith('/') ? rest : `/${rest}`;
+    }
+
+    if (req.profile === undefined) {
+      const cookie = parseCookies(req.headers.cookie)[PROFILE_COOKIE];
+      req.profile = (profiles[cookie] && cookie)
+        || detectProfile(profiles, req.headers['user-agent'])
+        || options.defaultProfile
+        || null;
+    }
+
+    req.clientOptions = applyProfile(options, profiles, req.profile);
+    if (req.query && req.query.depth !== undefined) {
+      req.clientOptions.colourDepth = parseColourDepth(req.query.depth);
+    }
+    next();
+  };
+}
+
+// Function to serve the page that lists the profiles and stores the chosen one in a cookie
+export function serveProfilePicker(req, res) {
+  const options = req.clientOptions || req.app.locals.options;
+  const profiles = getProfiles(options);
+  const chosen = req.query.name;
+
+  if (chosen !== undefined) {
+    if (profiles[chosen]) {
+      res.cookie(PROFILE_COOKIE, chosen, { path: '/', maxAge: 365 * 24 * 60 * 60 * 1000 });
+    } else {
+      res.clearCookie(PROFILE_COOKIE, { path: '/' });
+    }
+    return res.redirect(localUrl(req, '/profile'));
+  }
+
+  const rows = Object.entries(profiles).map(([name, { description }]) => `
+<tr>
+<td>${name === req.profile ? '<b>' : ''}<a href="${localUrl(req, `/profile?name=${encodeURIComponent(name)}`)}">${name}</a>${name === req.profile ? '</b>' : ''}</td>
+<td>${description || ''}</td>
+</tr>`).join('');
+
+  sendHtml(res, `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="ISO-8859-1">
+<title>Client Profile</title>
+</head>
+<body>
+<h1>Client Profile</h1>
+<p>Current profile: <b>${req.profile || 'none'}</b></p>
+<table border="1" cellpadding="4" cellspacing="0">${rows}
+</table>
+<p><a href="${localUrl(req, '/profile?name=')}">Detect automatically</a></p>
+</body>
+</html>`);
+}
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import {
+  applyProfile,
+  BUILTIN_PROFILES,
+  detectProfile,
+  getProfiles,
+  profileFilename,
+  selectProfile,
+} from './client-profiles.js';
+
+const OPTIONS = {
+  outputCharset: 'iso-8859-1',
+  imageFormat: 'jpeg',
+  imageLimits: { maxWidth: 320, maxHeight: 240, quality: 45 },
+};
+
+function mockRequest(url, headers = {}) {
+  return { url, headers, app: { locals: {} } };
+}
+
+describe('Client Profiles - Detection', () => {
+  test('should recognise vintage browsers by User-Agent', () => {
+    expect(detectProfile(BUILTIN_PROFILES, 'MacWeb/2.0')).toBe('mac-plus');
+    expect(detectProfile(BUILTIN_PROFILES, 'Mozilla/4.76 (PalmOS; U; Xiino/3.4E)')).toBe('palm');
+    expect(detectProfile(BUILTIN_PROFILES, 'Mozilla/5.0 (Linux; U; en-US) AppleWebKit/528.5+ (KHTML, like Gecko, Safari/528.5+) Version/4.0 Kindle/3.0')).toBe('kindle');
+    expect(detectProfile(BUILTIN_PROFILES, 'Mozilla/4.0 (compatible; MSIE 5.0; Mac_PowerPC)')).toBe('os9');
+    expect(detectProfile(BUILTIN_PROFILES, 'Mozilla/4.08 (Macintosh; I; PPC)')).toBe('os9');
+  });
+
+  test('should not match modern browsers or Mac OS X', () => {
+    expect(detectProfile(BUILTIN_PROFILES, 'Mozilla/5.0 (Macintosh; U; PPC Mac OS X; en) AppleWebKit/125.5')).toBe(null);
+    expect(detectProfile(BUILTIN_PROFILES, undefined)).toBe(null);
+  });
+});
+
+describe('Client Profiles - Options', () => {
+  test('should apply a profile over the server options, including image limits', () => {
+    const options = applyProfile(OPTIONS, BUILTIN_PROFILES, 'palm');
+
+    expect(options.profile).toBe('palm');
+    expect(options.imageFormat).toBe('gif');
+    expect(options.imageLimits).toEqual(expect.objectContaining({ maxWidth: 150, maxHeight: 150, quality: 45 }));
+  });
+
+  test('should leave the options alone without a profile', () => {
+    expect(applyProfile(OPTIONS, BUILTIN_PROFILES, null)).toEqual({ ...OPTIONS, profile: null });
+  });
+
+  test('should merge configured profiles over the built-in ones', () => {
+    const profiles = getProfiles({
+      profiles: {
+        palm: { options: { imageLimits: { maxWidth: 320 } } },
+        newton: { userAgent: 'Newton', options: { imageFormat: 'gif', colourDepth: 4 } },
+      },
+    });
+
+    expect(profiles.palm.options.imageLimits).toEqual(expect.objectContaining({ maxWidth: 320, maxHeight: 150 }));
+    expect(profiles.palm.options.imageFormat).toBe('gif');
+    expect(detectProfile(profiles, 'Newton/2.0')).toBe('newton');
+  });
+
+  test('should prefix cached image names with the profile', () => {
+    expect(profileFilename({ profile: 'kindle' }, 'abc.jpg')).toBe('kindle-abc.jpg');
+    expect(profileFilename({ profile: null }, 'abc.jpg')).toBe('abc.jpg');
+    expect(profileFilename({ profile: 'mac-plus', colourDepth: 1 }, 'abc.gif')).toBe('mac-plus-1bit-abc.gif');
+    expect(profileFilename({ profile: null, colourDepth: 4 }, 'abc.gif')).toBe('4bit-abc.gif');
+  });
+});
+
+describe('Client Profiles - Selection Middleware', () => {
+  test('should take the profile from the path prefix and strip it', () => {
+    const req = mockRequest('/p/kindle/original?url=x', { cookie: 'proxy_profile=palm' });
+    const next = jest.fn();
+    selectProfile(OPTIONS)(req, {}, next);
+
+    expect(req.profile).toBe('kindle');
+    expect(req.profilePrefix).toBe('/p/kindle');
+    expect(req.url).toBe('/original?url=x');
+    expect(req.clientOptions.imageLimits.maxWidth).toBe(560);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should prefer the cookie over the User-Agent', () => {
+    const req = mockRequest('/', { cookie: 'a=b; proxy_profile=palm', 'user-agent': 'MacWeb/2.0' });
+    selectProfile(OPTIONS)(req, {}, jest.fn());
+
+    expect(req.profile).toBe('palm');
+  });
+
+  test('should fall back to the configured default profile', () => {
+    const req = mockRequest('/', { 'user-agent': 'Mozilla/5.0' });
+    selectProfile({ ...OPTIONS, defaultProfile: 'os9' })(req, {}, jest.fn());
+
+    expect(req.profile).toBe('os9');
+    expect(req.clientOptions.outputCharset).toBe('macroman');
+  });
+
+  test('should keep a profile picked by an outer app', () => {
+    const req = { ...mockRequest('/', { 'user-agent': 'MacWeb/2.0' }), profile: null };
+    selectProfile(OPTIONS)(req, {}, jest.fn());
+
+    expect(req.profile).toBe(null);
+    expect(req.clientOptions.profile).toBe(null);
+  });
+
+  test('should let ?depth= override the colour depth for one request', () => {
+    const reduced = { ...mockRequest('/', { 'user-agent': 'Kindle/3.0' }), query: { depth: '1' } };
+    const full = { ...mockRequest('/', { 'user-agent': 'MacWeb/2.0' }), query: { depth: 'full' } };
+    selectProfile(OPTIONS)(reduced, {}, jest.fn());
+    selectProfile(OPTIONS)(full, {}, jest.fn());
+
+    expect(reduced.clientOptions.colourDepth).toBe(1);
+    expect(full.clientOptions.colourDepth).toBe(null);
+  });
+
+  test('should answer 404 for unknown profiles', () => {
+    const req = mockRequest('/p/<script>amiga/');
+    const res = { req, status: jest.fn(() => res), setHeader: jest.fn(), send: jest.fn() };
+    const next = jest.fn();
+    selectProfile(OPTIONS)(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(next).not.toHaveBeenCalled();
+    const page = res.send.mock.calls[0][0].toString('latin1');
+    expect(page).toContain('There is no client profile called &lt;script&gt;amiga.');
+    expect(page).not.toContain('<script>');
+  });
+});
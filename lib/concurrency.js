@@ -0,0 +1,120 @@
+// Default number of outbound fetches and of sharp jobs run at once; sharp work is CPU-bound,
+// so it gets a small limit
+export const DEFAULT_CONCURRENCY = {
+  fetches: 8,
+  transforms: 2
+};
+
+// Function to create a limiter that runs at most `limit` tasks at once (0 for no limit).
+// Waiting tasks are queued per group and the groups take turns, so one client's page
+// with forty images can't hold everyone else up until all forty are done. `run` holds a
+// slot while its task runs; `acquire` gives a function that frees the slot, for work
+// that outlives a promise, such as a response body still downloading.
+export function createLimiter(limit) {
+  let active = 0;
+  // group -> queued task starters; Map order is the round-robin order
+  const queues = new Map();
+
+  const startNext = () => {
+    while (active < limit && queues.size) {
+      const [group, queue] = queues.entries().next().value;
+      const start = queue.shift();
+      // Move the group to the back of the line
+      queues.delete(group);
+      if (queue.length) {
+        queues.set(group, queue);
+      }
+      start();
+    }
+  };
+
+  const limiter = {
+    acquire(group = null) {
+      if (!limit) {
+        return Promise.resolve(() => {});
+      }
+
+      return new Promise((resolve) => {
+        const start = () => {
+          active++;
+          let released = false;
+          resolve(() => {
+            if (!released) {
+              released = true;
+              active--;
+              startNext();
+            }
+          });
+        };
+
+        if (!queues.has(group)) {
+          queues.set(group, []);
+        }
+        queues.get(group).push(start);
+        startNext();
+      });
+    },
+
+    async run(task, group = null) {
+      const release = await limiter.acquire(group);
+      try {
+        return await task();
+      } finally {
+        release();
+      }
+    },
+
+    stats: () => ({ active, queued: [...queues.values()].reduce((total, queue) => total + queue.length, 0) })
+  };
+  return limiter;
+}
+
+// Function to create the pair of limiters an app uses: one for outbound fetches and one
+// for sharp work. Apps can share a pair so the limits hold across them.
+export function createConcurrencyLimits({ fetches = DEFAULT_CONCURRENCY.fetches, transforms = DEFAULT_CONCURRENCY.transforms } = {}) {
+  return {
+    fetches: createLimiter(fetches),
+    transforms: createLimiter(transforms)
+  };
+}
+
+// Function to create a coalescer: while a task for a key is running, later calls with
+// the same key get the same promise instead of starting the work again
+export function createCoalescer() {
+  const inFlight = new Map();
+
+  return {
+    run(key, task) {
+      if (key === null || key === undefined) {
+        return Promise.resolve().then(task);
+      }
+      if (!inFlight.has(key)) {
+        const promise = Promise.resolve()
+          .then(task)
+          .finally(() => inFlight.delete(key));
+        inFlight.set(key, promise);
+      }
+      return inFlight.get(key);
+    },
+
+    size: () => inFlight.size
+  };
+}
+
+// Function to tell which client queued work belongs to, by the session of its cookie
+// jar (see cookie-jar.js), or the jar itself when it has no session
+export function queueGroup(cookieJar) {
+  return (cookieJar && cookieJar.sessionId) || cookieJar || null;
+}
+
+// Function to key a coalesced job by the client's session too, so the job runs with that
+// client's cookies and is recorded in its own trace and pipeline report
+export function sessionJobKey(context, key) {
+  return [key, (context.cookieJar && context.cookieJar.sessionId) || ''].join('\n');
+}
+
+// Function to run a request's sharp work in its app's transform limiter, queued with the
+// client's other jobs
+export function runTransform(context, task) {
+  return context.limits ? context.limits.transforms.run(task, queueGroup(context.cookieJar)) : Promise.resolve().then(task);
+}
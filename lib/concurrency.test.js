@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import { createCoalescer, createLimiter, sessionJobKey } from './concurrency.js';
+
+// Function to create a task that stays running until its release() is called
+function deferredTask(log, name) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const task = async () => {
+    log.push(name);
+    await done;
+    return name;
+  };
+  return { task, release };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Concurrency Limiter', () => {
+  test('should run at most the limit at once and start queued tasks as others finish', async () => {
+    const limiter = createLimiter(2);
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(name => deferredTask(started, name));
+    const results = tasks.map(({ task }) => limiter.run(task));
+
+    await settle();
+    expect(started).toEqual(['a', 'b']);
+    expect(limiter.stats()).toEqual({ active: 2, queued: 1 });
+
+    tasks[0].release();
+    await settle();
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    tasks[1].release();
+    tasks[2].release();
+    expect(await Promise.all(results)).toEqual(['a', 'b', 'c']);
+    expect(limiter.stats()).toEqual({ active: 0, queued: 0 });
+  });
+
+  test('should let groups take turns so one busy client cannot starve another', async () => {
+    const limiter = createLimiter(1);
+    const started = [];
+    const blocker = deferredTask(started, 'blocker');
+    limiter.run(blocker.task, 'heavy');
+    ['heavy1', 'heavy2', 'heavy3'].forEach(name => limiter.run(async () => { started.push(name); }, 'heavy'));
+    limiter.run(async () => { started.push('light'); }, 'light');
+
+    blocker.release();
+    await settle();
+
+    expect(started).toEqual(['blocker', 'heavy1', 'light', 'heavy2', 'heavy3']);
+  });
+
+  test('should free the slot when a task fails', async () => {
+    const limiter = createLimiter(1);
+
+    await expect(limiter.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(await limiter.run(async () => 'next')).toBe('next');
+  });
+
+  test('should hold an acquired slot until it is released, once', async () => {
+    const limiter = createLimiter(1);
+    const release = await limiter.acquire('a');
+    const started = [];
+    limiter.run(async () => { started.push('b'); }, 'b');
+
+    await settle();
+    expect(started).toEqual([]);
+    release();
+    release();
+    await settle();
+    expect(started).toEqual(['b']);
+    expect(limiter.stats()).toEqual({ active: 0, queued: 0 });
+  });
+
+  test('should not queue anything when the limit is 0', async () => {
+    const limiter = createLimiter(0);
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(name => deferredTask(started, name));
+    tasks.forEach(({ task }) => limiter.run(task));
+
+    await settle();
+    expect(started).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('Coalescer', () => {
+  test('should keep each session\'s jobs apart', () => {
+    const key = (sessionId) => sessionJobKey({ cookieJar: sessionId ? { sessionId } : null }, 'a.jpg');
+
+    expect(key('one')).toBe(key('one'));
+    expect(key('one')).not.toBe(key('two'));
+    expect(key(null)).not.toBe(key('one'));
+  });
+
+  test('should share one running task between callers with the same key', async () => {
+    const coalescer = createCoalescer();
+    const task = jest.fn(async () => 'result');
+
+    const results = await Promise.all([coalescer.run('a', task), coalescer.run('a', task), coalescer.run('b', task)]);
+
+    expect(results).toEqual(['result', 'result', 'result']);
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(coalescer.size()).toBe(0);
+  });
+
+  test('should start again once the earlier task has finished, even after an error', async () => {
+    const coalescer = createCoalescer();
+    const failing = jest.fn(async () => { throw new Error('boom'); });
+
+    await expect(Promise.all([coalescer.run('a', failing), coalescer.run('a', failing)])).rejects.toThrow('boom');
+    expect(failing).toHaveBeenCalledTimes(1);
+    expect(await coalescer.run('a', async () => 'retried')).toBe('retried');
+  });
+
+  test('should never share tasks without a key', async () => {
+    const coalescer = createCoalescer();
+    const task = jest.fn(async () => 'result');
+
+    await Promise.all([coalescer.run(null, task), coalescer.run(null, task)]);
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+});
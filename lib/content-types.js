@@ -0,0 +1,270 @@
+import { escapeHtml, fetchErrorKind, fetchUpstream, localUrl, normalizeTargetUrl, proxyUrl, toHttp, UNPROXYABLE_PROTOCOLS, upstreamOptions, upstreamStatusError } from "./proxy-core.js";
+import { sendFetchErrorPage } from "./error-pages.js";
+import { formatBytes } from "./image-cache.js";
+import { log } from "./logging.js";
+
+// What file name extensions mean when a site sends no useful Content-Type
+const EXTENSION_KINDS = {
+  html: 'html', htm: 'html',
+  md: 'markdown', markdown: 'markdown',
+  txt: 'text', text: 'text',
+  json: 'json',
+  xml: 'xml', rss: 'xml', atom: 'xml',
+  jpg: 'image', jpeg: 'image', png: 'image', gif: 'image', webp: 'image', bmp: 'image', tif: 'image', tiff: 'image'
+};
+
+// Function to tell how the readable view shows a response: 'html', 'image', 'text',
+// 'markdown', 'json', 'xml' or 'binary' (offered as a download). The Content-Type
+// decides; the address's extension only helps when it is missing or says nothing, and
+// a response with neither is taken as HTML, as sites without a Content-Type usually are.
+export function contentKind(contentType, url) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  let extension = '';
+  try {
+    extension = (new URL(url).pathname.match(/\.([a-z0-9]+)$/i) || ['', ''])[1].toLowerCase();
+  } catch (error) {
+    // No extension to go by
+  }
+
+  if (!type || type === 'application/octet-stream') {
+    return EXTENSION_KINDS[extension] || (type ? 'binary' : 'html');
+  }
+  if (type === 'text/html' || type === 'application/xhtml+xml') return 'html';
+  if (type.startsWith('image/')) return 'image';
+  if (type === 'text/markdown' || type === 'text/x-markdown') return 'markdown';
+  if (type === 'application/json' || type === 'text/json' || type.endsWith('+json')) return 'json';
+  if (type === 'application/xml' || type === 'text/xml' || type.endsWith('+xml')) return 'xml';
+  if (type.startsWith('text/')) {
+    return EXTENSION_KINDS[extension] === 'markdown' ? 'markdown' : 'text';
+  }
+  if (type === 'application/javascript' || type === 'application/x-sh') return 'text';
+  return 'binary';
+}
+
+// Function to name a file after the last part of its address, or its site for a bare address
+export function fileTitle(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    const name = pathname.split('/').filter(Boolean).pop();
+    return name ? decodeURIComponent(name) : hostname;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Function to undo escapeHtml, for addresses picked out of escaped text
+function unescapeHtml(text) {
+  return text.replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+}
+
+// Function to format Markdown inside a line: code, bold, italics, links and images. Links
+// go through the proxy; images become links to the image's own page, which converts it.
+function markdownInline(text, req, pageUrl) {
+  const link = (href, label) => {
+    href = unescapeHtml(href);
+    if (UNPROXYABLE_PROTOCOLS.some(protocol => href.toLowerCase().startsWith(protocol))) {
+      return label;
+    }
+    try {
+      return `<a href="${escapeHtml(proxyUrl(req, toHttp(new URL(href, pageUrl).href)))}">${label}</a>`;
+    } catch (error) {
+      return label;
+    }
+  };
+
+  return text.split(/(`[^`]+`)/).map((part, index) => {
+    if (index % 2) {
+      return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+    }
+    return escapeHtml(part)
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (match, alt, src) => link(src, `[Image: ${alt || 'image'}]`))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, href) => link(href, label))
+      .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (match, href) => link(href, href))
+      // Bold and italics outside the link tags just made, so addresses are left alone
+      .split(/(<[^>]+>)/)
+      .map((piece, pieceIndex) => (pieceIndex % 2 ? piece : piece
+        .replace(/(\*\*|__)(.+?)\1/g, '<b>$2</b>')
+        .replace(/(^|[^\w*])([*_])([^*_]+)\2(?=[^\w*]|$)/g, '$1<i>$3</i>')))
+      .join('');
+  }).join('');
+}
+
+// Function to render Markdown as plain HTML: headings, paragraphs, lists, quotes, rules
+// and code blocks, with the inline formatting above. Tables and nested lists come
+// through as text.
+export function renderMarkdown(text, req, pageUrl) {
+  const html = [];
+  let paragraph = [];
+  let list = null; // { tag, items }
+  let code = null; // lines of a fenced code block
+
+  const inline = (line) => markdownInline(line, req, pageUrl);
+  const flush = () => {
+    if (paragraph.length) {
+      html.push(`<p>${paragraph.map(inline).join('\n')}</p>`);
+      paragraph = [];
+    }
+    if (list) {
+      html.push(`<${list.tag}>\n${list.items.map(item => `<li>${inline(item)}</li>`).join('\n')}\n</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    if (code) {
+      if (/^\s*(```|~~~)/.test(line)) {
+        html.push(`<pre>${escapeHtml(code.join('\n'))}</pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      return;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    if (/^\s*(```|~~~)/.test(line)) {
+      flush();
+      code = [];
+    } else if (!line.trim()) {
+      flush();
+    } else if (heading) {
+      flush();
+      html.push(`<h${heading[1].length}>${inline(heading[2])}</h${heading[1].length}>`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      html.push('<hr>');
+    } else if (line.startsWith('>')) {
+      flush();
+      html.push(`<blockquote>${inline(line.replace(/^>\s?/, ''))}</blockquote>`);
+    } else if (item) {
+      const tag = /\d/.test(item[1]) ? 'ol' : 'ul';
+      if (paragraph.length || (list && list.tag !== tag)) {
+        flush();
+      }
+      list = list || { tag, items: [] };
+      list.items.push(item[2]);
+    } else if (list && /^\s+\S/.test(line)) {
+      // An indented line carries on the list item above
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      if (list) {
+        flush();
+      }
+      paragraph.push(line);
+    }
+  });
+  if (code) {
+    html.push(`<pre>${escapeHtml(code.join('\n'))}</pre>`);
+  }
+  flush();
+  return html.join('\n');
+}
+
+// Function to lay XML out one tag per line, indented by depth. An element holding only
+// text stays on one line, and the text itself is kept as it is.
+export function indentXml(text) {
+  const tokens = text.split(/(<[^>]+>)/).map(token => token.trim()).filter(Boolean);
+  const opens = (token) => /^<[^/?!]/.test(token) && !token.endsWith('/>');
+  const lines = [];
+  let depth = 0;
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    const [next, after] = [tokens[index + 1], tokens[index + 2]];
+    if (token.startsWith('</')) {
+      depth = Math.max(depth - 1, 0);
+    }
+    if (opens(token) && next && !next.startsWith('<') && after && after.startsWith('</')) {
+      lines.push(`${'  '.repeat(depth)}${token}${next}${after}`);
+      index += 2;
+      continue;
+    }
+    lines.push(`${'  '.repeat(depth)}${token}`);
+    if (opens(token)) {
+      depth++;
+    }
+  }
+  return lines.join('\n');
+}
+
+// Function to show a text response as HTML for the readable view: Markdown rendered,
+// JSON and XML pretty-printed and anything else as it came, in a <pre> block
+export function renderTextContent(kind, text, req, pageUrl) {
+  if (kind === 'markdown') {
+    return renderMarkdown(text, req, pageUrl);
+  }
+  if (kind === 'json') {
+    try {
+      return `<pre>${escapeHtml(JSON.stringify(JSON.parse(text), null, 2))}</pre>`;
+    } catch (error) {
+      return `<p>This isn't valid JSON (${escapeHtml(error.message)}), so it is shown as it came.</p>\n<pre>${escapeHtml(text)}</pre>`;
+    }
+  }
+  if (kind === 'xml') {
+    return `<pre>${escapeHtml(indentXml(text))}</pre>`;
+  }
+  return `<pre>${escapeHtml(text)}</pre>`;
+}
+
+// Function to build the address that downloads a file through the proxy
+export function downloadUrl(req, url) {
+  return localUrl(req, `/download?url=${encodeURIComponent(url)}`);
+}
+
+// Function to describe a file the readable view can't show, with a link that downloads
+// it through the proxy. `size` is in bytes, or null when the site didn't say.
+export function renderDownload(req, url, contentType, size) {
+  const details = [contentType || 'unknown type', size === null ? 'size unknown' : formatBytes(size)];
+  return `<p>This file can't be shown as a page, but it can be downloaded through the proxy.</p>
+<p><a href="${escapeHtml(downloadUrl(req, url))}"><b>Download ${escapeHtml(fileTitle(url))}</b></a> (${escapeHtml(details.join(', '))})</p>`;
+}
+
+// Function to pass a file through to the browser as it came, for downloads the readable
+// view offers. It is streamed, not held in memory, within the download limits. A browser
+// that goes away mid-download cancels the upstream fetch too.
+export async function serveDownload(context, req, res) {
+  let targetUrl = req.query.url;
+
+  // If no ?url= is provided, return an error
+  if (!targetUrl) {
+    return res.status(400).send("Error: No URL provided");
+  }
+
+  targetUrl = normalizeTargetUrl(targetUrl);
+  context.trace.route = 'download';
+  context.trace.url = targetUrl;
+
+  log('info', 'Downloading file', { url: targetUrl });
+
+  let response;
+  try {
+    response = await context.trace.time('fetch', () => fetchUpstream(targetUrl, upstreamOptions(context, 'download')));
+    if (!response.ok) {
+      throw upstreamStatusError(response, targetUrl);
+    }
+  } catch (error) {
+    return sendFetchErrorPage(req, res, targetUrl, fetchErrorKind(error) || 'failed', error, 'download');
+  }
+
+  // Browsers save the file under the name at the end of the address it finally came from
+  const name = fileTitle(response.finalUrl || targetUrl).replace(/[^\x20-\x7E]|["\\]/g, '_');
+  res.setHeader('Content-Type', response.headers.get('content-type') || 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+  if (response.headers.get('content-length')) {
+    res.setHeader('Content-Length', response.headers.get('content-length'));
+  }
+
+  response.body.on('data', chunk => context.trace.received(chunk.length));
+  response.body.on('error', error => {
+    log('error', 'Download failed', { url: targetUrl, error: error.message });
+    context.trace.error = fetchErrorKind(error) || 'failed';
+    res.destroy(error);
+  });
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      response.body.destroy();
+    }
+  });
+  response.body.pipe(res);
+}
@@ -0,0 +1,121 @@
+import { contentKind, fileTitle, indentXml, renderDownload, renderMarkdown, renderTextContent } from './content-types.js';
+
+function mockRequest(options = {}) {
+  return {
+    headers: { host: 'proxy.local' },
+    app: { locals: { options } },
+  };
+}
+
+describe('Content Types - Dispatch', () => {
+  test('should tell each kind of content apart by its Content-Type', () => {
+    expect(contentKind('text/html; charset=utf-8', 'http://example.com/')).toBe('html');
+    expect(contentKind('application/xhtml+xml', 'http://example.com/')).toBe('html');
+    expect(contentKind('image/jpeg', 'http://example.com/photo')).toBe('image');
+    expect(contentKind('image/svg+xml', 'http://example.com/logo.svg')).toBe('image');
+    expect(contentKind('text/plain', 'http://example.com/notes')).toBe('text');
+    expect(contentKind('text/css', 'http://example.com/site.css')).toBe('text');
+    expect(contentKind('text/markdown', 'http://example.com/readme')).toBe('markdown');
+    expect(contentKind('application/json', 'http://example.com/api')).toBe('json');
+    expect(contentKind('application/ld+json', 'http://example.com/api')).toBe('json');
+    expect(contentKind('application/rss+xml', 'http://example.com/feed')).toBe('xml');
+    expect(contentKind('text/xml', 'http://example.com/feed')).toBe('xml');
+    expect(contentKind('application/zip', 'http://example.com/file.zip')).toBe('binary');
+    expect(contentKind('application/pdf', 'http://example.com/paper.pdf')).toBe('binary');
+  });
+
+  test('should go by the extension only when the Content-Type says nothing', () => {
+    expect(contentKind('text/plain', 'http://example.com/README.md')).toBe('markdown');
+    expect(contentKind('application/octet-stream', 'http://example.com/photo.JPG')).toBe('image');
+    expect(contentKind('application/octet-stream', 'http://example.com/disk.sit')).toBe('binary');
+    expect(contentKind(null, 'http://example.com/data.json')).toBe('json');
+    expect(contentKind(null, 'http://example.com/page')).toBe('html');
+    expect(contentKind('', 'not a url')).toBe('html');
+  });
+
+  test('should name files after the end of their address', () => {
+    expect(fileTitle('http://example.com/files/My%20Disk.sit?download=1')).toBe('My Disk.sit');
+    expect(fileTitle('http://example.com/')).toBe('example.com');
+  });
+});
+
+describe('Content Types - Text', () => {
+  test('should show plain text as it came, escaped, in a <pre> block', () => {
+    expect(renderTextContent('text', 'if (a < b && c) {}', mockRequest(), 'http://example.com/a.c'))
+      .toBe('<pre>if (a &lt; b &amp;&amp; c) {}</pre>');
+  });
+
+  test('should pretty-print JSON, and show JSON it cannot read as it came', () => {
+    expect(renderTextContent('json', '{"name":"<Mac>","sizes":[1,2]}', mockRequest(), 'http://example.com/api'))
+      .toBe('<pre>{\n  &quot;name&quot;: &quot;&lt;Mac&gt;&quot;,\n  &quot;sizes&quot;: [\n    1,\n    2\n  ]\n}</pre>');
+
+    const broken = renderTextContent('json', '{"name":', mockRequest(), 'http://example.com/api');
+    expect(broken).toContain("This isn't valid JSON");
+    expect(broken).toContain('<pre>{&quot;name&quot;:</pre>');
+  });
+
+  test('should indent XML by depth, keeping elements with only text on one line', () => {
+    expect(indentXml('<?xml version="1.0"?><rss><channel><title>News &amp; More</title><item><link/></item></channel></rss>')).toBe([
+      '<?xml version="1.0"?>',
+      '<rss>',
+      '  <channel>',
+      '    <title>News &amp; More</title>',
+      '    <item>',
+      '      <link/>',
+      '    </item>',
+      '  </channel>',
+      '</rss>'
+    ].join('\n'));
+  });
+
+  test('should render Markdown blocks as plain HTML', () => {
+    const html = renderMarkdown([
+      '# Title #',
+      '',
+      'Some *old* and **bold** text',
+      'on two lines.',
+      '',
+      '- one',
+      '- two',
+      '  continued',
+      '1. first',
+      '',
+      '> quoted',
+      '',
+      '---',
+      '```',
+      'let a = <b>;',
+      '```'
+    ].join('\n'), mockRequest(), 'http://example.com/README.md');
+
+    expect(html).toBe([
+      '<h1>Title</h1>',
+      '<p>Some <i>old</i> and <b>bold</b> text\non two lines.</p>',
+      '<ul>\n<li>one</li>\n<li>two continued</li>\n</ul>',
+      '<ol>\n<li>first</li>\n</ol>',
+      '<blockquote>quoted</blockquote>',
+      '<hr>',
+      '<pre>let a = &lt;b&gt;;</pre>'
+    ].join('\n'));
+  });
+
+  test('should send Markdown links and images through the proxy, leaving code and addresses alone', () => {
+    const html = renderMarkdown('See [the docs](docs/my_guide.md?a=1&b=2), ![Screen](https://example.com/shot.png), <http://example.com/x> and `[not](a link)`. [Mail](mailto:a@example.com)',
+      mockRequest(), 'http://example.com/README.md');
+
+    expect(html).toContain('<a href="http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fdocs%2Fmy_guide.md%3Fa%3D1%26b%3D2">the docs</a>');
+    expect(html).toContain('<a href="http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fshot.png">[Image: Screen]</a>');
+    expect(html).toContain('<a href="http://proxy.local/?url=http%3A%2F%2Fexample.com%2Fx">http://example.com/x</a>');
+    expect(html).toContain('<code>[not](a link)</code>');
+    expect(html).toContain('. Mail</p>');
+  });
+});
+
+describe('Content Types - Downloads', () => {
+  test('should offer a file for download through the proxy with its type and size', () => {
+    const html = renderDownload(mockRequest(), 'http://example.com/files/disk.sit', 'application/x-stuffit', 2048);
+
+    expect(html).toContain('<a href="http://proxy.local/download?url=http%3A%2F%2Fexample.com%2Ffiles%2Fdisk.sit"><b>Download disk.sit</b></a> (application/x-stuffit, 2.0 KB)');
+    expect(renderDownload(mockRequest(), 'http://example.com/f', null, null)).toContain('(unknown type, size unknown)');
+  });
+});
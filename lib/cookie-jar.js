@@ -0,0 +1,312 @@
+import crypto from "crypto";
+import { isIP } from "net";
+import { getPublicSuffix } from "tldts";
+import { escapeHtml, localUrl, parseCookies, sendHtml } from "./proxy-core.js";
+import { postedFields } from "./forms.js";
+
+// Cookie that ties a browser to its jar on the proxy
+export const SESSION_COOKIE = 'proxy_session';
+
+// How long the browser keeps the session cookie
+const SESSION_LIFETIME = 365 * 24 * 60 * 60 * 1000;
+
+// Function to read the Set-Cookie headers of an upstream response as a list
+function getSetCookies(response) {
+  const { headers } = response;
+  if (typeof headers.getSetCookie === 'function') {
+    return headers.getSetCookie();
+  }
+  return (typeof headers.raw === 'function' && headers.raw()['set-cookie']) || [];
+}
+
+// Function to tell whether a cookie Domain would reach other people's sites: a single
+// label, or a public suffix such as com, co.uk or github.io
+function isPublicDomain(domain) {
+  return !domain.includes('.') || getPublicSuffix(domain, { allowPrivateDomains: true }) === domain;
+}
+
+// Function to parse one Set-Cookie header sent for requestUrl, or return null if the
+// site isn't allowed to set it
+export function parseSetCookie(header, requestUrl, now = Date.now()) {
+  const url = new URL(requestUrl);
+  const [pair, ...attributes] = header.split(';');
+  const index = pair.indexOf('=');
+  if (index <= 0) {
+    return null;
+  }
+
+  const cookie = {
+    name: pair.slice(0, index).trim(),
+    value: pair.slice(index + 1).trim(),
+    domain: url.hostname.toLowerCase(),
+    hostOnly: true,
+    path: url.pathname.slice(0, url.pathname.lastIndexOf('/')) || '/',
+    secure: false,
+    expires: null
+  };
+
+  attributes.forEach((attribute) => {
+    const [key, ...rest] = attribute.split('=');
+    const value = rest.join('=').trim();
+    switch (key.trim().toLowerCase()) {
+      case 'domain': {
+        const domain = value.replace(/^\./, '').toLowerCase();
+        if (domain) {
+          cookie.domain = domain;
+          cookie.hostOnly = false;
+        }
+        break;
+      }
+      case 'path':
+        if (value.startsWith('/')) cookie.path = value;
+        break;
+      case 'secure':
+        cookie.secure = true;
+        break;
+      case 'max-age':
+        if (/^-?\d+$/.test(value)) cookie.expires = now + Number(value) * 1000;
+        break;
+      case 'expires':
+        // Max-Age wins over Expires when both are given
+        if (!attributes.some(a => a.trim().toLowerCase().startsWith('max-age')) && !Number.isNaN(Date.parse(value))) {
+          cookie.expires = Date.parse(value);
+        }
+        break;
+    }
+  });
+
+  // A Domain covering other people's sites, or given by an IP address (which has no
+  // parent domains), keeps the cookie for the host that set it alone
+  if (!cookie.hostOnly && (isPublicDomain(cookie.domain) || isIP(url.hostname.replace(/^\[|\]$/g, '')))) {
+    cookie.domain = url.hostname.toLowerCase();
+    cookie.hostOnly = true;
+  }
+
+  // A site may only set cookies for its own domain or a parent of it
+  if (!cookie.hostOnly && !domainMatches(url.hostname.toLowerCase(), cookie.domain)) {
+    return null;
+  }
+  return cookie;
+}
+
+function domainMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+function pathMatches(pathname, path) {
+  return pathname === path || pathname.startsWith(path.endsWith('/') ? path : `${path}/`);
+}
+
+// Function to create one client's cookie jar
+export function createCookieJar() {
+  const cookies = new Map();
+  const key = ({ domain, path, name }) => `${domain};${path};${name}`;
+
+  const removeExpired = (now) => {
+    cookies.forEach((cookie, cookieKey) => {
+      if (cookie.expires !== null && cookie.expires <= now) cookies.delete(cookieKey);
+    });
+  };
+
+  return {
+    // Function to remember the cookies an upstream response sets
+    store(requestUrl, response, now = Date.now()) {
+      getSetCookies(response).forEach((header) => {
+        const cookie = parseSetCookie(header, requestUrl, now);
+        if (cookie) {
+          cookies.set(key(cookie), cookie);
+        }
+      });
+      removeExpired(now);
+    },
+
+    // Function to build the Cookie header for a request, most specific paths first
+    cookieHeader(requestUrl, now = Date.now()) {
+      removeExpired(now);
+      const url = new URL(requestUrl);
+      const hostname = url.hostname.toLowerCase();
+
+      return [...cookies.values()]
+        .filter(cookie => (cookie.hostOnly ? hostname === cookie.domain : domainMatches(hostname, cookie.domain)))
+        .filter(cookie => pathMatches(url.pathname, cookie.path))
+        .filter(cookie => !cookie.secure || url.protocol === 'https:')
+        .sort((a, b) => b.path.length - a.path.length)
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+    },
+
+    // Function to list the stored cookies grouped by the site that set them
+    sites(now = Date.now()) {
+      removeExpired(now);
+      const sites = {};
+      cookies.forEach((cookie) => {
+        (sites[cookie.domain] = sites[cookie.domain] || []).push(cookie);
+      });
+      return sites;
+    },
+
+    // Function to forget the cookies of one site, or of every site
+    clear(domain) {
+      cookies.forEach((cookie, cookieKey) => {
+        if (!domain || cookie.domain === domain) cookies.delete(cookieKey);
+      });
+    }
+  };
+}
+
+// Defaults for how many clients' cookie jars are kept before the least recently used is
+// dropped, and how long, in seconds, a jar is kept after its client was last seen
+export const DEFAULT_COOKIE_STORE = {
+  maxJars: 1000,
+  idleTtl: 7 * 24 * 60 * 60
+};
+
+// Function to create the in-memory store of every client's cookie jar. A jar is only
+// made once a site sets a cookie, so clients that never get one cost nothing, and the
+// store is bounded by `maxJars` and `idleTtl` (0 for no limit).
+export function createCookieStore({ maxJars = DEFAULT_COOKIE_STORE.maxJars, idleTtl = DEFAULT_COOKIE_STORE.idleTtl } = {}) {
+  const jars = new Map(); // sessionId -> { jar, lastUsed }, least recently used first
+
+  const removeIdle = (now) => {
+    jars.forEach((entry, sessionId) => {
+      if (idleTtl && entry.lastUsed + idleTtl * 1000 <= now) jars.delete(sessionId);
+    });
+  };
+
+  const store = {
+    // Function to find a client's jar, or null if no site has set it a cookie yet
+    find(sessionId, now = Date.now()) {
+      removeIdle(now);
+      const entry = jars.get(sessionId);
+      if (!entry) {
+        return null;
+      }
+      jars.delete(sessionId);
+      jars.set(sessionId, { ...entry, lastUsed: now });
+      return entry.jar;
+    },
+
+    // Function to give a client's jar, making it if need be
+    jar(sessionId, now = Date.now()) {
+      const jar = store.find(sessionId, now);
+      if (jar) {
+        return jar;
+      }
+      jars.set(sessionId, { jar: createCookieJar(), lastUsed: now });
+      if (maxJars && jars.size > maxJars) {
+        jars.delete(jars.keys().next().value);
+      }
+      return jars.get(sessionId).jar;
+    },
+
+    // Function to count the jars kept
+    size: () => jars.size
+  };
+  return store;
+}
+
+// Function to give a request its client's jar without making one until a site sets a
+// cookie. `sessionId` tells the client apart in the fetch and conversion queues.
+function sessionJar(store, sessionId) {
+  const jar = () => store.find(sessionId);
+  return {
+    sessionId,
+    store(requestUrl, response, now = Date.now()) {
+      const found = getSetCookies(response).length ? store.jar(sessionId, now) : store.find(sessionId, now);
+      if (found) {
+        found.store(requestUrl, response, now);
+      }
+    },
+    cookieHeader: (requestUrl, now) => (jar() ? jar().cookieHeader(requestUrl, now) : ''),
+    sites: (now) => (jar() ? jar().sites(now) : {}),
+    clear(domain) {
+      if (jar()) {
+        jar().clear(domain);
+      }
+    }
+  };
+}
+
+// Function to give a request a jar that keeps nothing, for clients whose cookies the
+// proxy has been told not to store
+function emptyJar(sessionId) {
+  return {
+    sessionId,
+    store() {},
+    cookieHeader: () => '',
+    sites: () => ({}),
+    clear() {}
+  };
+}
+
+// Function to create middleware that gives each client its cookie jar as req.cookieJar,
+// and its session as req.sessionId. Browsers are told apart by a proxy session cookie;
+// forward-proxy clients by their address, since a cookie set by the proxy would only
+// come back for one site. Everyone behind one address shares that jar, so with
+// `forwardProxyCookies` off forward-proxy clients get a jar that keeps nothing.
+// A jar already picked by an outer app is kept.
+export function cookieSession(store, { forwardProxyCookies = true } = {}) {
+  return (req, res, next) => {
+    if (req.cookieJar) {
+      return next();
+    }
+
+    let sessionId;
+    if (req.forwardProxied) {
+      sessionId = `forward:${req.socket.remoteAddress}`;
+      if (!forwardProxyCookies) {
+        req.sessionId = sessionId;
+        req.cookieJar = emptyJar(sessionId);
+        return next();
+      }
+    } else {
+      sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      if (!/^[0-9a-f]{32}$/.test(sessionId || '')) {
+        sessionId = crypto.randomBytes(16).toString('hex');
+        res.cookie(SESSION_COOKIE, sessionId, { path: '/', expires: new Date(Date.now() + SESSION_LIFETIME) });
+      }
+    }
+
+    req.sessionId = sessionId;
+    req.cookieJar = sessionJar(store, sessionId);
+    next();
+  };
+}
+
+// Function to serve the page that lists the client's stored cookies by site, with buttons
+// to clear one site or all of them. Clearing is posted, so a link or image on a proxied
+// page can't do it.
+export function serveCookiePage(req, res) {
+  const jar = req.cookieJar;
+  const fields = postedFields(req);
+  if (fields.has('clear')) {
+    jar.clear(fields.get('clear') || null);
+    return res.redirect(localUrl(req, '/cookies'));
+  }
+
+  const clearButton = (domain, label) => `<form action="${escapeHtml(localUrl(req, '/cookies'))}" method="post">
+<input type="hidden" name="clear" value="${escapeHtml(domain)}"><input type="submit" value="${label}">
+</form>`;
+  const sites = Object.entries(jar.sites()).sort(([a], [b]) => a.localeCompare(b));
+  const rows = sites.map(([domain, cookies]) => `
+<tr>
+<td valign="top"><b>${escapeHtml(domain)}</b><br>${clearButton(domain, 'Clear')}</td>
+<td valign="top">${cookies.map(cookie => `${escapeHtml(cookie.name)} = ${escapeHtml(cookie.value.slice(0, 40))}${cookie.value.length > 40 ? '...' : ''}<br>
+<font size="1">${escapeHtml(cookie.path)}, ${cookie.expires === null ? 'until the proxy restarts' : `expires ${new Date(cookie.expires).toUTCString()}`}</font>`).join('<br>\n')}</td>
+</tr>`).join('');
+
+  sendHtml(res, `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="ISO-8859-1">
+<title>Stored Cookies</title>
+</head>
+<body>
+<h1>Stored Cookies</h1>
+<p>The proxy keeps these cookies for you and sends them back to each site.</p>
+${sites.length ? `<table border="1" cellpadding="4" cellspacing="0">${rows}
+</table>
+${clearButton('', 'Clear all cookies')}` : '<p>No cookies stored.</p>'}
+</body>
+</html>`);
+}
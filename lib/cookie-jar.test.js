@@ -0,0 +1,216 @@
+import express from 'express';
+import request from 'supertest';
+import {
+  cookieSession,
+  createCookieJar,
+  createCookieStore,
+  parseSetCookie,
+  serveCookiePage,
+} from './cookie-jar.js';
+import { readFormBody } from './forms.js';
+
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+
+// Stand-in for an upstream response carrying Set-Cookie headers
+function mockResponse(setCookies) {
+  return { headers: { getSetCookie: () => setCookies } };
+}
+
+describe('Cookie Jar - Parsing', () => {
+  test('should default the domain to the host and the path to the directory', () => {
+    const cookie = parseSetCookie('sid=abc; HttpOnly', 'http://www.example.com/account/login', NOW);
+
+    expect(cookie).toMatchObject({ name: 'sid', value: 'abc', domain: 'www.example.com', hostOnly: true, path: '/account', expires: null });
+  });
+
+  test('should read the Domain, Path, Secure and expiry attributes', () => {
+    const cookie = parseSetCookie('a=1; Domain=.example.com; Path=/shop; Secure; Max-Age=60', 'https://www.example.com/', NOW);
+
+    expect(cookie).toMatchObject({ domain: 'example.com', hostOnly: false, path: '/shop', secure: true, expires: NOW + 60000 });
+    expect(parseSetCookie('b=2; Expires=Wed, 01 Jan 2025 00:00:00 GMT', 'http://example.com/', NOW).expires)
+      .toBe(Date.parse('2025-01-01T00:00:00Z'));
+  });
+
+  test('should prefer Max-Age over Expires', () => {
+    const cookie = parseSetCookie('a=1; Expires=Wed, 01 Jan 2025 00:00:00 GMT; Max-Age=10', 'http://example.com/', NOW);
+    expect(cookie.expires).toBe(NOW + 10000);
+  });
+
+  test('should keep cookies for a public suffix, a single label or an IP address to the host that set them', () => {
+    expect(parseSetCookie('a=1; Domain=com', 'http://example.com/', NOW)).toMatchObject({ domain: 'example.com', hostOnly: true });
+    expect(parseSetCookie('a=1; Domain=co.uk', 'http://shop.example.co.uk/', NOW)).toMatchObject({ domain: 'shop.example.co.uk', hostOnly: true });
+    expect(parseSetCookie('a=1; Domain=github.io', 'http://me.github.io/', NOW)).toMatchObject({ domain: 'me.github.io', hostOnly: true });
+    expect(parseSetCookie('a=1; Domain=local', 'http://mac.local/', NOW)).toMatchObject({ domain: 'mac.local', hostOnly: true });
+    expect(parseSetCookie('a=1; Domain=0.1', 'http://10.0.0.1/', NOW)).toMatchObject({ domain: '10.0.0.1', hostOnly: true });
+    expect(parseSetCookie('a=1; Domain=example.co.uk', 'http://shop.example.co.uk/', NOW)).toMatchObject({ domain: 'example.co.uk', hostOnly: false });
+  });
+
+  test('should refuse cookies for another domain and malformed headers', () => {
+    expect(parseSetCookie('a=1; Domain=other.com', 'http://example.com/', NOW)).toBe(null);
+    expect(parseSetCookie('a=1; Domain=ample.com', 'http://example.com/', NOW)).toBe(null);
+    expect(parseSetCookie('novalue', 'http://example.com/', NOW)).toBe(null);
+  });
+});
+
+describe('Cookie Jar - Storage', () => {
+  test('should send cookies back to matching hosts and paths only', () => {
+    const jar = createCookieJar();
+    jar.store('http://www.example.com/', mockResponse([
+      'host=1',
+      'shared=2; Domain=example.com',
+      'deep=3; Path=/shop',
+      'safe=4; Secure',
+    ]), NOW);
+
+    expect(jar.cookieHeader('http://www.example.com/shop/cart', NOW)).toBe('deep=3; host=1; shared=2');
+    expect(jar.cookieHeader('https://www.example.com/', NOW)).toBe('host=1; shared=2; safe=4');
+    expect(jar.cookieHeader('http://news.example.com/', NOW)).toBe('shared=2');
+    expect(jar.cookieHeader('http://www.example.com/shopping', NOW)).toBe('host=1; shared=2');
+    expect(jar.cookieHeader('http://example.org/', NOW)).toBe('');
+  });
+
+  test('should read Set-Cookie headers from node-fetch responses', () => {
+    const jar = createCookieJar();
+    jar.store('http://example.com/', { headers: { raw: () => ({ 'set-cookie': ['a=1', 'b=2'] }) } }, NOW);
+
+    expect(jar.cookieHeader('http://example.com/', NOW)).toBe('a=1; b=2');
+  });
+
+  test('should replace cookies with the same name and drop expired ones', () => {
+    const jar = createCookieJar();
+    jar.store('http://example.com/', mockResponse(['a=1', 'b=2; Max-Age=60']), NOW);
+    jar.store('http://example.com/', mockResponse(['a=new', 'b=gone; Max-Age=0']), NOW);
+
+    expect(jar.cookieHeader('http://example.com/', NOW)).toBe('a=new');
+
+    jar.store('http://example.com/', mockResponse(['c=3; Max-Age=60']), NOW);
+    expect(jar.cookieHeader('http://example.com/', NOW + 61000)).toBe('a=new');
+  });
+
+  test('should list cookies by site and clear one site or all of them', () => {
+    const jar = createCookieJar();
+    jar.store('http://example.com/', mockResponse(['a=1']), NOW);
+    jar.store('http://example.org/', mockResponse(['b=2']), NOW);
+
+    expect(Object.keys(jar.sites(NOW)).sort()).toEqual(['example.com', 'example.org']);
+    jar.clear('example.com');
+    expect(Object.keys(jar.sites(NOW))).toEqual(['example.org']);
+    jar.clear(null);
+    expect(jar.sites(NOW)).toEqual({});
+  });
+});
+
+describe('Cookie Jar - Store', () => {
+  test('should drop the least recently used jar past the limit, and jars left idle', () => {
+    const store = createCookieStore({ maxJars: 2, idleTtl: 60 });
+    const first = store.jar('a', NOW);
+    store.jar('b', NOW);
+    expect(store.find('a', NOW)).toBe(first);
+    store.jar('c', NOW);
+
+    expect(store.size()).toBe(2);
+    expect(store.find('b', NOW)).toBe(null);
+    expect(store.find('a', NOW + 30000)).toBe(first);
+    expect(store.find('c', NOW + 60000)).toBe(null);
+    expect(store.find('a', NOW + 90000)).toBe(null);
+    expect(store.size()).toBe(0);
+  });
+});
+
+describe('Cookie Jar - Sessions', () => {
+  function createApp(store = createCookieStore(), options = {}) {
+    const app = express();
+    app.use((req, res, next) => {
+      req.forwardProxied = req.headers['x-forward'] === '1';
+      next();
+    });
+    app.use(cookieSession(store, options));
+    app.use(readFormBody);
+    app.get('/cookies', serveCookiePage);
+    app.post('/cookies', serveCookiePage);
+    app.get('/seed', (req, res) => {
+      req.cookieJar.store('http://example.com/', mockResponse(['sid=<abc>']));
+      res.send('ok');
+    });
+    return app;
+  }
+
+  test('should give new browsers a session cookie and keep their jar across requests', async () => {
+    const app = createApp();
+    const seeded = await request(app).get('/seed');
+    const session = seeded.headers['set-cookie'][0].split(';')[0];
+
+    expect(session).toMatch(/^proxy_session=[0-9a-f]{32}$/);
+
+    const page = await request(app).get('/cookies').set('Cookie', session);
+    expect(page.headers['set-cookie']).toBeUndefined();
+    expect(page.text).toContain('<b>example.com</b>');
+    expect(page.text).toContain('sid = &lt;abc&gt;');
+
+    const other = await request(app).get('/cookies');
+    expect(other.text).toContain('No cookies stored.');
+  });
+
+  test('should escape what sites put in their cookies on the cookie page', async () => {
+    const store = createCookieStore();
+    const app = createApp(store);
+    const session = (await request(app).get('/seed')).headers['set-cookie'][0].split(';')[0];
+    store.jar(session.split('=')[1]).store('http://example.com/', mockResponse(['<i>n</i>=v; Path=/<b>xss</b>']));
+
+    const page = await request(app).get('/cookies').set('Cookie', session);
+    expect(page.text).toContain('/&lt;b&gt;xss&lt;/b&gt;');
+    expect(page.text).toContain('&lt;i&gt;n&lt;/i&gt; = v');
+    expect(page.text).not.toContain('<b>xss</b>');
+  });
+
+  test('should make a jar only once a site sets a cookie', async () => {
+    const store = createCookieStore();
+    const app = createApp(store);
+    await request(app).get('/cookies');
+    await request(app).post('/cookies').type('form').send('clear=example.com');
+    expect(store.size()).toBe(0);
+
+    await request(app).get('/seed');
+    expect(store.size()).toBe(1);
+  });
+
+  test('should key forward-proxy clients by address instead of a cookie', async () => {
+    const app = createApp();
+    const seeded = await request(app).get('/seed').set('X-Forward', '1');
+
+    expect(seeded.headers['set-cookie']).toBeUndefined();
+
+    const page = await request(app).get('/cookies').set('X-Forward', '1');
+    expect(page.text).toContain('<b>example.com</b>');
+  });
+
+  test('should keep no cookies for forward-proxy clients when told not to', async () => {
+    const store = createCookieStore();
+    const app = createApp(store, { forwardProxyCookies: false });
+    await request(app).get('/seed').set('X-Forward', '1');
+
+    expect(store.size()).toBe(0);
+    const page = await request(app).get('/cookies').set('X-Forward', '1');
+    expect(page.text).toContain('No cookies stored.');
+
+    // Browsers using the proxy's own address still get their jar
+    await request(app).get('/seed');
+    expect(store.size()).toBe(1);
+  });
+
+  test('should clear cookies from the cookie page\'s forms and redirect back to it', async () => {
+    const app = createApp();
+    const session = (await request(app).get('/seed')).headers['set-cookie'][0].split(';')[0];
+
+    // A link can't clear anything
+    await request(app).get('/cookies?clear=example.com').set('Cookie', session);
+    expect((await request(app).get('/cookies').set('Cookie', session)).text).toContain('<input type="hidden" name="clear" value="example.com">');
+
+    const cleared = await request(app).post('/cookies').type('form').send('clear=example.com').set('Cookie', session).set('Host', 'proxy.local');
+    expect(cleared.status).toBe(302);
+    expect(cleared.headers.location).toBe('http://proxy.local/cookies');
+
+    const page = await request(app).get('/cookies').set('Cookie', session);
+    expect(page.text).toContain('No cookies stored.');
+  });
+});
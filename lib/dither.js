@@ -0,0 +1,103 @@
+// Apple's standard 16-colour palette (Color QuickDraw's 4-bit system CLUT)
+const MAC_16_COLOURS = [
+  0xFFFFFF, 0xFCF305, 0xFF6402, 0xDD0806, 0xF20884, 0x4600A5, 0x0000D4, 0x02ABEA,
+  0x1FB714, 0x006411, 0x562C05, 0x90713A, 0xC0C0C0, 0x808080, 0x404040, 0x000000
+];
+
+// Function to build Apple's 8-bit system palette: the 6x6x6 colour cube followed by
+// ten-step ramps of red, green, blue and grey that skip the levels the cube already has
+function buildMac256Colours() {
+  const cube = [0xFF, 0xCC, 0x99, 0x66, 0x33, 0x00];
+  const ramp = [0xEE, 0xDD, 0xBB, 0xAA, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+  const colours = [];
+
+  cube.forEach(r => cube.forEach(g => cube.forEach(b => colours.push((r << 16) | (g << 8) | b))));
+  colours.pop(); // black goes at the very end, after the ramps
+  [16, 8, 0].forEach(shift => ramp.forEach(level => colours.push(level << shift)));
+  ramp.forEach(level => colours.push((level << 16) | (level << 8) | level));
+  colours.push(0x000000);
+
+  return colours;
+}
+
+// Palettes by colour depth in bits per pixel, as [r, g, b] triples
+export const MAC_PALETTES = {
+  1: [[255, 255, 255], [0, 0, 0]],
+  4: MAC_16_COLOURS.map(toRgb),
+  8: buildMac256Colours().map(toRgb)
+};
+
+function toRgb(colour) {
+  return [(colour >> 16) & 0xFF, (colour >> 8) & 0xFF, colour & 0xFF];
+}
+
+// Function to look up the Mac palette for a colour depth, or null for full colour
+export function getPalette(colourDepth) {
+  return MAC_PALETTES[colourDepth] || null;
+}
+
+// Function to find the palette entry closest to a colour, weighting the channels
+// by how strongly the eye sees them
+function nearestColour(palette, r, g, b) {
+  let best = 0;
+  let bestDistance = Infinity;
+  palette.forEach(([pr, pg, pb], index) => {
+    const distance = 3 * (r - pr) ** 2 + 6 * (g - pg) ** 2 + (b - pb) ** 2;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = index;
+    }
+  });
+  return palette[best];
+}
+
+// How many colours ditherPixels remembers the nearest palette entry for
+const MAX_NEAREST_CACHED = 65536;
+
+// Function to reduce raw RGB pixels to a palette. With `diffuse` the rounding error of
+// each pixel is spread over its neighbours (Floyd-Steinberg), otherwise every pixel
+// just takes the nearest colour.
+export function ditherPixels(pixels, width, height, palette, { diffuse = true } = {}) {
+  const output = Buffer.alloc(width * height * 3);
+  const working = Float32Array.from(pixels);
+  // Nearest colours already found, dropped when full so a photo with millions of
+  // colours doesn't grow it without bound
+  const nearest = new Map();
+
+  const spread = (x, y, error, weight) => {
+    if (x < 0 || x >= width || y >= height) return;
+    const offset = (y * width + x) * 3;
+    for (let channel = 0; channel < 3; channel++) {
+      working[offset + channel] += error[channel] * weight;
+    }
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 3;
+      const [r, g, b] = [0, 1, 2].map(channel => Math.round(Math.min(255, Math.max(0, working[offset + channel]))));
+
+      const key = (r << 16) | (g << 8) | b;
+      if (!nearest.has(key)) {
+        if (nearest.size >= MAX_NEAREST_CACHED) {
+          nearest.clear();
+        }
+        nearest.set(key, nearestColour(palette, r, g, b));
+      }
+      const colour = nearest.get(key);
+      output[offset] = colour[0];
+      output[offset + 1] = colour[1];
+      output[offset + 2] = colour[2];
+
+      if (diffuse) {
+        const error = [r - colour[0], g - colour[1], b - colour[2]];
+        spread(x + 1, y, error, 7 / 16);
+        spread(x - 1, y + 1, error, 3 / 16);
+        spread(x, y + 1, error, 5 / 16);
+        spread(x + 1, y + 1, error, 1 / 16);
+      }
+    }
+  }
+
+  return output;
+}
@@ -0,0 +1,43 @@
+import { ditherPixels, getPalette, MAC_PALETTES } from './dither.js';
+
+describe('Dither - Palettes', () => {
+  test('should have 2, 16 and 256 colours at 1, 4 and 8 bits', () => {
+    expect(MAC_PALETTES[1]).toHaveLength(2);
+    expect(MAC_PALETTES[4]).toHaveLength(16);
+    expect(MAC_PALETTES[8]).toHaveLength(256);
+    expect(new Set(MAC_PALETTES[8].map(colour => colour.join(','))).size).toBe(256);
+  });
+
+  test('should start the 8-bit system palette with white and end it with black', () => {
+    expect(MAC_PALETTES[8][0]).toEqual([255, 255, 255]);
+    expect(MAC_PALETTES[8][255]).toEqual([0, 0, 0]);
+  });
+
+  test('should return null for full colour', () => {
+    expect(getPalette(null)).toBe(null);
+    expect(getPalette(24)).toBe(null);
+  });
+});
+
+describe('Dither - Error Diffusion', () => {
+  test('should keep colours that are already in the palette', () => {
+    const pixels = Buffer.from([255, 255, 255, 0, 0, 0]);
+    expect(ditherPixels(pixels, 2, 1, MAC_PALETTES[1])).toEqual(pixels);
+  });
+
+  test('should turn mid grey into an even mix of black and white', () => {
+    const pixels = Buffer.alloc(16 * 16 * 3, 128);
+    const output = ditherPixels(pixels, 16, 16, MAC_PALETTES[1]);
+    const white = output.filter((value, index) => index % 3 === 0 && value === 255).length;
+
+    expect(white).toBeGreaterThan(96);
+    expect(white).toBeLessThan(160);
+  });
+
+  test('should map every pixel to its nearest colour when diffusion is off', () => {
+    const pixels = Buffer.alloc(4 * 4 * 3, 128);
+    const output = ditherPixels(pixels, 4, 4, MAC_PALETTES[1], { diffuse: false });
+
+    expect(new Set(output).size).toBe(1);
+  });
+});
@@ -0,0 +1,181 @@
+import { STATUS_CODES } from "http";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import { escapeHtml, fetchLimits, localUrl, proxyUrl, sendHtml, toHttp } from "./proxy-core.js";
+import { formatBytes } from "./image-cache.js";
+
+// Image shown in place of one that took too long, was too big or was refused by the
+// network policy, served by every proxy at this path
+export const PLACEHOLDER_IMAGE = {
+  path: '/image-unavailable.gif',
+  file: join(fileURLToPath(new URL('../static', import.meta.url)), 'image-unavailable.gif'),
+  width: 32,
+  height: 32
+};
+
+// Function to name a site in error messages by its host name
+const siteName = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url;
+  }
+};
+
+// Function to quote an upstream status with its reason phrase, e.g. "404 Not Found"
+const statusText = (status) => `${status} ${STATUS_CODES[status] || 'Unknown Status'}`;
+
+// What each kind of fetch (see upstreamOptions) is called in error pages
+const FETCH_NOUNS = {
+  page: 'Page',
+  image: 'Image',
+  logo: 'Image',
+  download: 'File'
+};
+
+// Titles for the 4xx answers that have their own
+const CLIENT_ERROR_TITLES = {
+  401: 'Site Asked for a Password',
+  403: 'Site Refused Access',
+  404: 'Page Not Found',
+  410: 'Page Not Found',
+  429: 'Site Is Busy'
+};
+
+// Wording of the error page for each kind of failed fetch (see fetchErrorKind, plus
+// 'failed' for anything else): the status sent (or a function of the upstream status),
+// the title (or a function of the upstream status and what was fetched), the message,
+// and whether to offer links to try again and to the original page. Messages are given
+// what was fetched: its noun and the timeout and size limit it ran with.
+const FETCH_ERRORS = {
+  timeout: {
+    status: 504,
+    title: (upstreamStatus, fetched) => `${fetched.noun} Took Too Long`,
+    message: (url, fetched) => (fetched.timeout
+      ? `${url} didn't finish loading within ${fetched.timeout / 1000} second${fetched.timeout === 1000 ? '' : 's'}, so the proxy gave up on it.`
+      : `${url} took too long to answer, so the proxy gave up on it.`)
+  },
+  'too-large': {
+    status: 502,
+    title: (upstreamStatus, fetched) => `${fetched.noun} Too Large`,
+    message: (url, fetched) => `${url} is bigger than the ${fetched.maxBytes ? `${formatBytes(fetched.maxBytes)} ` : ''}the proxy will download for one ${fetched.noun.toLowerCase()}.`
+  },
+  blocked: {
+    status: 403,
+    title: 'Address Not Allowed',
+    message: (url) => `The proxy won't fetch ${url}: it is on a local or private network, or the proxy's settings don't allow that site.`,
+    retry: false
+  },
+  dns: {
+    status: 502,
+    title: 'Site Not Found',
+    message: (url) => `The proxy couldn't find the site ${siteName(url)}. Check the address for typing mistakes; the site may also have closed down.`
+  },
+  connection: {
+    status: 502,
+    title: 'Site Not Answering',
+    message: (url) => `${siteName(url)} refused or dropped the connection. The site may be down for a while.`
+  },
+  redirects: {
+    status: 502,
+    title: 'Too Many Redirects',
+    message: (url) => `${url} kept redirecting to other addresses without ever reaching a page, so the proxy gave up on it.`
+  },
+  tls: {
+    status: 502,
+    title: 'Secure Connection Failed',
+    message: (url) => `The proxy couldn't make a secure connection to ${siteName(url)}: its certificate isn't valid, or it needs encryption the proxy doesn't have.`,
+    retry: false
+  },
+  'client-error': {
+    status: (upstreamStatus) => upstreamStatus,
+    title: (upstreamStatus) => CLIENT_ERROR_TITLES[upstreamStatus] || 'Page Unavailable',
+    message: (url, fetched, upstreamStatus) => `${url} answered "${statusText(upstreamStatus)}".`,
+    original: true
+  },
+  'server-error': {
+    status: (upstreamStatus) => proxyStatus(upstreamStatus),
+    title: 'Site Error',
+    message: (url, fetched, upstreamStatus) => `${siteName(url)} had a problem answering for ${url} ("${statusText(upstreamStatus)}"). It is often a passing fault, so try again in a while.`,
+    original: true
+  },
+  failed: {
+    status: 500,
+    title: 'Page Could Not Be Shown',
+    message: (url, fetched, upstreamStatus, error) => `Something went wrong loading ${url}: ${error ? error.message : 'unknown error'}.`
+  }
+};
+
+// Function to map an upstream status to the one the proxy answers with: a 2xx or 4xx is
+// passed on, anything else (a 5xx, or a redirect the proxy couldn't follow) becomes
+// 502 Bad Gateway
+export function proxyStatus(upstreamStatus) {
+  return upstreamStatus >= 200 && upstreamStatus < 300 || upstreamStatus >= 400 && upstreamStatus < 500 ? upstreamStatus : 502;
+}
+
+// Function to serve the placeholder image. It is never cached, so the real image is tried
+// again next time.
+export function servePlaceholderImage(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(PLACEHOLDER_IMAGE.file);
+}
+
+// Function to turn an <img> whose image couldn't be fetched into the placeholder,
+// keeping its alt text
+export function showImagePlaceholder(img, req) {
+  const alt = img.getAttribute('alt');
+  img.setAttribute('src', localUrl(req, PLACEHOLDER_IMAGE.path));
+  img.setAttribute('width', String(PLACEHOLDER_IMAGE.width));
+  img.setAttribute('height', String(PLACEHOLDER_IMAGE.height));
+  img.setAttribute('alt', alt ? `[Image unavailable: ${alt}]` : '[Image unavailable]');
+  img.removeAttribute('style');
+}
+
+// Function to send an error page any browser can show: a title bar, a heading and
+// paragraphs of HTML, laid out with HTML 3.2 tables and font tags rather than styles or scripts
+export function sendErrorPage(res, status, title, paragraphs) {
+  res.status(status);
+  sendHtml(res, `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="ISO-8859-1">
+<title>${title}</title>
+</head>
+<body bgcolor="#FFFFFF" text="#000000" link="#0000FF" vlink="#800080">
+<table width="100%" border="0" cellpadding="4" cellspacing="0">
+<tr><td bgcolor="#333333"><font color="#FFFFFF"><b>Vintage Web Proxy</b></font></td></tr>
+</table>
+<h1>${title}</h1>
+${paragraphs.map(paragraph => `<p>${paragraph}</p>\n`).join('')}<hr>
+<p><font size="1">${statusText(status)}</font></p>
+</body>
+</html>`);
+}
+
+// Function to send the error page for a page fetch that failed, hit a limit, was refused
+// or got a 4xx or 5xx answer, with links to try the page again and to see the site's own
+// page where that could help. The error's upstream status and final address (after
+// redirects) are shown when it has them. `fetchKind` is the kind of fetch that failed
+// (see upstreamOptions), so a timeout or size limit is quoted as the one it ran with.
+export function sendFetchErrorPage(req, res, targetUrl, kind, error = null, fetchKind = 'page') {
+  const options = req.clientOptions || req.app.locals.options;
+  const fetched = { noun: FETCH_NOUNS[fetchKind], ...fetchLimits(options || {}, fetchKind) };
+  const upstreamStatus = error && error.status;
+  // Shown as the browser would follow it, so a fetch made over HTTPS alone isn't a change of address
+  const finalUrl = toHttp((error && error.finalUrl) || targetUrl);
+  const { status, title, message, retry = true, original = false } = FETCH_ERRORS[kind];
+  const pick = (value) => (typeof value === 'function' ? value(upstreamStatus, fetched) : value);
+  if (req.trace) {
+    req.trace.error = kind;
+  }
+
+  const links = [
+    ...(retry ? [`<a href="${escapeHtml(proxyUrl(req, targetUrl))}">Try again</a>`] : []),
+    ...(original ? [`<a href="${escapeHtml(localUrl(req, `/original?url=${encodeURIComponent(finalUrl)}`))}">View the original page</a>`] : [])
+  ];
+  sendErrorPage(res, pick(status), pick(title), [
+    escapeHtml(message(targetUrl, fetched, upstreamStatus, error)),
+    ...(finalUrl !== toHttp(targetUrl) ? [`The address led to <b>${escapeHtml(finalUrl)}</b>.`] : []),
+    ...(links.length ? [links.join(' | ')] : [])
+  ]);
+}
@@ -0,0 +1,199 @@
+import express from "express";
+import iconv from "iconv-lite";
+import { UNPROXYABLE_PROTOCOLS, localUrl, proxyUrl } from "./proxy-core.js";
+import { OUTPUT_CHARSETS, getOutputCharset } from "./output-encoding.js";
+
+// Hidden fields and query parameters the proxy adds to rewritten forms
+export const FORM_ACTION_FIELD = '_proxy_action';
+export const FORM_CHARSET_FIELD = '_proxy_charset';
+
+// Largest form body relayed upstream, including file uploads
+const MAX_FORM_BODY = '10mb';
+
+// HTML5 input types that browsers from the 90s don't know; they become plain text fields
+const MODERN_INPUT_TYPES = [
+  'email', 'search', 'url', 'tel', 'number', 'range', 'color',
+  'date', 'datetime', 'datetime-local', 'month', 'week', 'time'
+];
+
+// Middleware that keeps the raw body of form submissions so it can be relayed upstream
+export const readFormBody = express.raw({ type: () => true, limit: MAX_FORM_BODY });
+
+// Function to read the fields of a form posted to one of the proxy's own pages, such as
+// the cache and cookie pages; none for anything but a POST read by readFormBody
+export function postedFields(req) {
+  if (req.method !== 'POST' || !Buffer.isBuffer(req.body)) {
+    return new URLSearchParams();
+  }
+  return new URLSearchParams(req.body.toString('latin1'));
+}
+
+// Function to point every form at the proxy. GET forms go to /form, which rebuilds the
+// query for the original action (browsers replace the query of a GET action with the
+// form data); POST forms post to the page route with the original action in ?url=.
+// `charset` is the charset the site expects its form data in.
+export function rewriteForms(document, baseUrl, req, { charset } = {}) {
+  document.querySelectorAll('form').forEach((form) => {
+    const action = (form.getAttribute('action') || '').trim();
+    if (UNPROXYABLE_PROTOCOLS.some(protocol => action.toLowerCase().startsWith(protocol))) {
+      return;
+    }
+
+    let absoluteAction;
+    try {
+      absoluteAction = new URL(action || baseUrl, baseUrl).href;
+    } catch (error) {
+      form.removeAttribute('action');
+      return;
+    }
+
+    const method = (form.getAttribute('method') || 'get').toLowerCase();
+    const charsetParam = charset && charset !== 'utf-8' ? `&${FORM_CHARSET_FIELD}=${encodeURIComponent(charset)}` : '';
+
+    if (method === 'post') {
+      form.setAttribute('action', localUrl(req, `/?url=${encodeURIComponent(absoluteAction)}${charsetParam}`));
+      return;
+    }
+
+    form.setAttribute('method', 'get');
+    form.setAttribute('action', localUrl(req, '/form'));
+    addHiddenField(document, form, FORM_ACTION_FIELD, absoluteAction);
+    if (charsetParam) {
+      addHiddenField(document, form, FORM_CHARSET_FIELD, charset);
+    }
+  });
+}
+
+function addHiddenField(document, form, name, value) {
+  const input = document.createElement('input');
+  input.setAttribute('type', 'hidden');
+  input.setAttribute('name', name);
+  input.setAttribute('value', value);
+  form.insertBefore(input, form.firstChild);
+}
+
+// Function to replace form controls old browsers can't render with ones they can
+export function downgradeInputs(document) {
+  document.querySelectorAll('input').forEach((input) => {
+    const type = (input.getAttribute('type') || '').toLowerCase();
+    if (MODERN_INPUT_TYPES.includes(type)) {
+      input.setAttribute('type', 'text');
+    }
+  });
+
+  // <button> arrived with HTML 4; submit buttons become <input type="submit">, script buttons go
+  document.querySelectorAll('button').forEach((button) => {
+    const type = (button.getAttribute('type') || 'submit').toLowerCase();
+    if (type !== 'submit') {
+      button.remove();
+      return;
+    }
+
+    const input = document.createElement('input');
+    input.setAttribute('type', 'submit');
+    input.setAttribute('value', button.textContent.trim().replace(/\s+/g, ' ') || 'Submit');
+    if (button.getAttribute('name')) {
+      input.setAttribute('name', button.getAttribute('name'));
+    }
+    button.parentNode.replaceChild(input, button);
+  });
+
+  // Without rows and cols some browsers draw a one-line textarea
+  document.querySelectorAll('textarea').forEach((textarea) => {
+    if (!textarea.getAttribute('rows')) textarea.setAttribute('rows', '4');
+    if (!textarea.getAttribute('cols')) textarea.setAttribute('cols', '40');
+  });
+}
+
+// Function to decode one urlencoded name or value sent by the client, including the
+// &#NNNN; references browsers send for characters the page's charset lacks. References
+// to surrogates or past U+10FFFF aren't characters, so they are left as they were typed.
+function decodeFormComponent(component, clientEncoding) {
+  const bytes = Buffer.from(
+    component.replace(/\+/g, ' ').replace(/%([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+    'latin1'
+  );
+  return iconv.decode(bytes, clientEncoding).replace(/&#(\d+);/g, (match, code) => {
+    const codePoint = Number(code);
+    return codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF) ? match : String.fromCodePoint(codePoint);
+  });
+}
+
+// Function to urlencode a value in the charset the site expects
+function encodeFormComponent(value, charset) {
+  return Array.from(iconv.encode(value, charset)).map((byte) => {
+    const ch = String.fromCharCode(byte);
+    if (/[A-Za-z0-9*\-._]/.test(ch)) return ch;
+    if (ch === ' ') return '+';
+    return `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+  }).join('');
+}
+
+// Function to re-encode urlencoded form data from the client's charset into the site's,
+// pulling out the fields the proxy added itself
+export function transcodeFormData(formData, { clientCharset, charset = 'utf-8' } = {}) {
+  const clientEncoding = OUTPUT_CHARSETS[getOutputCharset(clientCharset)].encoding;
+  const targetCharset = iconv.encodingExists(charset) ? charset : 'utf-8';
+  const proxyFields = {};
+  const pairs = [];
+
+  formData.split('&').filter(Boolean).forEach((pair) => {
+    const [name, value = ''] = pair.split('=');
+    const decodedName = decodeFormComponent(name, clientEncoding);
+    const decodedValue = decodeFormComponent(value, clientEncoding);
+
+    if (decodedName === FORM_ACTION_FIELD || decodedName === FORM_CHARSET_FIELD) {
+      proxyFields[decodedName] = decodedValue;
+    } else {
+      pairs.push(`${encodeFormComponent(decodedName, targetCharset)}=${encodeFormComponent(decodedValue, targetCharset)}`);
+    }
+  });
+
+  return { query: pairs.join('&'), proxyFields };
+}
+
+// Function to serve GET form submissions: rebuild the original action URL with the
+// form data as its query and load it through the proxy
+export function serveFormSubmission(req, res) {
+  const options = req.clientOptions || req.app.locals.options;
+  const queryString = req.url.includes('?') ? req.url.slice(req.url.indexOf('?') + 1) : '';
+  const charset = req.query[FORM_CHARSET_FIELD];
+  const { query, proxyFields } = transcodeFormData(queryString, { clientCharset: options.outputCharset, charset });
+
+  let target;
+  try {
+    target = new URL(proxyFields[FORM_ACTION_FIELD]);
+  } catch (error) {
+    return res.status(400).send("Error: No form action provided");
+  }
+
+  target.search = query;
+  res.redirect(proxyUrl(req, target.href));
+}
+
+// Function to build the fetch options that relay a client's POST upstream. URL-encoded
+// bodies are re-encoded into the site's charset; multipart bodies (file uploads) are
+// passed through untouched with their boundary.
+export function upstreamRequest(req) {
+  if (req.method !== 'POST' || !Buffer.isBuffer(req.body)) {
+    return {};
+  }
+
+  const contentType = req.headers['content-type'] || 'application/x-www-form-urlencoded';
+  let body = req.body;
+
+  if (contentType.toLowerCase().startsWith('application/x-www-form-urlencoded')) {
+    const options = req.clientOptions || req.app.locals.options;
+    const { query } = transcodeFormData(body.toString('latin1'), {
+      clientCharset: options.outputCharset,
+      charset: req.query[FORM_CHARSET_FIELD]
+    });
+    body = query;
+  }
+
+  return {
+    method: 'POST',
+    body,
+    headers: { 'Content-Type': contentType }
+  };
+}
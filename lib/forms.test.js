@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import iconv from 'iconv-lite';
+import {
+  downgradeInputs,
+  readFormBody,
+  rewriteForms,
+  serveFormSubmission,
+  transcodeFormData,
+  upstreamRequest,
+} from './forms.js';
+
+// Minimal stand-ins for DOM elements; jsdom can't load inside Jest's VM modules runtime
+function mockElement(tagName, attributes = {}, textContent = '') {
+  return {
+    tagName,
+    textContent,
+    attributes: { ...attributes },
+    children: [],
+    get firstChild() { return this.children[0] || null; },
+    getAttribute(name) { return name in this.attributes ? this.attributes[name] : null; },
+    setAttribute(name, value) { this.attributes[name] = value; },
+    removeAttribute(name) { delete this.attributes[name]; },
+    insertBefore(child) { this.children.unshift(child); },
+    replaceChild: jest.fn(),
+    remove: jest.fn(),
+  };
+}
+
+function mockDocument(elementsBySelector) {
+  return {
+    querySelectorAll: (selector) => elementsBySelector[selector] || [],
+    createElement: (tagName) => mockElement(tagName),
+  };
+}
+
+function mockRequest(options = {}) {
+  return {
+    headers: { host: 'proxy.local' },
+    app: { locals: { options } },
+  };
+}
+
+describe('Forms - Rewriting', () => {
+  test('should send GET forms to /form with the original action in a hidden field', () => {
+    const form = mockElement('FORM', { action: '/search' });
+    rewriteForms(mockDocument({ form: [form] }), 'http://example.com/page', mockRequest());
+
+    expect(form.attributes.action).toBe('http://proxy.local/form');
+    expect(form.attributes.method).toBe('get');
+    expect(form.children[0].attributes).toEqual({ type: 'hidden', name: '_proxy_action', value: 'http://example.com/search' });
+  });
+
+  test('should post POST forms to the page route, keeping HTTPS actions', () => {
+    const form = mockElement('FORM', { action: 'https://example.com/login', method: 'POST', enctype: 'multipart/form-data' });
+    rewriteForms(mockDocument({ form: [form] }), 'http://example.com/', mockRequest());
+
+    expect(form.attributes.action).toBe('http://proxy.local/?url=' + encodeURIComponent('https://example.com/login'));
+    expect(form.attributes.enctype).toBe('multipart/form-data');
+    expect(form.children).toHaveLength(0);
+  });
+
+  test('should submit forms without an action to the page they are on', () => {
+    const form = mockElement('FORM', { method: 'post' });
+    rewriteForms(mockDocument({ form: [form] }), 'http://example.com/comments', mockRequest());
+
+    expect(form.attributes.action).toBe('http://proxy.local/?url=' + encodeURIComponent('http://example.com/comments'));
+  });
+
+  test('should pass on the charset of sites that are not UTF-8', () => {
+    const getForm = mockElement('FORM', { action: '/find' });
+    const postForm = mockElement('FORM', { action: '/post', method: 'post' });
+    rewriteForms(mockDocument({ form: [getForm, postForm] }), 'http://example.jp/', mockRequest(), { charset: 'shift_jis' });
+
+    expect(getForm.children.map(input => input.attributes.name)).toEqual(['_proxy_charset', '_proxy_action']);
+    expect(postForm.attributes.action).toMatch(/&_proxy_charset=shift_jis$/);
+  });
+
+  test('should leave mailto forms alone', () => {
+    const form = mockElement('FORM', { action: 'mailto:someone@example.com', method: 'post' });
+    rewriteForms(mockDocument({ form: [form] }), 'http://example.com/', mockRequest());
+
+    expect(form.attributes.action).toBe('mailto:someone@example.com');
+  });
+});
+
+describe('Forms - Downgrading Inputs', () => {
+  test('should turn HTML5 input types into text fields', () => {
+    const email = mockElement('INPUT', { type: 'email' });
+    const checkbox = mockElement('INPUT', { type: 'checkbox' });
+    downgradeInputs(mockDocument({ input: [email, checkbox] }));
+
+    expect(email.attributes.type).toBe('text');
+    expect(checkbox.attributes.type).toBe('checkbox');
+  });
+
+  test('should replace submit buttons with submit inputs and drop script buttons', () => {
+    const parent = mockElement('DIV');
+    const submit = { ...mockElement('BUTTON', { name: 'go' }, '  Search\n  now '), parentNode: parent };
+    const scripted = mockElement('BUTTON', { type: 'button' }, 'Menu');
+    downgradeInputs(mockDocument({ button: [submit, scripted] }));
+
+    const [replacement] = parent.replaceChild.mock.calls[0];
+    expect(replacement.attributes).toEqual({ type: 'submit', value: 'Search now', name: 'go' });
+    expect(scripted.remove).toHaveBeenCalled();
+  });
+
+  test('should give textareas a usable size', () => {
+    const textarea = mockElement('TEXTAREA', { cols: '60' });
+    downgradeInputs(mockDocument({ textarea: [textarea] }));
+
+    expect(textarea.attributes).toEqual({ cols: '60', rows: '4' });
+  });
+});
+
+describe('Forms - Transcoding', () => {
+  test('should re-encode Latin-1 form data as UTF-8', () => {
+    const { query } = transcodeFormData('q=caf%E9+cr%E8me&x=1');
+    expect(query).toBe('q=caf%C3%A9+cr%C3%A8me&x=1');
+  });
+
+  test('should read MacRoman form data and write the site charset', () => {
+    const { query } = transcodeFormData('q=%8E', { clientCharset: 'macroman', charset: 'windows-1252' });
+    expect(query).toBe('q=%E9');
+  });
+
+  test('should turn numeric references back into characters', () => {
+    const { query } = transcodeFormData('q=%26%2326085%3B', { charset: 'shift_jis' });
+    expect(query).toBe('q=' + Array.from(iconv.encode('日', 'shift_jis')).map(b => '%' + b.toString(16).toUpperCase()).join(''));
+  });
+
+  test('should leave references that are not characters as they were typed', () => {
+    expect(transcodeFormData('q=%26%2399999999%3B').query).toBe('q=%26%2399999999%3B');
+    expect(transcodeFormData('q=%26%2355296%3B+%26%2365%3B').query).toBe('q=%26%2355296%3B+A');
+  });
+
+  test('should pull out the fields the proxy added', () => {
+    const { query, proxyFields } = transcodeFormData('_proxy_action=http%3A%2F%2Fexample.com%2Fs&q=mac');
+    expect(query).toBe('q=mac');
+    expect(proxyFields._proxy_action).toBe('http://example.com/s');
+  });
+});
+
+describe('Forms - Submission', () => {
+  function createApp(options = {}) {
+    const app = express();
+    app.locals.options = { outputCharset: 'iso-8859-1', ...options };
+    app.use(readFormBody);
+    app.get('/form', serveFormSubmission);
+    app.post('/', (req, res) => res.json(upstreamRequest(req)));
+    return app;
+  }
+
+  test('should redirect GET submissions to the action with the form data as its query', async () => {
+    const response = await request(createApp())
+      .get('/form?_proxy_action=http%3A%2F%2Fexample.com%2Fsearch%3Fold%3D1&q=caf%E9')
+      .set('Host', 'proxy.local');
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('http://proxy.local/?url=' + encodeURIComponent('http://example.com/search?q=caf%C3%A9'));
+  });
+
+  test('should reject submissions without an action', async () => {
+    const response = await request(createApp()).get('/form?q=1');
+    expect(response.status).toBe(400);
+  });
+
+  test('should relay urlencoded POST bodies in the site charset', async () => {
+    const response = await request(createApp())
+      .post('/?url=http%3A%2F%2Fexample.com%2F')
+      .set('Content-Type', 'application/x-www-form-urlencoded')
+      .send('name=Ren%E9&comment=hi');
+
+    expect(response.body).toEqual({
+      method: 'POST',
+      body: 'name=Ren%C3%A9&comment=hi',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    });
+  });
+
+  test('should pass multipart bodies through untouched', async () => {
+    const body = '--XyZ\r\nContent-Disposition: form-data; name="a"\r\n\r\n1\r\n--XyZ--\r\n';
+    const response = await request(createApp())
+      .post('/')
+      .set('Content-Type', 'multipart/form-data; boundary=XyZ')
+      .send(body);
+
+    expect(response.body.headers['Content-Type']).toBe('multipart/form-data; boundary=XyZ');
+    expect(Buffer.from(response.body.body.data).toString()).toBe(body);
+  });
+
+  test('should not add a body to GET requests', () => {
+    expect(upstreamRequest({ method: 'GET', body: {} })).toEqual({});
+  });
+});
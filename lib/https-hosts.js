@@ -0,0 +1,167 @@
+// Links are downgraded to http:// for vintage browsers, but many sites only answer over
+// HTTPS. The proxy remembers those hosts and fetches them over HTTPS, so the browser's
+// plain http addresses still reach the right page without a redirect round trip.
+
+// Defaults for how long a host is remembered, in seconds, when it is learned from a
+// redirect or a refused connection (sites sending Strict-Transport-Security are kept
+// for its max-age instead), and how many hosts are kept before the oldest are forgotten
+export const DEFAULT_HTTPS_MEMORY = {
+  ttl: 24 * 60 * 60,
+  maxEntries: 10000
+};
+
+// Function to give an http URL as https, or null when it isn't http or names a port,
+// since HTTPS would be served elsewhere
+function toHttps(url) {
+  const parsed = new URL(url);
+  if (parsed.port || parsed.protocol !== 'http:') {
+    return null;
+  }
+  parsed.protocol = 'https:';
+  return parsed.href;
+}
+
+// Function to read the max-age and includeSubDomains directives of a
+// Strict-Transport-Security header, or return null if it has no valid max-age
+export function parseStrictTransportSecurity(header) {
+  let maxAge = null;
+  let includeSubdomains = false;
+  (header || '').split(';').forEach((directive) => {
+    const [name, ...rest] = directive.split('=');
+    const value = rest.join('=').trim().replace(/^"(.*)"$/, '$1');
+    switch (name.trim().toLowerCase()) {
+      case 'max-age':
+        if (/^\d+$/.test(value)) maxAge = Number(value);
+        break;
+      case 'includesubdomains':
+        includeSubdomains = true;
+        break;
+    }
+  });
+  return maxAge === null ? null : { maxAge, includeSubdomains };
+}
+
+// Function to create the memory of which hosts need HTTPS, keyed by hostname. A host
+// is learned from a Strict-Transport-Security header, a redirect from http:// to
+// https:// on the same host, or plain HTTP being refused where HTTPS answers. It is
+// forgotten when its entry expires or the site sends max-age=0, and one not learned from
+// Strict-Transport-Security when the site redirects back to http://. A failed fetch
+// never makes the proxy forget a host or fall back to plain HTTP, so nobody can
+// downgrade a site by breaking its secure connections.
+export function createHttpsHosts({ ttl = DEFAULT_HTTPS_MEMORY.ttl, maxEntries = DEFAULT_HTTPS_MEMORY.maxEntries } = {}) {
+  const hosts = new Map(); // hostname -> { expires, includeSubdomains, hsts }
+
+  // Function to find the entry covering a hostname: its own, or a parent domain's that
+  // includes subdomains
+  const entryFor = (hostname, now) => {
+    const labels = hostname.toLowerCase().split('.');
+    for (let index = 0; index < labels.length; index++) {
+      const domain = labels.slice(index).join('.');
+      const entry = hosts.get(domain);
+      if (entry && entry.expires <= now) {
+        hosts.delete(domain);
+      } else if (entry && (index === 0 || entry.includeSubdomains)) {
+        return entry;
+      }
+    }
+    return null;
+  };
+
+  const store = {
+    // Function to remember that a host needs HTTPS for the next `seconds`. `hsts` marks
+    // what the site said itself in Strict-Transport-Security, which only it can undo;
+    // a guess from a redirect or a refused connection never shortens or replaces it.
+    remember(hostname, seconds = ttl, includeSubdomains = false, now = Date.now(), hsts = false) {
+      const key = hostname.toLowerCase();
+      const known = hosts.get(key);
+      if (!hsts && known && known.hsts && known.expires > now) {
+        return;
+      }
+      hosts.delete(key);
+      hosts.set(key, { expires: now + seconds * 1000, includeSubdomains, hsts });
+      if (maxEntries && hosts.size > maxEntries) {
+        hosts.delete(hosts.keys().next().value);
+      }
+    },
+
+    // Function to forget that a host needs HTTPS
+    forget(hostname) {
+      hosts.delete(hostname.toLowerCase());
+    },
+
+    // Function to tell whether a host is remembered as needing HTTPS
+    has(hostname, now = Date.now()) {
+      return entryFor(hostname, now) !== null;
+    },
+
+    // Function to give the address to fetch for a URL: https:// for a remembered host,
+    // the URL as it is otherwise
+    upgrade(url, now = Date.now()) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        return url;
+      }
+      if (parsed.protocol !== 'http:' || parsed.port || !entryFor(parsed.hostname, now)) {
+        return url;
+      }
+      return toHttps(url);
+    },
+
+    // Function to learn from an upstream response to `url`: the Strict-Transport-Security
+    // header of an HTTPS answer, and any redirect to `location` between the schemes of
+    // the same host
+    learn(url, response, location = null, now = Date.now()) {
+      const parsed = new URL(url);
+      if (parsed.protocol === 'https:') {
+        const hsts = parseStrictTransportSecurity(response.headers.get('strict-transport-security'));
+        if (hsts && hsts.maxAge === 0) {
+          store.forget(parsed.hostname);
+        } else if (hsts) {
+          store.remember(parsed.hostname, hsts.maxAge, hsts.includeSubdomains, now, true);
+        }
+      }
+
+      if (!location) {
+        return;
+      }
+      let target;
+      try {
+        target = new URL(location, url);
+      } catch (error) {
+        return;
+      }
+      if (target.hostname !== parsed.hostname || target.port || parsed.port || target.protocol === parsed.protocol) {
+        return;
+      }
+      const known = hosts.get(parsed.hostname.toLowerCase());
+      if (target.protocol === 'https:') {
+        store.remember(parsed.hostname, ttl, false, now);
+      } else if (target.protocol === 'http:' && !(known && known.hsts)) {
+        store.forget(parsed.hostname);
+      }
+    },
+
+    // Function to give the address to try when plain HTTP refused the connection at
+    // `url`: the same address over HTTPS, or null if there is none. Nothing falls back
+    // the other way.
+    fallback(url) {
+      return toHttps(url);
+    },
+
+    // Function to remember a host that answered over HTTPS after refusing plain HTTP
+    reached(url, now = Date.now()) {
+      const parsed = new URL(url);
+      if (parsed.protocol === 'https:') {
+        store.remember(parsed.hostname, ttl, false, now);
+      }
+    },
+
+    // Function to count the hosts remembered
+    size() {
+      return hosts.size;
+    }
+  };
+  return store;
+}
@@ -0,0 +1,100 @@
+import { createHttpsHosts, parseStrictTransportSecurity } from './https-hosts.js';
+
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+
+// Stand-in for an upstream response with the given headers
+function mockResponse(headers = {}) {
+  return { headers: { get: (name) => headers[name.toLowerCase()] || null } };
+}
+
+describe('HTTPS Hosts - Strict-Transport-Security', () => {
+  test('should read max-age and includeSubDomains', () => {
+    expect(parseStrictTransportSecurity('max-age=31536000; includeSubDomains; preload')).toEqual({ maxAge: 31536000, includeSubdomains: true });
+    expect(parseStrictTransportSecurity('max-age="600"')).toEqual({ maxAge: 600, includeSubdomains: false });
+  });
+
+  test('should ignore headers without a valid max-age', () => {
+    expect(parseStrictTransportSecurity('includeSubDomains')).toBe(null);
+    expect(parseStrictTransportSecurity('max-age=soon')).toBe(null);
+    expect(parseStrictTransportSecurity(null)).toBe(null);
+  });
+});
+
+describe('HTTPS Hosts - Memory', () => {
+  test('should fetch remembered hosts over HTTPS until their entry expires', () => {
+    const hosts = createHttpsHosts({ ttl: 60 });
+    hosts.remember('Secure.example.com', 60, false, NOW);
+
+    expect(hosts.upgrade('http://secure.example.com/page?a=1', NOW)).toBe('https://secure.example.com/page?a=1');
+    expect(hosts.upgrade('http://other.example.com/', NOW)).toBe('http://other.example.com/');
+    expect(hosts.upgrade('http://secure.example.com:8080/', NOW)).toBe('http://secure.example.com:8080/');
+    expect(hosts.upgrade('http://secure.example.com/', NOW + 60000)).toBe('http://secure.example.com/');
+    expect(hosts.size()).toBe(0);
+  });
+
+  test('should learn from Strict-Transport-Security on HTTPS answers only', () => {
+    const hosts = createHttpsHosts();
+    hosts.learn('http://plain.example.org/', mockResponse({ 'strict-transport-security': 'max-age=600' }), null, NOW);
+    hosts.learn('https://example.com/', mockResponse({ 'strict-transport-security': 'max-age=600; includeSubDomains' }), null, NOW);
+
+    expect(hosts.has('plain.example.org', NOW)).toBe(false);
+    expect(hosts.upgrade('http://news.example.com/', NOW)).toBe('https://news.example.com/');
+    expect(hosts.has('example.com', NOW + 600000)).toBe(false);
+
+    hosts.learn('https://example.com/', mockResponse({ 'strict-transport-security': 'max-age=0' }), null, NOW);
+    expect(hosts.has('news.example.com', NOW)).toBe(false);
+  });
+
+  test('should learn from redirects between the schemes of the same host', () => {
+    const hosts = createHttpsHosts({ ttl: 60 });
+    hosts.learn('http://example.com/a', mockResponse(), 'https://example.com/a', NOW);
+    hosts.learn('http://example.org/', mockResponse(), 'https://www.example.org/', NOW);
+    hosts.learn('http://example.net/', mockResponse(), 'https://example.net:8443/', NOW);
+
+    expect(hosts.has('example.com', NOW)).toBe(true);
+    expect(hosts.has('example.org', NOW)).toBe(false);
+    expect(hosts.has('example.net', NOW)).toBe(false);
+
+    hosts.learn('https://example.com/a', mockResponse(), '/b', NOW);
+    expect(hosts.has('example.com', NOW)).toBe(true);
+    hosts.learn('https://example.com/a', mockResponse(), 'http://example.com/a', NOW);
+    expect(hosts.has('example.com', NOW)).toBe(false);
+
+    hosts.learn('http://example.com/a', mockResponse(), 'https://example.com/a', NOW);
+    expect(hosts.has('example.com', NOW + 60000)).toBe(false);
+  });
+
+  test('should fall back from plain HTTP to HTTPS only, remembering a host that answers', () => {
+    const hosts = createHttpsHosts();
+
+    expect(hosts.fallback('http://example.com/a')).toBe('https://example.com/a');
+    expect(hosts.fallback('https://example.com/a')).toBe(null);
+    expect(hosts.fallback('http://example.com:8080/a')).toBe(null);
+
+    hosts.reached('https://example.com/a', NOW);
+    expect(hosts.has('example.com', NOW)).toBe(true);
+    hosts.reached('http://example.com/a', NOW);
+    expect(hosts.has('example.com', NOW)).toBe(true);
+  });
+
+  test('should keep a host that sent Strict-Transport-Security until it says otherwise', () => {
+    const hosts = createHttpsHosts({ ttl: 60 });
+    hosts.learn('https://example.com/', mockResponse({ 'strict-transport-security': 'max-age=600' }), null, NOW);
+
+    hosts.learn('https://example.com/a', mockResponse(), 'http://example.com/a', NOW);
+    hosts.learn('http://example.com/a', mockResponse(), 'https://example.com/a', NOW);
+    expect(hosts.has('example.com', NOW + 300000)).toBe(true);
+
+    hosts.learn('https://example.com/', mockResponse({ 'strict-transport-security': 'max-age=0' }), null, NOW);
+    expect(hosts.has('example.com', NOW)).toBe(false);
+  });
+
+  test('should forget the oldest hosts past its size', () => {
+    const hosts = createHttpsHosts({ maxEntries: 2 });
+    ['a.example', 'b.example', 'c.example'].forEach(hostname => hosts.remember(hostname, 60, false, NOW));
+
+    expect(hosts.size()).toBe(2);
+    expect(hosts.has('a.example', NOW)).toBe(false);
+    expect(hosts.has('c.example', NOW)).toBe(true);
+  });
+});
@@ -0,0 +1,275 @@
+import express from "express";
+import crypto from "crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, statSync, unlinkSync, writeFileSync } from "fs";
+import { join } from "path";
+import { createImageHash, escapeHtml, localUrl, sendHtml } from "./proxy-core.js";
+import { postedFields } from "./forms.js";
+
+// Limits for each image cache directory: total bytes kept on disk and how long an
+// image is kept after it was processed
+export const DEFAULT_CACHE_LIMITS = {
+  maxSize: 100 * 1024 * 1024,
+  ttl: 7 * 24 * 60 * 60
+};
+
+// Each image is stored next to a metadata record in <filename>.json
+const METADATA_SUFFIX = '.json';
+
+// Function to write a file under a temporary dotfile name and rename it into place, so
+// nobody ever reads a half-written file. Dotfiles are never listed or served.
+export function writeFileAtomic(dir, filename, data) {
+  const tempName = `.${filename}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  writeFileSync(join(dir, tempName), data);
+  renameSync(join(dir, tempName), join(dir, filename));
+}
+
+// Function to read an image's metadata record, or null if it is missing or unreadable
+function readMetadata(dir, filename) {
+  try {
+    return JSON.parse(readFileSync(join(dir, filename + METADATA_SUFFIX), 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to create a disk-backed image cache served under urlPath. Files older than
+// `ttl` seconds are dropped, and once the directory grows past `maxSize` bytes the least
+// recently used images are evicted. Hits and misses are counted for the admin page.
+// Every image has a metadata record (dimensions, source URL, original content type,
+// fetch time and profile), so cache hits never need to decode the image.
+export function createImageCache(dir, urlPath, { maxSize = DEFAULT_CACHE_LIMITS.maxSize, ttl = DEFAULT_CACHE_LIMITS.ttl } = {}) {
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+
+  // filename -> { size, created, lastUsed, metadata }; metadata is null for images
+  // cached before metadata records existed
+  const entries = new Map();
+  const counts = { hits: 0, misses: 0, evictions: 0 };
+  let totalSize = 0;
+
+  const remove = (filename) => {
+    const entry = entries.get(filename);
+    if (!entry) return;
+    entries.delete(filename);
+    totalSize -= entry.size;
+    [filename, filename + METADATA_SUFFIX].forEach((name) => {
+      try {
+        unlinkSync(join(dir, name));
+      } catch (error) {
+        // Already gone
+      }
+    });
+  };
+
+  const isExpired = (entry, now) => ttl > 0 && now - entry.created > ttl * 1000;
+
+  // Function to drop expired images, then the least recently used ones until the cache fits
+  const evict = (now, keep = null) => {
+    entries.forEach((entry, filename) => {
+      if (isExpired(entry, now)) {
+        remove(filename);
+        counts.evictions++;
+      }
+    });
+
+    if (!maxSize || totalSize <= maxSize) return;
+    const leastRecentlyUsed = [...entries.entries()]
+      .filter(([filename]) => filename !== keep)
+      .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+    for (const [filename] of leastRecentlyUsed) {
+      if (totalSize <= maxSize) break;
+      remove(filename);
+      counts.evictions++;
+    }
+  };
+
+  // Pick up what earlier runs left behind, deleting temporary files from interrupted
+  // writes and metadata records whose image is gone
+  const filenames = readdirSync(dir);
+  filenames.forEach((filename) => {
+    try {
+      if (filename.startsWith('.') || (filename.endsWith(METADATA_SUFFIX) && !filenames.includes(filename.slice(0, -METADATA_SUFFIX.length)))) {
+        unlinkSync(join(dir, filename));
+        return;
+      }
+      if (filename.endsWith(METADATA_SUFFIX)) {
+        return;
+      }
+
+      const stats = statSync(join(dir, filename));
+      if (stats.isFile()) {
+        const metadata = readMetadata(dir, filename);
+        const created = (metadata && metadata.fetchedAt) || stats.mtimeMs;
+        entries.set(filename, { size: stats.size, created, lastUsed: created, metadata });
+        totalSize += stats.size;
+      }
+    } catch (error) {
+      // Skip files removed while scanning
+    }
+  });
+  evict(Date.now());
+
+  return {
+    dir,
+    urlPath,
+    filepath: (filename) => join(dir, filename),
+    publicPath: (filename) => `${urlPath}/${filename}`,
+
+    // Function to look up a cached image's metadata record, counting the hit or miss.
+    // Images without a record count as misses, so they are processed again.
+    get(filename, now = Date.now()) {
+      const entry = entries.get(filename);
+      if (entry && isExpired(entry, now)) {
+        remove(filename);
+        counts.evictions++;
+      }
+      if (!entries.has(filename) || !entry.metadata) {
+        counts.misses++;
+        return null;
+      }
+      entry.lastUsed = now;
+      counts.hits++;
+      return entry.metadata;
+    },
+
+    // Function to check that an image is still cached, without counting a hit or miss
+    exists: (filename, now = Date.now()) => entries.has(filename) && !isExpired(entries.get(filename), now),
+
+    // Function to check for a cached image, counting the hit or miss
+    has(filename, now = Date.now()) {
+      const entry = entries.get(filename);
+      if (entry && isExpired(entry, now)) {
+        remove(filename);
+        counts.evictions++;
+      }
+      if (!entries.has(filename)) {
+        counts.misses++;
+        return false;
+      }
+      entry.lastUsed = now;
+      counts.hits++;
+      return true;
+    },
+
+    // Function to store a processed image and its metadata record ({ url, contentType,
+    // width, height, profile }; the fetch time is added here). Both files are written
+    // atomically, the image first.
+    write(filename, buffer, metadata = {}, now = Date.now()) {
+      const record = { ...metadata, fetchedAt: now };
+      writeFileAtomic(dir, filename, buffer);
+      writeFileAtomic(dir, filename + METADATA_SUFFIX, JSON.stringify(record));
+
+      const previous = entries.get(filename);
+      if (previous) {
+        totalSize -= previous.size;
+      }
+      entries.set(filename, { size: buffer.length, created: now, lastUsed: now, metadata: record });
+      totalSize += buffer.length;
+      evict(now, filename);
+      return record;
+    },
+
+    // Function to remove every image made from a URL, in any profile or format.
+    // Returns the number of files removed.
+    purge(url) {
+      const hash = createImageHash(url);
+      const matches = [...entries.entries()]
+        .filter(([filename, entry]) => (entry.metadata && entry.metadata.url === url) || filename.includes(hash))
+        .map(([filename]) => filename);
+      matches.forEach(remove);
+      return matches.length;
+    },
+
+    // Function to empty the cache. Returns the number of files removed.
+    purgeAll() {
+      const count = entries.size;
+      [...entries.keys()].forEach(remove);
+      return count;
+    },
+
+    stats: () => ({ ...counts, files: entries.size, size: totalSize, maxSize, ttl }),
+
+    // Middleware serving the cached images; a served image counts as recently used.
+    // Expired images, metadata records and files still being written are not served.
+    middleware(options) {
+      const serve = express.static(dir, options);
+      return (req, res, next) => {
+        let filename;
+        try {
+          filename = decodeURIComponent(req.path.slice(1));
+        } catch (error) {
+          return next();
+        }
+
+        const entry = entries.get(filename);
+        if (!entry) {
+          return next();
+        }
+        if (isExpired(entry, Date.now())) {
+          remove(filename);
+          counts.evictions++;
+          return next();
+        }
+        entry.lastUsed = Date.now();
+        serve(req, res, next);
+      };
+    }
+  };
+}
+
+// Function to format a byte count for the admin pages
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} bytes`;
+}
+
+// Function to serve the cache admin page: hit and miss counts and disk usage, with a
+// form to purge the images made from one URL and a link to purge everything
+export function serveCachePage(context, req, res) {
+  const { imageCache } = context;
+
+  // Purges are posted, so a link or image on a proxied page can't empty the cache
+  const fields = postedFields(req);
+  if (fields.has('purge')) {
+    const removed = fields.get('purge') ? imageCache.purge(fields.get('purge')) : 0;
+    return res.redirect(localUrl(req, `/cache?removed=${removed}`));
+  }
+  if (fields.has('purgeAll')) {
+    const removed = imageCache.purgeAll();
+    return res.redirect(localUrl(req, `/cache?removed=${removed}`));
+  }
+
+  const stats = imageCache.stats();
+  const lookups = stats.hits + stats.misses;
+  const hitRate = lookups ? `${Math.round((stats.hits / lookups) * 100)}%` : 'n/a';
+  const removed = req.query.removed !== undefined ? `<p><b>Removed ${Number(req.query.removed) || 0} cached images.</b></p>` : '';
+
+  sendHtml(res, `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="ISO-8859-1">
+<title>Image Cache</title>
+</head>
+<body>
+<h1>Image Cache</h1>
+${removed}
+<table border="1" cellpadding="4" cellspacing="0">
+<tr><td>Hits</td><td>${stats.hits}</td></tr>
+<tr><td>Misses</td><td>${stats.misses}</td></tr>
+<tr><td>Hit rate</td><td>${hitRate}</td></tr>
+<tr><td>Evicted</td><td>${stats.evictions}</td></tr>
+<tr><td>Images</td><td>${stats.files}</td></tr>
+<tr><td>Disk usage</td><td>${formatBytes(stats.size)}${stats.maxSize ? ` of ${formatBytes(stats.maxSize)}` : ''}</td></tr>
+<tr><td>Kept for</td><td>${stats.ttl ? `${Math.round(stats.ttl / 3600)} hours` : 'ever'}</td></tr>
+</table>
+<form action="${escapeHtml(localUrl(req, '/cache'))}" method="post">
+<p>Purge images from URL: <input type="text" name="purge" size="40"> <input type="submit" value="Purge"></p>
+</form>
+<form action="${escapeHtml(localUrl(req, '/cache'))}" method="post">
+<p><input type="hidden" name="purgeAll" value="1"><input type="submit" value="Purge all cached images"></p>
+</form>
+</body>
+</html>`);
+}
@@ -0,0 +1,187 @@
+import express from 'express';
+import request from 'supertest';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, utimesSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createImageCache, serveCachePage } from './image-cache.js';
+import { createImageHash } from './proxy-core.js';
+import { readFormBody } from './forms.js';
+
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+
+describe('Image Cache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'image-cache-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should count hits and misses', () => {
+    const cache = createImageCache(dir, '/cached_images');
+    expect(cache.has('a.jpg')).toBe(false);
+
+    cache.write('a.jpg', Buffer.alloc(10), { url: 'http://example.com/a.jpg' });
+    expect(cache.has('a.jpg')).toBe(true);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 1, files: 1, size: 10 });
+  });
+
+  test('should expire images older than the TTL', () => {
+    const cache = createImageCache(dir, '/cached_images', { ttl: 60 });
+    cache.write('a.jpg', Buffer.alloc(10), {}, NOW);
+
+    expect(cache.has('a.jpg', NOW + 59000)).toBe(true);
+    expect(cache.has('a.jpg', NOW + 61000)).toBe(false);
+    expect(existsSync(join(dir, 'a.jpg'))).toBe(false);
+  });
+
+  test('should evict the least recently used images once over the size limit', () => {
+    const cache = createImageCache(dir, '/cached_images', { maxSize: 25, ttl: 0 });
+    cache.write('a.jpg', Buffer.alloc(10), {}, NOW);
+    cache.write('b.jpg', Buffer.alloc(10), {}, NOW + 1);
+    cache.has('a.jpg', NOW + 2);
+    cache.write('c.jpg', Buffer.alloc(10), {}, NOW + 3);
+
+    expect(existsSync(join(dir, 'a.jpg'))).toBe(true);
+    expect(existsSync(join(dir, 'b.jpg'))).toBe(false);
+    expect(existsSync(join(dir, 'c.jpg'))).toBe(true);
+    expect(cache.stats()).toMatchObject({ files: 2, size: 20, evictions: 1 });
+  });
+
+  test('should pick up files left by an earlier run and drop the expired ones', () => {
+    writeFileSync(join(dir, 'old.jpg'), Buffer.alloc(5));
+    writeFileSync(join(dir, 'new.jpg'), Buffer.alloc(7));
+    const longAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    utimesSync(join(dir, 'old.jpg'), longAgo, longAgo);
+
+    const cache = createImageCache(dir, '/cached_images', { ttl: 60 * 60 });
+
+    expect(existsSync(join(dir, 'old.jpg'))).toBe(false);
+    expect(cache.stats()).toMatchObject({ files: 1, size: 7 });
+  });
+
+  test('should keep a metadata record with each image and answer hits from it', () => {
+    const cache = createImageCache(dir, '/cached_images');
+    const metadata = { url: 'http://example.com/a.png', contentType: 'image/png', width: 320, height: 200, profile: 'palm' };
+    cache.write('a.gif', Buffer.from('GIF89a'), metadata, NOW);
+
+    expect(cache.get('a.gif', NOW)).toEqual({ ...metadata, fetchedAt: NOW });
+    expect(JSON.parse(readFileSync(join(dir, 'a.gif.json'), 'utf-8'))).toEqual({ ...metadata, fetchedAt: NOW });
+    expect(readdirSync(dir).sort()).toEqual(['a.gif', 'a.gif.json']);
+    expect(cache.get('b.gif', NOW)).toBe(null);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  test('should read metadata records left by an earlier run', () => {
+    const now = Date.now();
+    createImageCache(dir, '/cached_images').write('a.gif', Buffer.from('GIF89a'), { url: 'http://example.com/a.png', width: 10, height: 20 }, now);
+
+    const cache = createImageCache(dir, '/cached_images');
+    expect(cache.get('a.gif')).toMatchObject({ width: 10, height: 20, fetchedAt: now });
+    expect(cache.purge('http://example.com/a.png')).toBe(1);
+    expect(readdirSync(dir)).toEqual([]);
+  });
+
+  test('should treat images without a record as misses and clean up interrupted writes', () => {
+    writeFileSync(join(dir, 'legacy.jpg'), Buffer.alloc(5));
+    writeFileSync(join(dir, '.a.gif.123.abcd.tmp'), Buffer.alloc(3));
+    writeFileSync(join(dir, 'orphan.gif.json'), '{}');
+
+    const cache = createImageCache(dir, '/cached_images');
+
+    expect(cache.get('legacy.jpg')).toBe(null);
+    expect(readdirSync(dir)).toEqual(['legacy.jpg']);
+  });
+
+  test('should purge every variant of an image by URL, or everything', () => {
+    const url = 'http://example.com/photo.png';
+    const hash = createImageHash(url);
+    const cache = createImageCache(dir, '/cached_images');
+    cache.write(`${hash}.jpg`, Buffer.alloc(10));
+    cache.write(`palm-8bit-${hash}.gif`, Buffer.alloc(10));
+    cache.write('logo_other.jpg', Buffer.alloc(10), { url });
+    cache.write('unrelated.jpg', Buffer.alloc(10), { url: 'http://example.com/other.png' });
+
+    expect(cache.purge(url)).toBe(3);
+    expect(cache.stats().files).toBe(1);
+    expect(cache.purgeAll()).toBe(1);
+    expect(existsSync(join(dir, 'unrelated.jpg'))).toBe(false);
+  });
+
+  test('should serve cached files and stop serving expired ones', async () => {
+    const cache = createImageCache(dir, '/cached_images', { ttl: 60 });
+    cache.write('a.gif', Buffer.from('GIF89a'));
+    cache.write('old.gif', Buffer.from('GIF89a'), {}, Date.now() - 120000);
+
+    const app = express();
+    app.use(cache.urlPath, cache.middleware());
+
+    expect((await request(app).get('/cached_images/a.gif')).status).toBe(200);
+    expect((await request(app).get('/cached_images/old.gif')).status).toBe(404);
+    expect((await request(app).get('/cached_images/a.gif.json')).status).toBe(404);
+  });
+
+  test('should send ETag and Last-Modified with cached images and answer 304', async () => {
+    const cache = createImageCache(dir, '/cached_images');
+    cache.write('a.gif', Buffer.from('GIF89a'));
+
+    const app = express();
+    app.use(cache.urlPath, cache.middleware());
+    const first = await request(app).get('/cached_images/a.gif');
+
+    expect(first.headers.etag).toBeDefined();
+    expect(first.headers['last-modified']).toBeDefined();
+    expect((await request(app).get('/cached_images/a.gif').set('If-None-Match', first.headers.etag)).status).toBe(304);
+    expect((await request(app).get('/cached_images/a.gif').set('If-Modified-Since', first.headers['last-modified'])).status).toBe(304);
+  });
+
+  describe('Admin Page', () => {
+    function createApp(cache) {
+      const app = express();
+      app.locals.options = { outputCharset: 'iso-8859-1' };
+      app.use(readFormBody);
+      app.all('/cache', (req, res) => serveCachePage({ imageCache: cache }, req, res));
+      return app;
+    }
+
+    test('should show hit and miss counts and disk usage', async () => {
+      const cache = createImageCache(dir, '/cached_images', { maxSize: 1024 * 1024 });
+      cache.write('a.jpg', Buffer.alloc(2048));
+      cache.has('a.jpg');
+      cache.has('b.jpg');
+
+      const response = await request(createApp(cache)).get('/cache');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<tr><td>Hits</td><td>1</td></tr>');
+      expect(response.text).toContain('<tr><td>Misses</td><td>1</td></tr>');
+      expect(response.text).toContain('<tr><td>Disk usage</td><td>2.0 KB of 1.0 MB</td></tr>');
+    });
+
+    test('should purge by URL and purge everything from posted forms, then redirect back', async () => {
+      const cache = createImageCache(dir, '/cached_images');
+      cache.write('a.jpg', Buffer.alloc(10), { url: 'http://example.com/a.png' });
+      cache.write('b.jpg', Buffer.alloc(10), { url: 'http://example.com/b.png' });
+      const app = createApp(cache);
+
+      // Links can't purge anything
+      await request(app).get('/cache?purge=http%3A%2F%2Fexample.com%2Fa.png');
+      await request(app).get('/cache?purgeAll=1');
+      expect(cache.stats().files).toBe(2);
+
+      const purged = await request(app).post('/cache').type('form').send('purge=http%3A%2F%2Fexample.com%2Fa.png').set('Host', 'proxy.local');
+      expect(purged.status).toBe(302);
+      expect(purged.headers.location).toBe('http://proxy.local/cache?removed=1');
+      expect(cache.stats().files).toBe(1);
+
+      await request(app).post('/cache').type('form').send('purgeAll=1');
+      expect(cache.stats().files).toBe(0);
+
+      const page = await request(app).get('/cache?removed=1');
+      expect(page.text).toContain('Removed 1 cached images.');
+    });
+  });
+});
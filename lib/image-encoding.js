@@ -0,0 +1,80 @@
+import sharp from "sharp";
+import { ditherPixels, getPalette } from "./dither.js";
+
+// Output formats a profile can ask for, with the file extension and MIME type of each
+export const IMAGE_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  gif: { extension: 'gif', contentType: 'image/gif' },
+  png: { extension: 'png', contentType: 'image/png' }
+};
+
+// Colour depths the images can be reduced to: black-and-white, the Mac 16-colour
+// palette and the Apple 8-bit system palette. Anything else keeps full colour.
+export const COLOUR_DEPTHS = [1, 4, 8];
+
+// Largest image, in pixels, dithered at its own size. Dithering runs in JavaScript on the
+// event loop, so bigger images (from servers without a size cap) are scaled down to this
+// first; it is bigger than any vintage screen.
+export const MAX_DITHER_PIXELS = 1024 * 768;
+
+// Function to look up an image format by name, falling back to JPEG
+export function getImageFormat(name) {
+  return IMAGE_FORMATS[name] ? name : 'jpeg';
+}
+
+// Function to read a colour depth from a request parameter: 1, 4, 8, or null for full colour
+export function parseColourDepth(value) {
+  const depth = Number(value);
+  return COLOUR_DEPTHS.includes(depth) ? depth : null;
+}
+
+// Function to reduce an image to the Mac palette for its colour depth, dithering unless
+// turned off, scaled down first if it has more than `maxPixels`
+async function reduceColours(pipeline, palette, dither, maxPixels) {
+  let { data, info } = await pipeline
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  if (maxPixels && info.width * info.height > maxPixels) {
+    const scale = Math.sqrt(maxPixels / (info.width * info.height));
+    ({ data, info } = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+      .resize(Math.max(1, Math.floor(info.width * scale)), Math.max(1, Math.floor(info.height * scale)))
+      .raw()
+      .toBuffer({ resolveWithObject: true }));
+  }
+
+  const pixels = ditherPixels(data, info.width, info.height, palette, { diffuse: dither });
+  return sharp(pixels, { raw: { width: info.width, height: info.height, channels: 3 } });
+}
+
+// Function to finish a sharp pipeline in the client's format and return the encoded image.
+// colourDepth (1, 4 or 8 bits) reduces the image to the matching Mac palette first, at
+// no more than maxDitherPixels.
+export async function encodeImage(pipeline, { imageFormat, quality = 60, colourDepth = null, greyscale = false, dither = true, maxDitherPixels = MAX_DITHER_PIXELS } = {}) {
+  const format = getImageFormat(imageFormat);
+  const palette = getPalette(colourDepth);
+
+  if (greyscale) {
+    pipeline = palette ? pipeline.greyscale() : pipeline.greyscale().toColourspace('b-w');
+  }
+
+  if (palette) {
+    pipeline = await reduceColours(pipeline, palette, dither, maxDitherPixels);
+  }
+
+  // The palette is already exact, so the encoders must not dither it again
+  if (format === 'gif') {
+    return pipeline.gif(palette ? { colours: palette.length, dither: 0 } : {}).toBuffer();
+  }
+  if (format === 'png') {
+    return pipeline.png(palette ? { palette: true, colours: palette.length, dither: 0 } : {}).toBuffer();
+  }
+  return pipeline.jpeg({ quality, progressive: false }).toBuffer();
+}
+
+// Function to name a cached image file in the client's format
+export function imageFilename(base, imageFormat) {
+  return `${base}.${IMAGE_FORMATS[getImageFormat(imageFormat)].extension}`;
+}
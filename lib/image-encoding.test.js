@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import sharp from 'sharp';
+import { encodeImage, imageFilename, parseColourDepth } from './image-encoding.js';
+import { MAC_PALETTES } from './dither.js';
+
+// Stand-in for a sharp pipeline that records the calls made on it
+function mockPipeline() {
+  const pipeline = { toBuffer: jest.fn(async () => Buffer.from('encoded')) };
+  ['greyscale', 'toColourspace', 'gif', 'png', 'jpeg'].forEach(method => {
+    pipeline[method] = jest.fn(() => pipeline);
+  });
+  return pipeline;
+}
+
+// Function to list the distinct colours of an encoded image
+async function distinctColours(buffer) {
+  const { data, info } = await sharp(buffer).toColourspace('srgb').removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const colours = new Set();
+  for (let i = 0; i < data.length; i += info.channels) {
+    colours.add(`${data[i]},${data[i + 1]},${data[i + 2]}`);
+  }
+  return colours;
+}
+
+// A smooth colour gradient, the kind of image that bands badly without dithering
+function gradient() {
+  const width = 64;
+  const height = 32;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels.set([x * 4, y * 8, 255 - x * 4], (y * width + x) * 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+describe('Image Encoding - Formats', () => {
+  test('should encode JPEG with the given quality by default', async () => {
+    const pipeline = mockPipeline();
+    await encodeImage(pipeline, { quality: 45 });
+
+    expect(pipeline.jpeg).toHaveBeenCalledWith({ quality: 45, progressive: false });
+    expect(pipeline.greyscale).not.toHaveBeenCalled();
+  });
+
+  test('should encode GIF and PNG in full colour without a colour depth', async () => {
+    const pipeline = mockPipeline();
+    await encodeImage(pipeline, { imageFormat: 'gif' });
+    await encodeImage(pipeline, { imageFormat: 'png' });
+
+    expect(pipeline.gif).toHaveBeenCalledWith({});
+    expect(pipeline.png).toHaveBeenCalledWith({});
+  });
+
+  test('should write single-channel greyscale', async () => {
+    const pipeline = mockPipeline();
+    await encodeImage(pipeline, { greyscale: true });
+
+    expect(pipeline.greyscale).toHaveBeenCalled();
+    expect(pipeline.toColourspace).toHaveBeenCalledWith('b-w');
+  });
+
+  test('should name files with the extension of the format', () => {
+    expect(imageFilename('abc', 'gif')).toBe('abc.gif');
+    expect(imageFilename('abc', 'jpeg')).toBe('abc.jpg');
+    expect(imageFilename('abc', 'bmp')).toBe('abc.jpg');
+  });
+
+  test('should accept only the colour depths it has palettes for', () => {
+    expect(parseColourDepth('1')).toBe(1);
+    expect(parseColourDepth('8')).toBe(8);
+    expect(parseColourDepth('full')).toBe(null);
+    expect(parseColourDepth('3')).toBe(null);
+  });
+});
+
+describe('Image Encoding - Colour Reduction', () => {
+  test.each([1, 4, 8])('should only use the Mac palette colours at %i bits', async (depth) => {
+    const palette = new Set(MAC_PALETTES[depth].map(colour => colour.join(',')));
+    const colours = await distinctColours(await encodeImage(gradient(), { imageFormat: 'gif', colourDepth: depth }));
+
+    expect([...colours].every(colour => palette.has(colour))).toBe(true);
+  });
+
+  test('should dither a gradient into more colours than nearest-colour matching', async () => {
+    const dithered = await distinctColours(await encodeImage(gradient(), { imageFormat: 'png', colourDepth: 4 }));
+    const nearest = await distinctColours(await encodeImage(gradient(), { imageFormat: 'png', colourDepth: 4, dither: false }));
+
+    expect(dithered.size).toBeGreaterThan(nearest.size);
+  });
+
+  test('should scale images over the pixel limit down before dithering them', async () => {
+    const encoded = await encodeImage(gradient(), { imageFormat: 'png', colourDepth: 1, maxDitherPixels: 512 });
+    const { width, height } = await sharp(encoded).metadata();
+
+    expect(width * height).toBeLessThanOrEqual(512);
+    expect(width / height).toBeCloseTo(2, 0);
+    expect(await sharp(await encodeImage(gradient(), { imageFormat: 'png', colourDepth: 1 })).metadata()).toMatchObject({ width: 64, height: 32 });
+  });
+});
@@ -0,0 +1,109 @@
+import { performance } from "perf_hooks";
+
+// Function to write one log line as JSON: the time, level and message, then any fields.
+// Errors go to stderr, everything else to stdout.
+export function log(level, message, fields = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, message, ...fields });
+  if (level === 'error') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// Function to round milliseconds to a tenth for the logs
+const roundMs = (ms) => Math.round(ms * 10) / 10;
+
+// Function to create the trace of one request: which route served it and for what URL,
+// milliseconds spent in each stage (fetch, parse, images, encode), bytes downloaded from
+// upstream, cache lookups by cache and result, and the kind of any failed page fetch
+export function createTrace() {
+  const trace = {
+    route: null,
+    url: null,
+    error: null,
+    stages: {},
+    bytesIn: 0,
+    cache: {},
+
+    // Function to start timing a stage; call the returned function when it is done.
+    // A stage timed more than once adds up.
+    start(stage) {
+      const started = performance.now();
+      return () => {
+        trace.stages[stage] = (trace.stages[stage] || 0) + performance.now() - started;
+      };
+    },
+
+    // Function to time a task, sync or async, as a stage
+    time(stage, task) {
+      const stop = trace.start(stage);
+      let result;
+      try {
+        result = task();
+      } catch (error) {
+        stop();
+        throw error;
+      }
+      if (result && typeof result.then === 'function') {
+        return result.finally(stop);
+      }
+      stop();
+      return result;
+    },
+
+    received(bytes) {
+      trace.bytesIn += bytes;
+    },
+
+    // Function to count a cache lookup: cache is 'page', 'image' or 'logo', result is
+    // 'hit', 'miss' or 'revalidated'
+    cacheResult(cache, result) {
+      const results = trace.cache[cache] || (trace.cache[cache] = {});
+      results[result] = (results[result] || 0) + 1;
+    }
+  };
+  return trace;
+}
+
+// Middleware that gives each request a trace (req.trace) and, once the response is sent,
+// writes one JSON log line for it and adds it to the metrics (see metrics.js)
+export function requestLogging(metrics) {
+  return (req, res, next) => {
+    // Logged once, even when an app is mounted inside another or re-routes the request
+    if (req.trace) {
+      return next();
+    }
+
+    const trace = req.trace = createTrace();
+    const started = performance.now();
+
+    res.on('finish', () => {
+      const stages = {};
+      Object.entries(trace.stages).forEach(([stage, ms]) => {
+        stages[stage] = roundMs(ms);
+      });
+
+      const record = {
+        method: req.method,
+        path: req.originalUrl,
+        url: trace.url,
+        route: trace.route || 'other',
+        status: res.statusCode,
+        durationMs: roundMs(performance.now() - started),
+        stages,
+        bytesIn: trace.bytesIn,
+        bytesOut: Number(res.getHeader('content-length')) || 0,
+        cache: trace.cache,
+        client: req.accessClient || `address:${req.socket.remoteAddress}`,
+        ...(trace.error ? { error: trace.error } : {})
+      };
+
+      log('info', 'request', record);
+      if (metrics) {
+        metrics.request(record);
+      }
+    });
+    next();
+  };
+}
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { createTrace, log, requestLogging } from './logging.js';
+
+// Function to collect the JSON lines written to the console while running a task
+async function captureLog(method, task) {
+  const spy = jest.spyOn(console, method).mockImplementation(() => {});
+  try {
+    await task();
+    return spy.mock.calls.map(([line]) => JSON.parse(line));
+  } finally {
+    spy.mockRestore();
+  }
+}
+
+describe('Logging - Lines', () => {
+  test('should write the message and fields as one JSON line', async () => {
+    const [line] = await captureLog('log', () => log('info', 'Fetching page', { url: 'http://example.com/' }));
+
+    expect(line).toEqual({ time: expect.any(String), level: 'info', message: 'Fetching page', url: 'http://example.com/' });
+    expect(new Date(line.time).getTime()).not.toBeNaN();
+  });
+
+  test('should write errors to stderr', async () => {
+    const [line] = await captureLog('error', () => log('error', 'Error processing image', { error: 'broken' }));
+    expect(line).toMatchObject({ level: 'error', error: 'broken' });
+  });
+});
+
+describe('Logging - Traces', () => {
+  test('should time sync and async stages, adding up repeats', async () => {
+    const trace = createTrace();
+
+    expect(trace.time('parse', () => 'parsed')).toBe('parsed');
+    await trace.time('fetch', () => new Promise(resolve => setTimeout(resolve, 20)));
+    await trace.time('fetch', async () => {});
+    expect(() => trace.time('encode', () => { throw new Error('bad'); })).toThrow('bad');
+
+    expect(Object.keys(trace.stages).sort()).toEqual(['encode', 'fetch', 'parse']);
+    expect(trace.stages.fetch).toBeGreaterThanOrEqual(15);
+  });
+
+  test('should count bytes and cache lookups', () => {
+    const trace = createTrace();
+    trace.received(100);
+    trace.received(50);
+    trace.cacheResult('image', 'hit');
+    trace.cacheResult('image', 'hit');
+    trace.cacheResult('image', 'miss');
+
+    expect(trace.bytesIn).toBe(150);
+    expect(trace.cache).toEqual({ image: { hit: 2, miss: 1 } });
+  });
+});
+
+describe('Logging - Request Logs', () => {
+  test('should log and count each request once, even through a mounted app', async () => {
+    const metrics = { request: jest.fn() };
+    const inner = express();
+    inner.use(requestLogging(metrics));
+    inner.get('/page', (req, res) => {
+      req.trace.route = 'page';
+      req.trace.url = 'http://example.com/';
+      req.trace.received(10);
+      res.send('hello');
+    });
+    const app = express();
+    app.use(requestLogging(metrics));
+    app.use('/r', inner);
+
+    const lines = await captureLog('log', () => request(app).get('/r/page?x=1'));
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      message: 'request',
+      method: 'GET',
+      path: '/r/page?x=1',
+      url: 'http://example.com/',
+      route: 'page',
+      status: 200,
+      bytesIn: 10,
+      bytesOut: 5,
+      client: expect.stringMatching(/^address:/)
+    });
+    expect(metrics.request).toHaveBeenCalledTimes(1);
+  });
+
+  test('should call requests no route claimed "other"', async () => {
+    const app = express();
+    app.use(requestLogging(null));
+
+    const [line] = await captureLog('log', () => request(app).get('/missing'));
+    expect(line).toMatchObject({ route: 'other', status: 404, url: null });
+  });
+});
@@ -0,0 +1,236 @@
+import { escapeHtml, htmlTable, localUrl, sendHtml } from "./proxy-core.js";
+import { formatBytes } from "./image-cache.js";
+
+// Upper bounds, in seconds, of the latency histogram buckets
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// How many of the latest requests the status page lists
+const RECENT_REQUESTS = 20;
+
+// Every metric the proxy exports, with its Prometheus type and help text
+const METRICS = {
+  proxy_requests_total: { type: 'counter', help: 'Requests answered, by route and status code' },
+  proxy_request_duration_seconds: { type: 'histogram', help: 'Time taken to answer requests, by route' },
+  proxy_stage_duration_seconds: { type: 'histogram', help: 'Time spent building pages, by stage: fetch, parse, images and encode' },
+  proxy_upstream_bytes_total: { type: 'counter', help: 'Bytes of pages and images downloaded from upstream sites' },
+  proxy_response_bytes_total: { type: 'counter', help: 'Bytes sent to clients' },
+  proxy_cache_lookups_total: { type: 'counter', help: 'Page, image and logo cache lookups, by result' },
+  proxy_fetch_errors_total: { type: 'counter', help: 'Pages that failed to load or got an error answer, by kind: timeout, too-large, blocked, dns, connection, tls, redirects, client-error, server-error or failed' },
+  proxy_image_cache_files: { type: 'gauge', help: 'Images in the image cache' },
+  proxy_image_cache_bytes: { type: 'gauge', help: 'Disk space used by the image cache' },
+  proxy_page_cache_entries: { type: 'gauge', help: 'Rendered pages in the page cache' },
+  proxy_limiter_active: { type: 'gauge', help: 'Fetches or image conversions running' },
+  proxy_limiter_queued: { type: 'gauge', help: 'Fetches or image conversions waiting for a free slot' },
+  proxy_uptime_seconds: { type: 'gauge', help: 'Seconds since the proxy started' },
+  process_resident_memory_bytes: { type: 'gauge', help: 'Memory used by the proxy process' }
+};
+
+// Function to write labels in the Prometheus text format: {name="value",...}
+function formatLabels(labels, extra = {}) {
+  const entries = Object.entries({ ...labels, ...extra });
+  if (!entries.length) {
+    return '';
+  }
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+// Function to create a metrics registry: counters, latency histograms and gauges (read
+// when the metrics are rendered), plus the latest requests for the status page. Apps can
+// share a registry so one endpoint covers them all.
+export function createMetrics() {
+  const startedAt = Date.now();
+  // metric name -> label string -> series; Map order is the output order
+  const metrics = new Map();
+  const recent = [];
+
+  const series = (name, labels, create) => {
+    if (!metrics.has(name)) {
+      metrics.set(name, new Map());
+    }
+    const values = metrics.get(name);
+    const key = formatLabels(labels);
+    if (!values.has(key)) {
+      values.set(key, { labels, ...create() });
+    }
+    return values.get(key);
+  };
+
+  const registry = {
+    startedAt,
+
+    count(name, labels = {}, amount = 1) {
+      series(name, labels, () => ({ value: 0 })).value += amount;
+    },
+
+    observe(name, labels, seconds) {
+      const histogram = series(name, labels, () => ({ buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 }));
+      DURATION_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) histogram.buckets[index]++;
+      });
+      histogram.sum += seconds;
+      histogram.count++;
+    },
+
+    // Function to add a gauge; registering the same name and labels again replaces it
+    gauge(name, labels, read) {
+      series(name, labels, () => ({})).read = read;
+    },
+
+    // Function to list a metric's series: { labels, value } for counters and gauges,
+    // { labels, sum, count } for histograms
+    series(name) {
+      return [...(metrics.get(name) || new Map()).values()].map(item => (item.read ? { ...item, value: item.read() } : item));
+    },
+
+    // Function to add a finished request's log record (see logging.js) to the metrics
+    request(record) {
+      const { route } = record;
+      registry.count('proxy_requests_total', { route, status: String(record.status) });
+      registry.observe('proxy_request_duration_seconds', { route }, record.durationMs / 1000);
+      Object.entries(record.stages).forEach(([stage, ms]) => {
+        registry.observe('proxy_stage_duration_seconds', { stage }, ms / 1000);
+      });
+      registry.count('proxy_upstream_bytes_total', {}, record.bytesIn);
+      registry.count('proxy_response_bytes_total', {}, record.bytesOut);
+      Object.entries(record.cache).forEach(([cache, results]) => {
+        Object.entries(results).forEach(([result, lookups]) => registry.count('proxy_cache_lookups_total', { cache, result }, lookups));
+      });
+      if (record.error) {
+        registry.count('proxy_fetch_errors_total', { kind: record.error });
+      }
+
+      recent.unshift({ ...record, finishedAt: Date.now() });
+      recent.length = Math.min(recent.length, RECENT_REQUESTS);
+    },
+
+    recent: () => recent.slice(),
+
+    // Function to render every metric in the Prometheus text exposition format
+    render() {
+      const lines = [];
+      metrics.forEach((values, name) => {
+        const { type, help } = METRICS[name];
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        values.forEach(item => {
+          if (type === 'histogram') {
+            DURATION_BUCKETS.forEach((bound, index) => {
+              lines.push(`${name}_bucket${formatLabels(item.labels, { le: String(bound) })} ${item.buckets[index]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels(item.labels, { le: '+Inf' })} ${item.count}`);
+            lines.push(`${name}_sum${formatLabels(item.labels)} ${item.sum}`);
+            lines.push(`${name}_count${formatLabels(item.labels)} ${item.count}`);
+          } else {
+            lines.push(`${name}${formatLabels(item.labels)} ${item.read ? item.read() : item.value}`);
+          }
+        });
+      });
+      return lines.join('\n') + '\n';
+    }
+  };
+
+  registry.gauge('proxy_uptime_seconds', {}, () => Math.round((Date.now() - startedAt) / 1000));
+  registry.gauge('process_resident_memory_bytes', {}, () => process.memoryUsage().rss);
+  return registry;
+}
+
+// Function to add gauges for an app's image cache, page cache and limiters. Apps sharing
+// limiters report them once.
+export function watchApp(metrics, app, context) {
+  metrics.gauge('proxy_image_cache_files', { app }, () => context.imageCache.stats().files);
+  metrics.gauge('proxy_image_cache_bytes', { app }, () => context.imageCache.stats().size);
+  if (context.pageCache) {
+    metrics.gauge('proxy_page_cache_entries', { app }, () => context.pageCache.size());
+  }
+  Object.entries(context.limits).forEach(([limiter, { stats }]) => {
+    metrics.gauge('proxy_limiter_active', { limiter }, () => stats().active);
+    metrics.gauge('proxy_limiter_queued', { limiter }, () => stats().queued);
+  });
+}
+
+// Function to serve the metrics in the Prometheus text format
+export function serveMetrics(context, req, res) {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(context.metrics.render());
+}
+
+// Function to format seconds for the status page
+function formatSeconds(seconds) {
+  return seconds < 1 ? `${Math.round(seconds * 1000)} ms` : `${seconds.toFixed(2)} s`;
+}
+
+// Function to format the time since startup for the status page
+function formatUptime(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+  if (days) return `${days} days, ${hours % 24} hours`;
+  if (hours) return `${hours} hours, ${minutes % 60} minutes`;
+  return `${minutes} minutes`;
+}
+
+// Function to serve the status page: request counts and timings by route and stage,
+// cache hit counts, current load and the latest requests, in plain tables any browser
+// can show
+export function serveStatusPage(context, req, res) {
+  const { metrics } = context;
+  const total = (name, match = () => true) => metrics.series(name)
+    .filter(item => match(item.labels))
+    .reduce((sum, item) => sum + item.value, 0);
+  const timings = (name, label) => metrics.series(name).map(item => [
+    escapeHtml(item.labels[label]),
+    item.count,
+    formatSeconds(item.sum / item.count)
+  ]);
+
+  const caches = {};
+  metrics.series('proxy_cache_lookups_total').forEach(({ labels, value }) => {
+    caches[labels.cache] = { ...caches[labels.cache], [labels.result]: value };
+  });
+
+  const gauges = Object.keys(METRICS)
+    .filter(name => METRICS[name].type === 'gauge' && name !== 'proxy_uptime_seconds')
+    .flatMap(name => metrics.series(name).map(({ labels, value }) => [
+      `${METRICS[name].help}${Object.keys(labels).length ? ` (${escapeHtml(Object.values(labels).join(', '))})` : ''}`,
+      name.endsWith('_bytes') ? formatBytes(value) : value
+    ]));
+
+  const recent = metrics.recent().map(record => [
+    new Date(record.finishedAt).toTimeString().slice(0, 8),
+    record.status,
+    escapeHtml(record.route),
+    escapeHtml(record.url || record.path),
+    formatSeconds(record.durationMs / 1000)
+  ]);
+
+  sendHtml(res, `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="ISO-8859-1">
+<title>Proxy Status</title>
+</head>
+<body>
+<h1>Proxy Status</h1>
+<table border="1" cellpadding="4" cellspacing="0">
+<tr><td>Up for</td><td>${formatUptime(Date.now() - metrics.startedAt)}</td></tr>
+<tr><td>Requests</td><td>${total('proxy_requests_total')}</td></tr>
+<tr><td>Server errors</td><td>${total('proxy_requests_total', labels => Number(labels.status) >= 500)}</td></tr>
+<tr><td>Downloaded</td><td>${formatBytes(total('proxy_upstream_bytes_total'))}</td></tr>
+<tr><td>Sent</td><td>${formatBytes(total('proxy_response_bytes_total'))}</td></tr>
+</table>
+<h2>Requests</h2>
+${htmlTable(['Route', 'Requests', 'Average time'], timings('proxy_request_duration_seconds', 'route'))}
+<h2>Stages</h2>
+${htmlTable(['Stage', 'Times', 'Average time'], timings('proxy_stage_duration_seconds', 'stage'))}
+<h2>Caches</h2>
+${htmlTable(['Cache', 'Hits', 'Misses', 'Revalidated'], Object.entries(caches).map(([cache, results]) => [
+    escapeHtml(cache), results.hit || 0, results.miss || 0, results.revalidated || 0
+  ]))}
+<h2>Now</h2>
+${htmlTable(['Measure', 'Value'], gauges)}
+<h2>Latest Requests</h2>
+${htmlTable(['Time', 'Status', 'Route', 'Address', 'Time taken'], recent)}
+<p><a href="${localUrl(req, '/status')}">Reload</a> | <a href="${localUrl(req, '/metrics')}">Prometheus metrics</a></p>
+</body>
+</html>`);
+}
@@ -0,0 +1,128 @@
+import express from 'express';
+import request from 'supertest';
+import { createMetrics, serveMetrics, serveStatusPage, watchApp } from './metrics.js';
+import { createConcurrencyLimits } from './concurrency.js';
+
+// Function to build a finished request's log record, as requestLogging writes it
+function record(fields = {}) {
+  return {
+    method: 'GET',
+    path: '/?url=http://example.com/',
+    url: 'http://example.com/',
+    route: 'readable',
+    status: 200,
+    durationMs: 300,
+    stages: { fetch: 200, parse: 40, encode: 5 },
+    bytesIn: 1000,
+    bytesOut: 400,
+    cache: { page: { miss: 1 }, image: { hit: 2, miss: 1 } },
+    client: 'address:127.0.0.1',
+    ...fields
+  };
+}
+
+// Function to create an app serving a registry's status page and metrics
+function createApp(metrics) {
+  const app = express();
+  app.locals.options = { outputCharset: 'iso-8859-1' };
+  app.get('/status', (req, res) => serveStatusPage({ metrics }, req, res));
+  app.get('/metrics', (req, res) => serveMetrics({ metrics }, req, res));
+  return app;
+}
+
+describe('Metrics - Registry', () => {
+  test('should add up counters by label', () => {
+    const metrics = createMetrics();
+    metrics.count('proxy_requests_total', { route: 'readable', status: '200' });
+    metrics.count('proxy_requests_total', { route: 'readable', status: '200' });
+    metrics.count('proxy_requests_total', { route: 'original', status: '504' });
+
+    expect(metrics.series('proxy_requests_total').map(({ labels, value }) => [labels.route, value])).toEqual([['readable', 2], ['original', 1]]);
+  });
+
+  test('should render histograms with cumulative buckets, sum and count', () => {
+    const metrics = createMetrics();
+    metrics.observe('proxy_request_duration_seconds', { route: 'readable' }, 0.3);
+    metrics.observe('proxy_request_duration_seconds', { route: 'readable' }, 3);
+    const text = metrics.render();
+
+    expect(text).toContain('# TYPE proxy_request_duration_seconds histogram');
+    expect(text).toContain('proxy_request_duration_seconds_bucket{route="readable",le="0.25"} 0');
+    expect(text).toContain('proxy_request_duration_seconds_bucket{route="readable",le="0.5"} 1');
+    expect(text).toContain('proxy_request_duration_seconds_bucket{route="readable",le="5"} 2');
+    expect(text).toContain('proxy_request_duration_seconds_bucket{route="readable",le="+Inf"} 2');
+    expect(text).toContain('proxy_request_duration_seconds_sum{route="readable"} 3.3');
+    expect(text).toContain('proxy_request_duration_seconds_count{route="readable"} 2');
+  });
+
+  test('should read gauges when rendering and escape label values', () => {
+    const metrics = createMetrics();
+    let files = 1;
+    metrics.gauge('proxy_image_cache_files', { app: 'say "hi"\\' }, () => files);
+    files = 5;
+
+    expect(metrics.render()).toContain('proxy_image_cache_files{app="say \\"hi\\"\\\\"} 5');
+    expect(metrics.render()).toMatch(/^proxy_uptime_seconds \d+$/m);
+  });
+
+  test('should count a request log record under every metric', () => {
+    const metrics = createMetrics();
+    metrics.request(record());
+    metrics.request(record({ status: 504, stages: {}, cache: {}, error: 'timeout' }));
+    const text = metrics.render();
+
+    expect(text).toContain('proxy_requests_total{route="readable",status="200"} 1');
+    expect(text).toContain('proxy_requests_total{route="readable",status="504"} 1');
+    expect(text).toContain('proxy_stage_duration_seconds_count{stage="fetch"} 1');
+    expect(text).toContain('proxy_upstream_bytes_total 2000');
+    expect(text).toContain('proxy_response_bytes_total 800');
+    expect(text).toContain('proxy_cache_lookups_total{cache="image",result="hit"} 2');
+    expect(text).toContain('proxy_fetch_errors_total{kind="timeout"} 1');
+    expect(metrics.recent().map(({ status }) => status)).toEqual([504, 200]);
+  });
+
+  test('should report shared limiters once for every app watching them', () => {
+    const metrics = createMetrics();
+    const limits = createConcurrencyLimits();
+    const imageCache = { stats: () => ({ files: 3, size: 2048 }) };
+    watchApp(metrics, 'readability', { imageCache, limits, pageCache: { size: () => 7 } });
+    watchApp(metrics, 'imageconvert', { imageCache, limits });
+
+    expect(metrics.series('proxy_limiter_active')).toHaveLength(2);
+    expect(metrics.series('proxy_image_cache_files')).toHaveLength(2);
+    expect(metrics.render()).toContain('proxy_page_cache_entries{app="readability"} 7');
+  });
+});
+
+describe('Metrics - Endpoints', () => {
+  test('should serve the Prometheus text format', async () => {
+    const metrics = createMetrics();
+    metrics.request(record());
+    const response = await request(createApp(metrics)).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0.0.4/);
+    expect(response.text).toContain('# HELP proxy_requests_total Requests answered, by route and status code');
+  });
+
+  test('should show the status in plain tables without styles or scripts', async () => {
+    const metrics = createMetrics();
+    metrics.request(record());
+    metrics.request(record({ status: 500, url: 'http://example.com/<script>' }));
+    const response = await request(createApp(metrics)).get('/status');
+
+    expect(response.headers['content-type']).toBe('text/html; charset=ISO-8859-1');
+    expect(response.text).toContain('<title>Proxy Status</title>');
+    expect(response.text).toContain('<tr><td>Requests</td><td>2</td></tr>');
+    expect(response.text).toContain('<tr><td>Server errors</td><td>1</td></tr>');
+    expect(response.text).toContain('<td>readable</td><td>2</td><td>300 ms</td>');
+    expect(response.text).toContain('<td>image</td><td>4</td><td>2</td><td>0</td>');
+    expect(response.text).toContain('http://example.com/&lt;script&gt;');
+    expect(response.text).not.toMatch(/<style|<script|style=/);
+  });
+
+  test('should say so when nothing has been counted yet', async () => {
+    const response = await request(createApp(createMetrics())).get('/status');
+    expect(response.text).toContain('<p>None yet.</p>');
+  });
+});
@@ -0,0 +1,132 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { URL } from "url";
+
+// Address ranges the proxy won't fetch from unless allowPrivateAddresses is set: loopback,
+// private networks, link-local (including cloud metadata at 169.254.169.254), carrier-grade
+// NAT, multicast and reserved space
+const PRIVATE_RANGES = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15',
+  '224.0.0.0/4',
+  '240.0.0.0/4',
+  '::/128',
+  '::1/128',
+  'fc00::/7',
+  'fe80::/10',
+  'ff00::/8'
+];
+
+// Function to create a list of IP addresses and CIDR ranges ('10.0.0.0/8', '::1') that
+// can tell whether an address is on it. IPv4 addresses mapped into IPv6 (::ffff:127.0.0.1)
+// count as the IPv4 address.
+export function createAddressList(entries) {
+  const list = new net.BlockList();
+  const typeOf = (address) => (net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+  entries.forEach(entry => {
+    const [address, prefix] = entry.trim().split('/');
+    if (!net.isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+      throw new Error(`Not an IP address or CIDR range: ${entry}`);
+    }
+    if (prefix === undefined) {
+      list.addAddress(address, typeOf(address));
+    } else {
+      list.addSubnet(address, Number(prefix), typeOf(address));
+    }
+  });
+
+  return {
+    includes: (address) => Boolean(net.isIP(address)) && list.check(address, typeOf(address))
+  };
+}
+
+const privateAddresses = createAddressList(PRIVATE_RANGES);
+
+// Defaults for which upstream addresses and sites the proxy will fetch
+export const DEFAULT_NETWORK_POLICY = {
+  allowPrivateAddresses: false,
+  allowedDomains: [], // when not empty, only these sites (and their subdomains) are fetched
+  blockedDomains: [] // sites (and their subdomains) never fetched
+};
+
+// Function to check whether an IP address is loopback, private, link-local or reserved
+export function isPrivateAddress(address) {
+  return privateAddresses.includes(address);
+}
+
+// Function to check whether a hostname is one of the listed domains or a subdomain of one
+export function matchesDomain(hostname, domains) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return domains.some(domain => {
+    const listed = domain.toLowerCase().replace(/^\*?\./, '').replace(/\.$/, '');
+    return host === listed || host.endsWith(`.${listed}`);
+  });
+}
+
+// Function to create the error for a refused fetch; fetchErrorKind reports it as 'blocked'
+function blockedError(message) {
+  return Object.assign(new Error(message), { code: 'EBLOCKED' });
+}
+
+// Function to create an app's network policy from its options. check(url) refuses URLs
+// the proxy shouldn't fetch before a request goes out; agent(url) gives node-fetch an
+// agent whose DNS lookup refuses private addresses, so the address actually connected to
+// is the one checked and a hostname can't resolve somewhere else after the check.
+export function createNetworkPolicy({
+  allowPrivateAddresses = DEFAULT_NETWORK_POLICY.allowPrivateAddresses,
+  allowedDomains = DEFAULT_NETWORK_POLICY.allowedDomains,
+  blockedDomains = DEFAULT_NETWORK_POLICY.blockedDomains
+} = {}) {
+  const lookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(error);
+      }
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const refused = addresses.find(entry => isPrivateAddress(entry.address));
+      if (refused) {
+        return callback(blockedError(`${hostname} resolves to the private address ${refused.address}`));
+      }
+      callback(null, address, family);
+    });
+  };
+
+  const agents = allowPrivateAddresses ? null : {
+    'http:': new http.Agent({ lookup }),
+    'https:': new https.Agent({ lookup })
+  };
+
+  return {
+    check(url) {
+      const { protocol, hostname } = new URL(url);
+      // URL keeps the brackets around IPv6 hosts
+      const host = hostname.replace(/^\[|\]$/g, '');
+
+      if (protocol !== 'http:' && protocol !== 'https:') {
+        throw blockedError(`${protocol} URLs can't be fetched`);
+      }
+      if (matchesDomain(host, blockedDomains)) {
+        throw blockedError(`${host} is on the list of blocked sites`);
+      }
+      if (allowedDomains.length && !matchesDomain(host, allowedDomains)) {
+        throw blockedError(`${host} is not on the list of allowed sites`);
+      }
+      // IP addresses in the URL are connected to without a DNS lookup, so check them here
+      if (!allowPrivateAddresses && net.isIP(host) && isPrivateAddress(host)) {
+        throw blockedError(`${host} is a private address`);
+      }
+    },
+
+    agent: (parsedUrl) => (agents ? agents[parsedUrl.protocol] : undefined)
+  };
+}
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import { createNetworkPolicy, isPrivateAddress, matchesDomain } from './network-policy.js';
+import { fetchErrorKind, fetchUpstream } from './proxy-core.js';
+
+// Function to run a policy check, returning the refusal message or null
+function refusal(policy, url) {
+  try {
+    policy.check(url);
+    return null;
+  } catch (error) {
+    return fetchErrorKind(error) === 'blocked' ? error.message : `unexpected: ${error.message}`;
+  }
+}
+
+describe('Network Policy - Addresses', () => {
+  test('should treat loopback, private, link-local and reserved addresses as private', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:192.168.0.1'].forEach(address => {
+      expect([address, isPrivateAddress(address)]).toEqual([address, true]);
+    });
+  });
+
+  test('should treat public addresses as public', () => {
+    ['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:2800:220:1::1', '::ffff:8.8.8.8'].forEach(address => {
+      expect([address, isPrivateAddress(address)]).toEqual([address, false]);
+    });
+  });
+
+  test('should match domains and their subdomains only', () => {
+    expect(matchesDomain('example.com', ['example.com'])).toBe(true);
+    expect(matchesDomain('www.Example.com.', ['example.com'])).toBe(true);
+    expect(matchesDomain('www.example.com', ['*.example.com'])).toBe(true);
+    expect(matchesDomain('badexample.com', ['example.com'])).toBe(false);
+    expect(matchesDomain('example.com', [])).toBe(false);
+  });
+});
+
+describe('Network Policy - Checks', () => {
+  test('should refuse private IP addresses and non-HTTP URLs', () => {
+    const policy = createNetworkPolicy();
+
+    expect(refusal(policy, 'http://127.0.0.1:8080/')).toBe('127.0.0.1 is a private address');
+    expect(refusal(policy, 'http://[::1]/')).toBe('::1 is a private address');
+    expect(refusal(policy, 'http://169.254.169.254/latest/meta-data/')).toBe('169.254.169.254 is a private address');
+    expect(refusal(policy, 'file:///etc/passwd')).toBe("file: URLs can't be fetched");
+    expect(refusal(policy, 'http://example.com/')).toBe(null);
+  });
+
+  test('should allow private addresses when configured to', () => {
+    const policy = createNetworkPolicy({ allowPrivateAddresses: true });
+
+    expect(refusal(policy, 'http://192.168.1.10/')).toBe(null);
+    expect(policy.agent(new URL('http://192.168.1.10/'))).toBeUndefined();
+  });
+
+  test('should apply the domain allowlist and denylist', () => {
+    const policy = createNetworkPolicy({ allowedDomains: ['example.com', 'example.org'], blockedDomains: ['ads.example.com'] });
+
+    expect(refusal(policy, 'http://www.example.com/')).toBe(null);
+    expect(refusal(policy, 'http://example.org/')).toBe(null);
+    expect(refusal(policy, 'http://ads.example.com/')).toBe('ads.example.com is on the list of blocked sites');
+    expect(refusal(policy, 'http://example.net/')).toBe('example.net is not on the list of allowed sites');
+  });
+});
+
+describe('Network Policy - Fetching', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: 'http://internal.test/secret' });
+        return res.end();
+      }
+      res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should refuse hostnames that resolve to private addresses', async () => {
+    const error = await fetchUpstream(`http://localhost:${port}/`, { networkPolicy: createNetworkPolicy() }).catch(error => error);
+
+    expect(fetchErrorKind(error)).toBe('blocked');
+    expect(error.message).toContain('localhost resolves to the private address');
+  });
+
+  test('should fetch private addresses when allowed', async () => {
+    const response = await fetchUpstream(`http://localhost:${port}/`, { networkPolicy: createNetworkPolicy({ allowPrivateAddresses: true }) });
+    expect(await response.text()).toBe('ok');
+  });
+
+  test('should check every redirect hop', async () => {
+    const policy = createNetworkPolicy({ allowPrivateAddresses: true, blockedDomains: ['internal.test'] });
+    const check = jest.spyOn(policy, 'check');
+    const error = await fetchUpstream(`http://127.0.0.1:${port}/redirect`, { networkPolicy: policy }).catch(error => error);
+
+    expect(check).toHaveBeenCalledWith('http://internal.test/secret');
+    expect(fetchErrorKind(error)).toBe('blocked');
+  });
+});
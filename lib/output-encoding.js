@@ -0,0 +1,110 @@
+import iconv from "iconv-lite";
+
+// Charsets the proxy can send. `label` is the name declared to the browser,
+// `substitutions` map characters onto the byte a charset uses for them.
+export const OUTPUT_CHARSETS = {
+  'iso-8859-1': {
+    encoding: 'ISO-8859-1',
+    label: 'ISO-8859-1',
+    substitutions: {}
+  },
+  'macroman': {
+    encoding: 'macintosh',
+    label: 'x-mac-roman',
+    // Mac OS 8.5 replaced the currency sign at 0xDB with the euro sign
+    substitutions: { '€': '¤' }
+  }
+};
+
+// Typography that modern pages use and vintage charsets lack, with plain equivalents
+const TYPOGRAPHY = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"',
+  '‐': '-', '‑': '-', '‒': '-', '–': '-', '−': '-',
+  '—': '--', '―': '--',
+  '…': '...',
+  '€': 'EUR',
+  '•': '·', // bullet to middle dot
+  '™': '(TM)',
+  '⁄': '/', '∕': '/',
+  '¼': '1/4', '½': '1/2', '¾': '3/4',
+  '×': 'x',
+  'ˆ': '^', '˜': '~',
+  '→': '->',
+  'ﬁ': 'fi', 'ﬂ': 'fl',
+  '\u2002': ' ', '\u2003': ' ', '\u2009': ' ', '\u200A': ' ', '\u202F': ' ', // en, em, thin and hair spaces
+  '\u200B': '', '\u200C': '', '\u200D': '', '\u2060': '', '\uFEFF': '' // zero-width characters
+};
+
+// Characters each output charset can represent, built on first use
+const encodableChars = {};
+
+function getEncodableChars(charset) {
+  if (!encodableChars[charset]) {
+    const allBytes = Buffer.from([...Array(256).keys()]);
+    encodableChars[charset] = new Set(iconv.decode(allBytes, OUTPUT_CHARSETS[charset].encoding));
+  }
+  return encodableChars[charset];
+}
+
+// Function to look up an output charset by name, falling back to ISO-8859-1
+export function getOutputCharset(name) {
+  const key = String(name || '').toLowerCase().replace(/^(x-)?mac-?roman$|^macintosh$/, 'macroman');
+  return OUTPUT_CHARSETS[key] ? key : 'iso-8859-1';
+}
+
+// Function to guess whether a browser renders numeric character references above 255.
+// Netscape 2-4, MacWeb and early iCab show them literally or as boxes.
+export function supportsNumericEntities(userAgent = '') {
+  const msie = userAgent.match(/MSIE (\d+)/);
+  if (msie) {
+    return Number(msie[1]) >= 5;
+  }
+  const mozilla = userAgent.match(/^Mozilla\/(\d+)/);
+  return Boolean(mozilla) && Number(mozilla[1]) >= 5;
+}
+
+// Function to make text representable in the output charset: typography is transliterated,
+// then other characters become numeric entities (if allowed), lose their accents, or become '?'
+export function transliterate(text, { charset = 'iso-8859-1', numericEntities = false } = {}) {
+  const encodable = getEncodableChars(charset);
+  const { substitutions } = OUTPUT_CHARSETS[charset];
+  const fits = (replacement) => [...replacement].every(ch => encodable.has(ch));
+
+  let output = '';
+  for (const ch of text) {
+    if (ch.charCodeAt(0) < 128 || encodable.has(ch)) {
+      output += ch;
+    } else if (substitutions[ch]) {
+      output += substitutions[ch];
+    } else if (TYPOGRAPHY[ch] !== undefined && fits(TYPOGRAPHY[ch])) {
+      output += TYPOGRAPHY[ch];
+    } else if (numericEntities) {
+      output += `&#${ch.codePointAt(0)};`;
+    } else {
+      const base = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      output += base && base !== ch && fits(base) ? base : '?';
+    }
+  }
+  return output;
+}
+
+// Function to point every charset declaration in a page at the charset it is sent in
+export function declareCharset(html, label) {
+  return html
+    .replace(/<meta\s+charset\s*=\s*["']?[^"'\s>]*["']?\s*\/?>/gi, `<meta charset="${label}">`)
+    .replace(/(<meta\s[^>]*http-equiv\s*=\s*["']?content-type["']?[^>]*charset=)[^"'\s;>]+/gi, `$1${label}`);
+}
+
+// Function to encode a full HTML page for a vintage browser, returning the bytes and
+// the matching Content-Type header
+export function encodeHtml(html, { charset, numericEntities = false } = {}) {
+  const key = getOutputCharset(charset);
+  const { encoding, label } = OUTPUT_CHARSETS[key];
+  const text = transliterate(declareCharset(html, label), { charset: key, numericEntities });
+
+  return {
+    body: iconv.encode(text, encoding),
+    contentType: `text/html; charset=${label}`
+  };
+}
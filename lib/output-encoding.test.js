@@ -0,0 +1,87 @@
+import {
+  declareCharset,
+  encodeHtml,
+  getOutputCharset,
+  supportsNumericEntities,
+  transliterate,
+} from './output-encoding.js';
+
+describe('Output Encoding - Transliteration', () => {
+  test('should transliterate typography to Latin-1 equivalents', () => {
+    expect(transliterate('‘single’ “double” – — … € non‑breaking'))
+      .toBe(`'single' "double" - -- ... EUR non-breaking`);
+  });
+
+  test('should keep characters ISO-8859-1 already has', () => {
+    expect(transliterate('café – naïve © ½')).toBe('café - naïve © ½');
+  });
+
+  test('should fall back to numeric entities when the client understands them', () => {
+    expect(transliterate('日本', { numericEntities: true })).toBe('&#26085;&#26412;');
+  });
+
+  test('should strip accents or use ? when entities are not allowed', () => {
+    expect(transliterate('Dvořák 日')).toBe('Dvorák ?');
+  });
+
+  test('should keep curly quotes, dashes and ellipses in MacRoman', () => {
+    expect(transliterate('“Mac” – … •', { charset: 'macroman' })).toBe('“Mac” – … •');
+  });
+
+  test('should transliterate characters MacRoman lacks', () => {
+    expect(transliterate('½ × ¼', { charset: 'macroman' })).toBe('1/2 x 1/4');
+  });
+});
+
+describe('Output Encoding - Charset Declarations', () => {
+  test('should rewrite meta charset tags', () => {
+    expect(declareCharset('<head><meta charset="utf-8"></head>', 'x-mac-roman'))
+      .toBe('<head><meta charset="x-mac-roman"></head>');
+  });
+
+  test('should rewrite http-equiv Content-Type declarations', () => {
+    const html = '<meta http-equiv="Content-Type" content="text/html; charset=UTF-8">';
+    expect(declareCharset(html, 'ISO-8859-1'))
+      .toBe('<meta http-equiv="Content-Type" content="text/html; charset=ISO-8859-1">');
+  });
+
+  test('should accept the usual names for MacRoman', () => {
+    expect(getOutputCharset('macroman')).toBe('macroman');
+    expect(getOutputCharset('x-mac-roman')).toBe('macroman');
+    expect(getOutputCharset('macintosh')).toBe('macroman');
+    expect(getOutputCharset('utf-8')).toBe('iso-8859-1');
+    expect(getOutputCharset(undefined)).toBe('iso-8859-1');
+  });
+});
+
+describe('Output Encoding - Full Pages', () => {
+  test('should encode ISO-8859-1 by default', () => {
+    const { body, contentType } = encodeHtml('<meta charset="ISO-8859-1"><p>café “quoted”</p>');
+
+    expect(contentType).toBe('text/html; charset=ISO-8859-1');
+    expect(body.toString('latin1')).toBe('<meta charset="ISO-8859-1"><p>café "quoted"</p>');
+  });
+
+  test('should encode MacRoman and declare it in the meta tag and Content-Type', () => {
+    const { body, contentType } = encodeHtml('<meta charset="ISO-8859-1"><p>“é” €</p>', { charset: 'macroman' });
+
+    expect(contentType).toBe('text/html; charset=x-mac-roman');
+    expect(body.toString('latin1')).toContain('<meta charset="x-mac-roman">');
+    // MacRoman bytes: 0xD2 “, 0x8E é, 0xD3 ”, 0xDB €
+    expect(body.includes(Buffer.from([0xd2, 0x8e, 0xd3, 0x20, 0xdb]))).toBe(true);
+  });
+});
+
+describe('Output Encoding - Client Detection', () => {
+  test('should not use numeric entities for vintage browsers', () => {
+    expect(supportsNumericEntities('Mozilla/3.0 (Macintosh; I; PPC)')).toBe(false);
+    expect(supportsNumericEntities('Mozilla/4.08 (Macintosh; I; PPC, Nav)')).toBe(false);
+    expect(supportsNumericEntities('MacWeb/2.0')).toBe(false);
+    expect(supportsNumericEntities(undefined)).toBe(false);
+  });
+
+  test('should use numeric entities for browsers that render them', () => {
+    expect(supportsNumericEntities('Mozilla/4.0 (compatible; MSIE 5.0; Mac_PowerPC)')).toBe(true);
+    expect(supportsNumericEntities('Mozilla/5.0 (Macintosh; U; PPC Mac OS X; en) AppleWebKit/125.5')).toBe(true);
+  });
+});
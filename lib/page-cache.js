@@ -0,0 +1,83 @@
+import { localUrl } from "./proxy-core.js";
+
+// Defaults for the rendered page cache: how many pages are kept, and how many seconds a
+// page is served before the proxy asks upstream whether it changed
+export const DEFAULT_PAGE_CACHE_LIMITS = {
+  maxEntries: 200,
+  maxAge: 60
+};
+
+// Function to create an in-memory cache of transformed pages, least recently used
+// evicted first. Entries keep the upstream validators so stale pages can be revalidated
+// with a conditional request instead of being rendered again.
+export function createPageCache({ maxEntries = DEFAULT_PAGE_CACHE_LIMITS.maxEntries, maxAge = DEFAULT_PAGE_CACHE_LIMITS.maxAge } = {}) {
+  // Map iteration order doubles as the LRU order: oldest first
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry || null;
+    },
+
+    // Function to store a rendered page: { html, etag, lastModified, images }, where the
+    // validators are the upstream ones and images lists the cached image files it uses
+    set(key, page, now = Date.now()) {
+      if (!maxEntries) return null;
+      const entry = { ...page, renderedAt: now, checkedAt: now };
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return entry;
+    },
+
+    // Function to mark a page as confirmed unchanged by upstream
+    revalidated(entry, now = Date.now()) {
+      entry.checkedAt = now;
+    },
+
+    // Function to check whether a page can be served without asking upstream
+    isFresh: (entry, now = Date.now()) => now - entry.checkedAt < maxAge * 1000,
+
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    size: () => entries.size
+  };
+}
+
+// Function to build the cache key for a page request. The rendered page depends on the
+// URL, the view asked for (readable or full page) or an image's zoom, the client profile
+// and colour depth, the proxy address its links point at, and the cookies sent upstream;
+// form submissions are never cached, nor pages for forward-proxy clients, who are only
+// told apart by an address that many users can share. A client holding any cookie gets pages of its own,
+// keyed by its session: the page may be fetched over HTTPS or through redirects with
+// cookies the plain address doesn't show, so one client's logged-in page is never
+// served to (or shared mid-render with) another.
+export function pageCacheKey(req, targetUrl, { options, cookieJar }) {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || req.forwardProxied) {
+    return null;
+  }
+
+  const cookie = cookieJar ? cookieJar.cookieHeader(targetUrl) : '';
+  const session = cookieJar && Object.keys(cookieJar.sites()).length ? cookieJar.sessionId : '';
+  return [targetUrl, req.query.view || '', req.query.zoom || '', options.profile || '', options.colourDepth || '', localUrl(req, ''), cookie, session].join('\n');
+}
+
+// Function to build the conditional request headers that revalidate a cached page
+export function conditionalHeaders(entry) {
+  const headers = {};
+  if (entry.etag) headers['If-None-Match'] = entry.etag;
+  if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+// Function to check whether an upstream page may be cached at all
+export function isCacheable(response) {
+  return response.status === 200 && !/no-store/i.test(response.headers.get('cache-control') || '');
+}
@@ -0,0 +1,85 @@
+import { conditionalHeaders, createPageCache, isCacheable, pageCacheKey } from './page-cache.js';
+
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+
+function mockRequest(method = 'GET', host = 'proxy.local', query = {}) {
+  return { method, headers: { host }, query, app: { locals: {} } };
+}
+
+describe('Page Cache', () => {
+  test('should store pages and evict the least recently used first', () => {
+    const cache = createPageCache({ maxEntries: 2 });
+    cache.set('a', { html: 'A', images: [] }, NOW);
+    cache.set('b', { html: 'B', images: [] }, NOW);
+    cache.get('a');
+    cache.set('c', { html: 'C', images: [] }, NOW);
+
+    expect(cache.get('a').html).toBe('A');
+    expect(cache.get('b')).toBe(null);
+    expect(cache.get('c')).toMatchObject({ html: 'C', renderedAt: NOW, checkedAt: NOW });
+  });
+
+  test('should serve pages without revalidating only within the max age', () => {
+    const cache = createPageCache({ maxAge: 60 });
+    const entry = cache.set('a', { html: 'A', images: [] }, NOW);
+
+    expect(cache.isFresh(entry, NOW + 59000)).toBe(true);
+    expect(cache.isFresh(entry, NOW + 61000)).toBe(false);
+
+    cache.revalidated(entry, NOW + 61000);
+    expect(cache.isFresh(entry, NOW + 62000)).toBe(true);
+    expect(entry.renderedAt).toBe(NOW);
+  });
+
+  test('should store nothing when turned off', () => {
+    const cache = createPageCache({ maxEntries: 0 });
+    expect(cache.set('a', { html: 'A', images: [] })).toBe(null);
+    expect(cache.size()).toBe(0);
+  });
+
+  test('should key pages by URL, profile, colour depth, proxy address and upstream cookies', () => {
+    const jar = { sessionId: 'a', cookieHeader: () => 'sid=1', sites: () => ({ 'example.com': [{ name: 'sid' }] }) };
+    const key = (req, options, cookieJar = null) => pageCacheKey(req, 'http://example.com/', { options, cookieJar });
+    const base = key(mockRequest(), { profile: null });
+
+    expect(key(mockRequest(), { profile: null })).toBe(base);
+    expect(key(mockRequest(), { profile: 'palm' })).not.toBe(base);
+    expect(key(mockRequest(), { profile: null, colourDepth: 1 })).not.toBe(base);
+    expect(key(mockRequest('GET', 'other.local'), { profile: null })).not.toBe(base);
+    expect(key(mockRequest('GET', 'proxy.local', { view: 'full' }), { profile: null })).not.toBe(base);
+    expect(key(mockRequest('GET', 'proxy.local', { zoom: '2' }), { profile: null })).not.toBe(base);
+    expect(key(mockRequest(), { profile: null }, jar)).not.toBe(base);
+    expect(key(mockRequest(), { profile: null }, { sessionId: 'b', cookieHeader: () => '', sites: () => ({}) })).toBe(base);
+    expect(key(mockRequest('POST'), { profile: null })).toBe(null);
+  });
+
+  test('should key pages by session for clients holding cookies the address does not show', () => {
+    // Secure cookies aren't sent to the plain http:// address, but are once it is upgraded
+    const jar = (sessionId) => ({ sessionId, cookieHeader: () => '', sites: () => ({ 'example.com': [{ name: 'sid', secure: true }] }) });
+    const key = (cookieJar) => pageCacheKey(mockRequest(), 'http://example.com/', { options: {}, cookieJar });
+
+    expect(key(jar('a'))).not.toBe(key(jar('b')));
+    expect(key(jar('a'))).toBe(key(jar('a')));
+  });
+
+  test('should not cache pages for forward-proxy clients', () => {
+    const req = { ...mockRequest(), forwardProxied: true };
+    expect(pageCacheKey(req, 'http://example.com/', { options: {}, cookieJar: null })).toBe(null);
+  });
+
+  test('should revalidate with the upstream validators', () => {
+    expect(conditionalHeaders({ etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' })).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT',
+    });
+    expect(conditionalHeaders({ etag: null, lastModified: null })).toEqual({});
+  });
+
+  test('should not cache errors or pages marked no-store', () => {
+    const response = (status, cacheControl) => ({ status, headers: { get: () => cacheControl } });
+
+    expect(isCacheable(response(200, 'max-age=0'))).toBe(true);
+    expect(isCacheable(response(200, 'no-store'))).toBe(false);
+    expect(isCacheable(response(404, null))).toBe(false);
+  });
+});
@@ -0,0 +1,123 @@
+import { escapeHtml, htmlTable, localUrl, proxyUrl, sendHtml } from "./proxy-core.js";
+
+// Readability's article fields shown on the debug page, with their labels
+const ARTICLE_FIELDS = {
+  title: 'Title',
+  byline: 'Byline',
+  siteName: 'Site name',
+  excerpt: 'Excerpt',
+  publishedTime: 'Published',
+  lang: 'Language',
+  dir: 'Text direction',
+  length: 'Text length'
+};
+
+// Function to create the report of what the readability pipeline did to one page, filled
+// in while the page renders for the /debug view: the upstream response, Readability's
+// article, every image and logo candidate with what happened to it and why, and the
+// style properties removed
+export function createPipelineReport(url) {
+  const images = new Map();
+  const logos = new Map();
+
+  const report = {
+    url,
+    page: null, // { status, finalUrl, contentType, charset, bytes }
+    view: null, // 'readable', or why the simplified full page was shown
+    article: null,
+    error: null,
+    outputBytes: null,
+    images,
+    logos,
+    removedStyles: {}, // property -> number of elements it was removed from
+    notes: [],
+
+    // Function to record what is known about an image: where it was found (onPage,
+    // inArticle) and its result ('kept', 'rejected' or 'unavailable') with the reason.
+    // Later calls add to earlier ones.
+    image(imageUrl, fields) {
+      images.set(imageUrl, { ...images.get(imageUrl), url: imageUrl, ...fields });
+    },
+
+    // Function to record a logo candidate's result ('used', 'failed', 'not tried') and reason
+    logo(logoUrl, fields) {
+      logos.set(logoUrl, { ...logos.get(logoUrl), url: logoUrl, ...fields });
+    },
+
+    // Function to record the properties dropped from a style attribute, given the
+    // declarations that were kept
+    stylesCleaned(original, kept) {
+      const property = (declaration) => declaration.split(':')[0].trim().toLowerCase();
+      const keptProperties = kept.map(property);
+      original.split(';').map(property).filter(name => name && !keptProperties.includes(name)).forEach(name => {
+        report.removedStyles[name] = (report.removedStyles[name] || 0) + 1;
+      });
+    },
+
+    note(text) {
+      report.notes.push(text);
+    }
+  };
+  return report;
+}
+
+// Function to format an optional value for a report table
+const cell = (value) => (value === null || value === undefined || value === '' ? '-' : escapeHtml(String(value)));
+
+// Function to send the debug page for a report, with the time each stage took in
+// milliseconds, as plain tables any browser can show
+export function sendPipelineReport(req, res, report, stages) {
+  const { page, article } = report;
+
+  const pageRows = [
+    ['URL', cell(report.url)],
+    ['Status', cell(page && page.status)],
+    ['Final URL', cell(page && page.finalUrl)],
+    ['Content type', cell(page && page.contentType)],
+    ['Charset', cell(page && page.charset)],
+    ['View', cell(report.view)],
+    ['Downloaded', page && page.bytes != null ? `${page.bytes} bytes` : '-'],
+    ['Sent to the browser', report.outputBytes === null ? '-' : `${report.outputBytes} bytes`]
+  ];
+
+  const stageRows = Object.entries(stages).map(([stage, ms]) => [escapeHtml(stage), `${Math.round(ms * 10) / 10} ms`]);
+
+  const articleRows = article
+    ? Object.entries(ARTICLE_FIELDS).map(([field, label]) => [label, cell(article[field])])
+    : [];
+
+  const imageRows = [...report.images.values()].map(image => [
+    cell(image.url),
+    [image.onPage && 'page', image.inArticle && 'article'].filter(Boolean).join(', '),
+    cell(image.result),
+    cell(image.reason)
+  ]);
+
+  const logoRows = [...report.logos.values()].map(logo => [cell(logo.url), cell(logo.result), cell(logo.reason)]);
+
+  const styleRows = Object.entries(report.removedStyles).map(([property, count]) => [escapeHtml(property), count]);
+
+  sendHtml(res, `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="ISO-8859-1">
+<title>Debug: ${escapeHtml(report.url)}</title>
+</head>
+<body>
+<h1>What the Proxy Did</h1>
+<p><a href="${escapeHtml(proxyUrl(req, report.url))}">Readable page</a> | <a href="${escapeHtml(localUrl(req, `/original?url=${encodeURIComponent(report.url)}`))}">Original page</a></p>
+${report.error ? `<p><b>${escapeHtml(report.error)}</b></p>\n` : ''}<h2>Page</h2>
+${htmlTable(['Detail', 'Value'], pageRows)}
+<h2>Timings</h2>
+${htmlTable(['Stage', 'Time'], stageRows, 'No stages ran.')}
+<h2>Readability</h2>
+${htmlTable(['Field', 'Value'], articleRows, 'Readability found no article.')}
+<h2>Images</h2>
+${htmlTable(['Image', 'Found in', 'Result', 'Why'], imageRows, 'No images.')}
+<h2>Logos</h2>
+${htmlTable(['Logo', 'Result', 'Why'], logoRows, 'No logo candidates.')}
+<h2>Styles Removed</h2>
+${report.notes.map(text => `<p>${escapeHtml(text)}</p>\n`).join('')}${htmlTable(['Property', 'Elements'], styleRows, 'No style properties were removed.')}
+</body>
+</html>`);
+}
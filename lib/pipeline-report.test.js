@@ -0,0 +1,66 @@
+import express from 'express';
+import request from 'supertest';
+import { createPipelineReport, sendPipelineReport } from './pipeline-report.js';
+
+// Function to create an app sending a report, with made-up stage timings
+function createApp(report) {
+  const app = express();
+  app.locals.options = { outputCharset: 'iso-8859-1' };
+  app.get('/debug', (req, res) => sendPipelineReport(req, res, report, { fetch: 120.04, parse: 8.26 }));
+  return app;
+}
+
+describe('Pipeline Report - Recording', () => {
+  test('should add what later stages learn about an image to what earlier ones found', () => {
+    const report = createPipelineReport('http://example.com/');
+    report.image('http://example.com/a.jpg', { onPage: true });
+    report.image('http://example.com/a.jpg', { inArticle: true });
+    report.image('http://example.com/a.jpg', { result: 'kept', reason: 'converted to 200x100' });
+
+    expect([...report.images.values()]).toEqual([
+      { url: 'http://example.com/a.jpg', onPage: true, inArticle: true, result: 'kept', reason: 'converted to 200x100' }
+    ]);
+  });
+
+  test('should count the style properties removed from each element', () => {
+    const report = createPipelineReport('http://example.com/');
+    report.stylesCleaned('color: red; Float: left; position: absolute', ['color: red']);
+    report.stylesCleaned('float: right;', []);
+
+    expect(report.removedStyles).toEqual({ float: 2, position: 1 });
+  });
+});
+
+describe('Pipeline Report - Page', () => {
+  test('should show the report in plain tables without styles or scripts', async () => {
+    const report = createPipelineReport('http://example.com/<story>');
+    report.page = { status: 200, contentType: 'text/html', charset: 'utf-8', bytes: 5120 };
+    report.article = { title: 'A Story', byline: null, length: 1200 };
+    report.image('http://example.com/a.jpg', { onPage: true, result: 'rejected', reason: 'URL contains "ads"' });
+    report.logo('http://example.com/favicon.ico', { result: 'used', reason: 'converted to 16x16' });
+    report.note('Every style is removed.');
+    const response = await request(createApp(report)).get('/debug').set('Host', 'proxy.local');
+
+    expect(response.headers['content-type']).toBe('text/html; charset=ISO-8859-1');
+    expect(response.text).toContain('<title>Debug: http://example.com/&lt;story&gt;</title>');
+    expect(response.text).toContain('<a href="http://proxy.local/original?url=http%3A%2F%2Fexample.com%2F%3Cstory%3E">Original page</a>');
+    expect(response.text).toContain('<tr><td>Downloaded</td><td>5120 bytes</td></tr>');
+    expect(response.text).toContain('<tr><td>fetch</td><td>120 ms</td></tr>');
+    expect(response.text).toContain('<tr><td>parse</td><td>8.3 ms</td></tr>');
+    expect(response.text).toContain('<tr><td>Byline</td><td>-</td></tr>');
+    expect(response.text).toContain('<td>page</td><td>rejected</td><td>URL contains &quot;ads&quot;</td>');
+    expect(response.text).toContain('<tr><td>http://example.com/favicon.ico</td><td>used</td><td>converted to 16x16</td></tr>');
+    expect(response.text).toContain('<p>Every style is removed.</p>');
+    expect(response.text).toContain('<p>No style properties were removed.</p>');
+    expect(response.text).not.toMatch(/<style|<script|style=/);
+  });
+
+  test('should show no download size for a page whose body was never read', async () => {
+    const report = createPipelineReport('http://example.com/missing');
+    report.page = { status: 404, finalUrl: 'http://example.com/missing', contentType: 'text/html' };
+    const response = await request(createApp(report)).get('/debug');
+
+    expect(response.text).toContain('<tr><td>Downloaded</td><td>-</td></tr>');
+    expect(response.text).not.toContain('undefined');
+  });
+});
@@ -0,0 +1,535 @@
+import fetch from "node-fetch";
+import { URL } from "url";
+import crypto from "crypto";
+import { decodeHtml } from "./charset.js";
+import { queueGroup } from "./concurrency.js";
+import { encodeHtml, supportsNumericEntities } from "./output-encoding.js";
+import { createTrace, log } from "./logging.js";
+
+// User-Agent sent upstream; many sites refuse or degrade requests without one
+export const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+
+// Link protocols that can't go through the proxy and are stripped from pages
+export const UNPROXYABLE_PROTOCOLS = ['javascript:', 'mailto:', 'tel:', 'ftp:', 'file:'];
+
+// Redirects are followed by fetchUpstream itself, up to this many hops
+const MAX_REDIRECTS = 10;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Defaults for how long an upstream fetch may take, in milliseconds, and how many bytes
+// its body may have before the download is abandoned
+export const DEFAULT_FETCH_LIMITS = {
+  pageTimeout: 20000,
+  imageTimeout: 10000,
+  logoTimeout: 5000,
+  downloadTimeout: 300000,
+  maxPageBytes: 5 * 1024 * 1024,
+  maxImageBytes: 10 * 1024 * 1024,
+  maxDownloadBytes: 100 * 1024 * 1024
+};
+
+// The options holding each kind of fetch's limits
+const FETCH_LIMIT_OPTIONS = {
+  page: { timeout: 'pageTimeout', maxBytes: 'maxPageBytes' },
+  image: { timeout: 'imageTimeout', maxBytes: 'maxImageBytes' },
+  logo: { timeout: 'logoTimeout', maxBytes: 'maxImageBytes' },
+  download: { timeout: 'downloadTimeout', maxBytes: 'maxDownloadBytes' }
+};
+
+// Function to merge user options over a proxy's defaults, including the nested image limits
+export function resolveOptions(defaults, options = {}) {
+  return {
+    ...defaults,
+    ...options,
+    imageLimits: {
+      ...defaults.imageLimits,
+      ...options.imageLimits
+    }
+  };
+}
+
+// Function to pick one mode's options from a combined config: shared top-level keys plus its own section
+export function modeOptions(config, mode, modes) {
+  const shared = { ...config };
+  modes.forEach(name => delete shared[name]);
+
+  return {
+    ...shared,
+    ...config[mode],
+    imageLimits: {
+      ...shared.imageLimits,
+      ...config[mode]?.imageLimits
+    }
+  };
+}
+
+// Function to fix up a URL typed by the user: 'ttp://' typos and missing protocols
+export function normalizeTargetUrl(targetUrl) {
+  targetUrl = targetUrl.trim();
+
+  // If the URL has 'ttp' or 'ttps' (a common mistake), fix it
+  if (/^ttps?:\/\//i.test(targetUrl)) {
+    targetUrl = "h" + targetUrl;
+  }
+
+  // Ensure the URL starts with http:// if it doesn't have a protocol
+  if (!/^https?:\/\//i.test(targetUrl)) {
+    targetUrl = "http://" + targetUrl;
+  }
+
+  return targetUrl;
+}
+
+// Function to read the target URL from a forward-proxy request, ?url= or, failing that, the request path
+export function getTargetUrl(req) {
+  if (req.forwardProxyUrl) {
+    return req.forwardProxyUrl;
+  }
+
+  let targetUrl = req.query.url;
+
+  // If no ?url= is provided, assume it's part of the path
+  if (!targetUrl) {
+    targetUrl = req.url.startsWith("/") ? req.url.slice(1) : req.url;
+  }
+
+  if (!targetUrl) {
+    return null;
+  }
+
+  return normalizeTargetUrl(targetUrl);
+}
+
+// Function to read the cookies a client sent into a name -> value map
+export function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        // Skip malformed values
+      }
+    }
+  });
+  return cookies;
+}
+
+// Function to force HTTP instead of HTTPS so vintage browsers can follow the link
+export function toHttp(url) {
+  return url.replace(/^https:\/\//i, "http://");
+}
+
+// Function to get the address the client connected to, as host:port
+function socketHost(req) {
+  const address = req.socket.localAddress.replace(/^::ffff:/, '');
+  const host = address.includes(':') ? `[${address}]` : address;
+  return `${host}:${req.socket.localPort}`;
+}
+
+// Function to get the host:port browsers use to reach this proxy. In forward-proxy
+// mode the Host header names the origin site, so fall back to the socket address.
+function ownHost(req) {
+  const publicHost = req.app.locals.options?.publicHost;
+  if (publicHost) {
+    return publicHost;
+  }
+  return req.forwardProxyUrl ? socketHost(req) : req.headers.host;
+}
+
+// Function to tell whether an absolute URL sent to the proxy points back at the proxy itself
+function isOwnUrl(req, url) {
+  const publicHost = req.app.locals.options?.publicHost;
+  const port = url.port || '80';
+  if (publicHost && (url.host === publicHost || `${url.hostname}:${port}` === publicHost)) {
+    return true;
+  }
+
+  const ownHostnames = ['localhost', '127.0.0.1', '[::1]', socketHost(req).replace(/:\d+$/, '')];
+  return port === String(req.socket.localPort) && ownHostnames.includes(url.hostname);
+}
+
+// Middleware for browsers that use the proxy as their HTTP proxy and send absolute-URI
+// request lines (GET http://example.com/ HTTP/1.0). Requests for the proxy's own pages
+// and images are served as usual; anything else becomes the page to transform.
+export function handleForwardProxy(req, res, next) {
+  if (!/^https?:\/\//i.test(req.url)) {
+    return next();
+  }
+
+  let url;
+  try {
+    url = new URL(req.url);
+  } catch (error) {
+    return res.status(400).send("Error: Invalid proxy request URL");
+  }
+
+  req.forwardProxied = true;
+
+  if (isOwnUrl(req, url)) {
+    req.url = url.pathname + url.search;
+  } else {
+    req.forwardProxyUrl = url.href;
+    req.url = "/";
+  }
+
+  // Express remembers the scheme and host of an absolute request URL for the whole
+  // pass through the router, so route the rewritten request from the top again
+  req.query = null;
+  req.app.handle(req, res, next);
+}
+
+// Function to build an absolute URL for a path served by this proxy, keeping any mount
+// prefix and client profile prefix
+export function localUrl(req, path) {
+  return `http://${ownHost(req)}${req.baseUrl || ''}${req.profilePrefix || ''}${path}`;
+}
+
+// Function to build the URL that loads targetUrl through this proxy. Forward-proxy
+// clients already send every request through us, so they get the plain URL.
+export function proxyUrl(req, targetUrl) {
+  if (req.forwardProxyUrl) {
+    return targetUrl;
+  }
+  return localUrl(req, `/?url=${encodeURIComponent(targetUrl)}`);
+}
+
+// Function to fetch an upstream URL with the proxy's User-Agent. Redirects are followed
+// here rather than by node-fetch so the client's cookie jar sees every hop: cookies set
+// by a redirect (as logins do) are stored and sent on to the next URL. With a `limiter`
+// each hop waits for a free fetch slot, queued with the client's other fetches, and
+// keeps it until its body has been read or dropped (see discardBody).
+// `timeout` (milliseconds) covers every hop and reading the body; it starts when the
+// first request goes out. A body over `maxBytes` is abandoned as soon as it gets there; one
+// whose Content-Length is already over fails straight away, with its size and type on the error.
+// A `networkPolicy` (see network-policy.js) vets every hop, including where it resolves to.
+// With `httpsHosts` (see https-hosts.js) hosts known to need HTTPS are fetched over it,
+// and a host that refuses a plain HTTP connection is tried once over HTTPS, which is
+// remembered if it answers. Nothing ever falls back from HTTPS to plain HTTP.
+// The body of each redirect is dropped before the next hop, and more than MAX_REDIRECTS
+// redirects fail with a 'too-many-redirects' error.
+// The response's `finalUrl` is the address it came from, after any redirects.
+export async function fetchUpstream(url, { userAgent = DEFAULT_USER_AGENT, headers = {}, cookieJar = null, limiter = null, timeout = 0, maxBytes = 0, networkPolicy = null, httpsHosts = null, ...options } = {}) {
+  let currentUrl = url;
+  let request = { ...options, headers: { ...headers } };
+  let signal;
+
+  for (let hop = 0; ; hop++) {
+    if (networkPolicy) {
+      networkPolicy.check(currentUrl);
+    }
+    const send = (fetchUrl) => () => {
+      const cookie = cookieJar && cookieJar.cookieHeader(fetchUrl);
+      if (timeout && !signal) {
+        signal = AbortSignal.timeout(timeout);
+      }
+      return fetch(fetchUrl, {
+        ...request,
+        redirect: 'manual',
+        signal,
+        size: maxBytes,
+        agent: networkPolicy ? networkPolicy.agent : undefined,
+        headers: {
+          'User-Agent': userAgent,
+          ...request.headers,
+          ...(cookie ? { 'Cookie': cookie } : {})
+        }
+      });
+    };
+    const attempt = async (fetchUrl) => {
+      const release = limiter ? await limiter.acquire(queueGroup(cookieJar)) : () => {};
+      let sent;
+      try {
+        sent = await send(fetchUrl)();
+      } catch (error) {
+        release();
+        throw error;
+      }
+      releaseWithBody(sent, release);
+      return sent;
+    };
+
+    let fetchUrl = httpsHosts ? httpsHosts.upgrade(currentUrl) : currentUrl;
+    let response;
+    try {
+      response = await attempt(fetchUrl);
+    } catch (error) {
+      // Nothing reached the site, so HTTPS can be tried safely, even for a POST
+      const secureUrl = httpsHosts && error.code === 'ECONNREFUSED' ? httpsHosts.fallback(fetchUrl) : null;
+      if (!secureUrl) {
+        throw error;
+      }
+      try {
+        response = await attempt(secureUrl);
+      } catch (secureError) {
+        // The plain HTTP failure is the one that matches the address the browser asked for
+        throw error;
+      }
+      httpsHosts.reached(secureUrl);
+      fetchUrl = secureUrl;
+    }
+    currentUrl = fetchUrl;
+
+    // Don't start downloading a body that says up front it is too big
+    const length = Number(response.headers.get('content-length'));
+    if (maxBytes && length > maxBytes) {
+      discardBody(response);
+      throw Object.assign(new Error(`${currentUrl} is ${length} bytes, over the limit of ${maxBytes}`), {
+        type: 'max-size',
+        finalUrl: currentUrl,
+        contentType: response.headers.get('content-type'),
+        size: length
+      });
+    }
+
+    if (cookieJar) {
+      cookieJar.store(currentUrl, response);
+    }
+
+    const location = REDIRECT_STATUSES.includes(response.status) && response.headers.get('location');
+    if (httpsHosts) {
+      httpsHosts.learn(currentUrl, response, location || null);
+    }
+    if (!location) {
+      response.finalUrl = currentUrl;
+      return response;
+    }
+    discardBody(response);
+    if (hop >= MAX_REDIRECTS) {
+      throw Object.assign(new Error(`${url} redirected more than ${MAX_REDIRECTS} times`), {
+        type: 'too-many-redirects',
+        finalUrl: currentUrl
+      });
+    }
+
+    // A 303, or a 301/302 answering a POST, turns the request into a plain GET
+    if (response.status === 303 || ((response.status === 301 || response.status === 302) && request.method === 'POST')) {
+      const { 'Content-Type': contentType, ...getHeaders } = request.headers;
+      request = { ...request, method: 'GET', body: undefined, headers: getHeaders };
+    }
+    currentUrl = new URL(location, currentUrl).href;
+  }
+}
+
+// Function to call `release` once a response's body has been read, failed or been dropped
+function releaseWithBody(response, release) {
+  const { body } = response;
+  if (!body || typeof body.once !== 'function' || body.destroyed || body.readableEnded) {
+    release();
+    return;
+  }
+  ['end', 'error', 'close'].forEach(event => body.once(event, release));
+}
+
+// Function to cancel the body of a response that won't be read, so its connection and
+// fetch slot are let go. Callers that don't read a response must call this.
+export function discardBody(response) {
+  if (response.body && response.body.destroy) {
+    response.body.destroy();
+  }
+}
+
+// Function to build the fetch options for a client's upstream requests: the configured
+// User-Agent, the client's cookie jar, the app's fetch limiter, network policy and memory
+// of HTTPS hosts, and the
+// timeout and size limit for the kind of fetch ('page', 'image', 'logo' or 'download')
+export function upstreamOptions(context, kind = 'page') {
+  const { options } = context;
+  return {
+    userAgent: options.userAgent,
+    cookieJar: context.cookieJar || null,
+    limiter: context.limits ? context.limits.fetches : null,
+    networkPolicy: context.networkPolicy || null,
+    httpsHosts: context.httpsHosts || null,
+    ...fetchLimits(options, kind)
+  };
+}
+
+// Function to give the timeout (milliseconds) and size limit (bytes) a kind of fetch
+// ('page', 'image', 'logo' or 'download') runs with, 0 where there is none
+export function fetchLimits(options, kind = 'page') {
+  const limits = FETCH_LIMIT_OPTIONS[kind];
+  return {
+    timeout: options[limits.timeout] || 0,
+    maxBytes: options[limits.maxBytes] || 0
+  };
+}
+
+// Kinds of failed fetch that hit one of the proxy's own limits or its network policy.
+// Images failing this way show the placeholder; images from sites that are down are dropped.
+export const FETCH_LIMIT_KINDS = ['timeout', 'too-large', 'blocked'];
+
+// Function to tell why a fetch failed: 'timeout' when it ran out of time, 'too-large'
+// when the body was over its size limit, 'blocked' when the network policy refused the
+// address, 'dns' when the site's name doesn't resolve, 'connection' when the site refused
+// or dropped the connection, 'tls' when a secure connection couldn't be made,
+// 'redirects' when the site redirected too many times, and 'client-error' for a 4xx
+// answer or 'server-error' for any other that isn't 2xx (see upstreamStatusError), such
+// as a 5xx or a redirect without a Location; null for anything else
+export function fetchErrorKind(error) {
+  if (!error) {
+    return null;
+  }
+  if (error.code === 'EBLOCKED') {
+    return 'blocked';
+  }
+  if (error.name === 'AbortError' || error.name === 'TimeoutError' || error.code === 'ETIMEDOUT') {
+    return 'timeout';
+  }
+  if (error.type === 'max-size') {
+    return 'too-large';
+  }
+  if (error.type === 'too-many-redirects') {
+    return 'redirects';
+  }
+  if (error.type === 'upstream-status') {
+    return error.status >= 400 && error.status < 500 ? 'client-error' : 'server-error';
+  }
+  if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
+    return 'dns';
+  }
+  if (['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'].includes(error.code)) {
+    return 'connection';
+  }
+  if (error.code === 'EPROTO' || /CERT|SSL|TLS/.test(error.code || '')) {
+    return 'tls';
+  }
+  return null;
+}
+
+// Function to create the error for an upstream page that answered with a status other
+// than 2xx, so it gets an error page rather than being shown as the page. The site's own
+// error page is dropped.
+export function upstreamStatusError(response, url) {
+  discardBody(response);
+  return Object.assign(new Error(`${url} answered ${response.status}`), {
+    type: 'upstream-status',
+    status: response.status,
+    finalUrl: response.finalUrl || url
+  });
+}
+
+// Function to give a route handler the per-request context: the options for the client's
+// profile, the client's cookie jar and the request's trace for the logs (see logging.js)
+export function requestContext(context, req) {
+  return {
+    ...context,
+    options: req.clientOptions || context.options,
+    cookieJar: req.cookieJar || null,
+    trace: req.trace || createTrace()
+  };
+}
+
+// Function to read an upstream HTML response, decoding it with the page's own charset.
+// The charset is returned too, since the site expects form data back in it, and the
+// number of bytes downloaded.
+export async function readHtml(response) {
+  const buffer = Buffer.from(await response.arrayBuffer());
+  return { ...decodeHtml(buffer, response.headers.get('content-type')), bytes: buffer.length };
+}
+
+// Function to fetch an image, returning null if it is missing or not an image
+export async function fetchImage(imageUrl, fetchOptions) {
+  const response = await fetchUpstream(imageUrl, fetchOptions);
+
+  if (!response.ok) {
+    log('info', 'Failed to fetch image', { url: imageUrl, status: response.status });
+    discardBody(response);
+    return null;
+  }
+
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.startsWith('image/')) {
+    log('info', 'Not an image', { url: imageUrl, contentType });
+    discardBody(response);
+    return null;
+  }
+
+  const buffer = await response.arrayBuffer();
+  return {
+    buffer: Buffer.from(buffer),
+    contentType
+  };
+}
+
+// Function to create a proper hash from URL
+export function createImageHash(imageUrl) {
+  return crypto.createHash('md5').update(imageUrl).digest('hex').substring(0, 16);
+}
+
+// Function to rewrite every <a href> so it stays within the proxy, forcing HTTP
+export function rewriteLinks(document, baseUrl, req) {
+  document.querySelectorAll("a").forEach((link) => {
+    const href = link.getAttribute("href");
+    if (!href || href.startsWith("#")) {
+      return;
+    }
+
+    // Skip problematic protocols
+    if (UNPROXYABLE_PROTOCOLS.some(protocol => href.trim().toLowerCase().startsWith(protocol))) {
+      link.removeAttribute("href");
+      return;
+    }
+
+    try {
+      const absoluteUrl = toHttp(new URL(href, baseUrl).href);
+      link.setAttribute("href", proxyUrl(req, absoluteUrl));
+    } catch (error) {
+      // If URL parsing fails, remove the href
+      link.removeAttribute("href");
+    }
+  });
+}
+
+// Function to strip all style tags, stylesheets and style attributes
+export function stripStyles(document) {
+  document.querySelectorAll('style').forEach(el => el.remove());
+  document.querySelectorAll('link[rel="stylesheet"]').forEach(el => el.remove());
+  document.querySelectorAll('[style]').forEach(el => el.removeAttribute('style'));
+}
+
+// Function to escape text for use in HTML content or attribute values
+export function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Function to build a bordered table with a header row for the proxy's own pages, as
+// browsers without CSS show it; an empty table is replaced by a line saying so
+export function htmlTable(headings, rows, empty = 'None yet.') {
+  if (!rows.length) {
+    return `<p>${empty}</p>`;
+  }
+  return `<table border="1" cellpadding="4" cellspacing="0">
+<tr>${headings.map(heading => `<th align="left">${heading}</th>`).join('')}</tr>
+${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n')}
+</table>`;
+}
+
+// Function to encode an HTML page for the client in the configured output charset
+// (ISO-8859-1 unless outputCharset is "macroman"), using numeric entities only for
+// browsers that render them. Returns { body, contentType }.
+export function encodeForClient(req, htmlContent) {
+  const { outputCharset, numericEntities = 'auto' } = req.clientOptions || req.app.locals.options || {};
+  return encodeHtml(htmlContent, {
+    charset: outputCharset,
+    numericEntities: numericEntities === 'auto'
+      ? supportsNumericEntities(req.headers['user-agent'])
+      : Boolean(numericEntities)
+  });
+}
+
+// Function to send an HTML page encoded for the client (see encodeForClient).
+// lastModified (a time) is sent as Last-Modified so browsers can revalidate the page.
+// Encoding is timed as the request's 'encode' stage.
+export function sendHtml(res, htmlContent, { lastModified = null } = {}) {
+  const encode = () => encodeForClient(res.req, htmlContent);
+  const { body, contentType } = res.req.trace ? res.req.trace.time('encode', encode) : encode();
+
+  res.setHeader("Content-Type", contentType);
+  // Express adds an ETag and answers a matching If-None-Match or If-Modified-Since with a 304
+  if (lastModified) {
+    res.setHeader("Last-Modified", new Date(lastModified).toUTCString());
+  }
+  res.send(body);
+}
@@ -0,0 +1,316 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import {
+  createImageHash,
+  discardBody,
+  fetchErrorKind,
+  fetchUpstream,
+  getTargetUrl,
+  localUrl,
+  normalizeTargetUrl,
+  proxyUrl,
+  resolveOptions,
+  rewriteLinks,
+  stripStyles,
+  toHttp,
+  upstreamOptions,
+  upstreamStatusError,
+} from './proxy-core.js';
+import { createLimiter } from './concurrency.js';
+
+// Minimal stand-ins for DOM elements; jsdom can't load inside Jest's VM modules runtime
+function mockElement(attributes = {}) {
+  return {
+    attributes: { ...attributes },
+    getAttribute(name) { return name in this.attributes ? this.attributes[name] : null; },
+    setAttribute(name, value) { this.attributes[name] = value; },
+    removeAttribute(name) { delete this.attributes[name]; },
+    hasAttribute(name) { return name in this.attributes; },
+    remove: jest.fn(),
+  };
+}
+
+function mockDocument(elementsBySelector) {
+  return {
+    querySelectorAll: (selector) => elementsBySelector[selector] || [],
+  };
+}
+
+function mockRequest(url, query = {}) {
+  return {
+    url,
+    query,
+    headers: { host: 'proxy.local:8080' },
+    app: { locals: {} },
+  };
+}
+
+describe('Proxy Core - URL Handling', () => {
+  test('should fix the ttp:// and ttps:// typos', () => {
+    expect(normalizeTargetUrl('ttp://example.com/')).toBe('http://example.com/');
+    expect(normalizeTargetUrl('ttps://example.com/')).toBe('https://example.com/');
+  });
+
+  test('should prepend http:// when no protocol is given', () => {
+    expect(normalizeTargetUrl('www.example.com/page')).toBe('http://www.example.com/page');
+  });
+
+  test('should leave http and https URLs untouched', () => {
+    expect(normalizeTargetUrl('http://example.com/')).toBe('http://example.com/');
+    expect(normalizeTargetUrl('https://example.com/')).toBe('https://example.com/');
+  });
+
+  test('should read the target URL from ?url= first', () => {
+    const req = mockRequest('/?url=ttp://example.com/', { url: 'ttp://example.com/' });
+    expect(getTargetUrl(req)).toBe('http://example.com/');
+  });
+
+  test('should fall back to the request path', () => {
+    expect(getTargetUrl(mockRequest('/www.example.com/news'))).toBe('http://www.example.com/news');
+  });
+
+  test('should return null when there is no URL at all', () => {
+    expect(getTargetUrl(mockRequest('/'))).toBeNull();
+  });
+
+  test('should force HTTP on HTTPS URLs', () => {
+    expect(toHttp('https://example.com/a')).toBe('http://example.com/a');
+    expect(toHttp('http://example.com/a')).toBe('http://example.com/a');
+  });
+
+  test('should build proxy URLs from the request host', () => {
+    expect(proxyUrl(mockRequest('/'), 'http://example.com/?a=1'))
+      .toBe('http://proxy.local:8080/?url=http%3A%2F%2Fexample.com%2F%3Fa%3D1');
+  });
+
+  test('should leave links unwrapped for forward-proxy clients', () => {
+    const req = mockRequest('/');
+    req.forwardProxyUrl = 'http://example.com/';
+
+    expect(getTargetUrl(req)).toBe('http://example.com/');
+    expect(proxyUrl(req, 'http://example.com/next')).toBe('http://example.com/next');
+  });
+
+  test('should prefer the configured public host over the Host header', () => {
+    const req = mockRequest('/');
+    req.app.locals.options = { publicHost: 'mac-proxy.example:80' };
+
+    expect(localUrl(req, '/cached_images/a.jpg')).toBe('http://mac-proxy.example:80/cached_images/a.jpg');
+  });
+});
+
+describe('Proxy Core - Link Rewriting', () => {
+  test('should route links through the proxy and force HTTP', () => {
+    const links = [mockElement({ href: 'https://example.com/story' }), mockElement({ href: '/about' })];
+    rewriteLinks(mockDocument({ a: links }), 'http://example.com/', mockRequest('/'));
+
+    expect(links[0].getAttribute('href')).toBe('http://proxy.local:8080/?url=http%3A%2F%2Fexample.com%2Fstory');
+    expect(links[1].getAttribute('href')).toBe('http://proxy.local:8080/?url=http%3A%2F%2Fexample.com%2Fabout');
+  });
+
+  test('should strip links with protocols the proxy cannot follow', () => {
+    const links = ['javascript:void(0)', 'mailto:a@b.c', 'tel:123', 'ftp://x/', 'file:///etc']
+      .map(href => mockElement({ href }));
+    rewriteLinks(mockDocument({ a: links }), 'http://example.com/', mockRequest('/'));
+
+    links.forEach(link => {
+      expect(link.hasAttribute('href')).toBe(false);
+    });
+  });
+
+  test('should leave fragment links alone', () => {
+    const link = mockElement({ href: '#top' });
+    rewriteLinks(mockDocument({ a: [link] }), 'http://example.com/', mockRequest('/'));
+
+    expect(link.getAttribute('href')).toBe('#top');
+  });
+});
+
+describe('Proxy Core - Helpers', () => {
+  test('should merge options over defaults, including image limits', () => {
+    const defaults = { port: 8080, userAgent: 'A', imageLimits: { maxWidth: 320, maxHeight: 240 } };
+    const options = resolveOptions(defaults, { port: 9000, imageLimits: { maxWidth: 512 } });
+
+    expect(options).toEqual({ port: 9000, userAgent: 'A', imageLimits: { maxWidth: 512, maxHeight: 240 } });
+    expect(resolveOptions(defaults)).toEqual(defaults);
+  });
+
+  test('should create stable 16 character image hashes', () => {
+    const hash = createImageHash('http://example.com/a.png');
+    expect(hash).toHaveLength(16);
+    expect(createImageHash('http://example.com/a.png')).toBe(hash);
+    expect(createImageHash('http://example.com/b.png')).not.toBe(hash);
+  });
+
+  test('should strip style tags, stylesheets and style attributes', () => {
+    const style = mockElement();
+    const stylesheet = mockElement({ rel: 'stylesheet' });
+    const styled = mockElement({ style: 'color: red' });
+    stripStyles(mockDocument({
+      'style': [style],
+      'link[rel="stylesheet"]': [stylesheet],
+      '[style]': [styled],
+    }));
+
+    expect(style.remove).toHaveBeenCalled();
+    expect(stylesheet.remove).toHaveBeenCalled();
+    expect(styled.hasAttribute('style')).toBe(false);
+  });
+});
+
+describe('Proxy Core - Fetch Limits', () => {
+  let server;
+  let baseUrl;
+
+  // Each path on the test server misbehaves in its own way
+  const routes = {
+    '/slow': (req, res) => setTimeout(() => res.end('late'), 500),
+    '/stall': (req, res) => { res.writeHead(200, { 'Content-Type': 'text/html' }); res.write('<html>'); },
+    '/declared-big': (req, res) => { res.writeHead(200, { 'Content-Length': '4096' }); res.end(Buffer.alloc(4096)); },
+    '/streamed-big': (req, res) => { res.writeHead(200); res.write(Buffer.alloc(2048)); res.end(Buffer.alloc(2048)); },
+    '/redirect': (req, res) => { res.writeHead(302, { Location: '/slow' }); res.end(); },
+    '/small': (req, res) => res.end('ok'),
+    '/moved': (req, res) => { res.writeHead(301, { Location: '/small' }); res.end(); },
+    '/loop': (req, res) => { res.writeHead(302, { Location: '/loop' }); res.end('redirecting'); },
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => routes[req.url](req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const failure = (promise) => promise.then(() => null, error => fetchErrorKind(error));
+
+  test('should give up on a server that is slow to answer', async () => {
+    expect(await failure(fetchUpstream(`${baseUrl}/slow`, { timeout: 100 }))).toBe('timeout');
+  });
+
+  test('should give up on a body that stops arriving', async () => {
+    const response = await fetchUpstream(`${baseUrl}/stall`, { timeout: 100 });
+    expect(await failure(response.arrayBuffer())).toBe('timeout');
+  });
+
+  test('should count redirects against the same timeout', async () => {
+    expect(await failure(fetchUpstream(`${baseUrl}/redirect`, { timeout: 100 }))).toBe('timeout');
+  });
+
+  test('should refuse bodies over the size limit, declared or not', async () => {
+    expect(await failure(fetchUpstream(`${baseUrl}/declared-big`, { maxBytes: 1024 }))).toBe('too-large');
+
+    const response = await fetchUpstream(`${baseUrl}/streamed-big`, { maxBytes: 1024 });
+    expect(await failure(response.arrayBuffer())).toBe('too-large');
+  });
+
+  test('should leave fetches within the limits alone', async () => {
+    const response = await fetchUpstream(`${baseUrl}/small`, { timeout: 1000, maxBytes: 1024 });
+    expect(await response.text()).toBe('ok');
+    expect(fetchErrorKind(new Error('ECONNREFUSED'))).toBe(null);
+  });
+
+  test('should give the address a response came from after redirects', async () => {
+    const response = await fetchUpstream(`${baseUrl}/moved`);
+    expect(response.finalUrl).toBe(`${baseUrl}/small`);
+    expect((await fetchUpstream(`${baseUrl}/small`)).finalUrl).toBe(`${baseUrl}/small`);
+  });
+
+  test('should give up on a site that keeps redirecting', async () => {
+    const error = await fetchUpstream(`${baseUrl}/loop`).catch(caught => caught);
+    expect(fetchErrorKind(error)).toBe('redirects');
+    expect(error.finalUrl).toBe(`${baseUrl}/loop`);
+  });
+
+  test('should tell failed connections, lookups, secure connections and error answers apart', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const closedUrl = `http://127.0.0.1:${closed.address().port}/`;
+    await new Promise(resolve => closed.close(resolve));
+
+    expect(await failure(fetchUpstream(closedUrl))).toBe('connection');
+    expect(fetchErrorKind(Object.assign(new Error('getaddrinfo ENOTFOUND nowhere.invalid'), { code: 'ENOTFOUND' }))).toBe('dns');
+    expect(fetchErrorKind(Object.assign(new Error('certificate has expired'), { code: 'CERT_HAS_EXPIRED' }))).toBe('tls');
+    expect(fetchErrorKind(Object.assign(new Error('bad name'), { code: 'ERR_TLS_CERT_ALTNAME_INVALID' }))).toBe('tls');
+
+    const notFound = upstreamStatusError({ status: 404, finalUrl: 'http://example.com/new' }, 'http://example.com/old');
+    expect(fetchErrorKind(notFound)).toBe('client-error');
+    expect(notFound).toMatchObject({ status: 404, finalUrl: 'http://example.com/new' });
+    expect(fetchErrorKind(upstreamStatusError({ status: 503 }, 'http://example.com/'))).toBe('server-error');
+    expect(fetchErrorKind(upstreamStatusError({ status: 301 }, 'http://example.com/'))).toBe('server-error');
+  });
+
+  test('should fetch each hop on the scheme the host is remembered to need, learning from every answer', async () => {
+    const learned = [];
+    const httpsHosts = {
+      upgrade: (url) => url.replace('http://secure.test', baseUrl),
+      fallback: () => null,
+      learn: (url, response, location) => learned.push([url, location]),
+      reached: jest.fn()
+    };
+
+    const response = await fetchUpstream('http://secure.test/moved', { httpsHosts });
+    expect(response.finalUrl).toBe(`${baseUrl}/small`);
+    expect(learned).toEqual([[`${baseUrl}/moved`, '/small'], [`${baseUrl}/small`, null]]);
+    expect(httpsHosts.reached).not.toHaveBeenCalled();
+  });
+
+  test('should try a host that refused plain HTTP once over HTTPS, and never the other way', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const closedUrl = `http://127.0.0.1:${closed.address().port}`;
+    await new Promise(resolve => closed.close(resolve));
+
+    const httpsHosts = {
+      upgrade: (url) => url,
+      fallback: (url) => url.replace(closedUrl, baseUrl),
+      learn: () => {},
+      reached: jest.fn()
+    };
+    const response = await fetchUpstream(`${closedUrl}/small`, { httpsHosts });
+    expect(await response.text()).toBe('ok');
+    expect(response.finalUrl).toBe(`${baseUrl}/small`);
+    expect(httpsHosts.reached).toHaveBeenCalledWith(`${baseUrl}/small`);
+
+    const unreachable = { ...httpsHosts, fallback: (url) => url, reached: jest.fn() };
+    expect(await failure(fetchUpstream(`${closedUrl}/small`, { httpsHosts: unreachable }))).toBe('connection');
+    expect(unreachable.reached).not.toHaveBeenCalled();
+    expect(await failure(fetchUpstream(`${closedUrl}/small`))).toBe('connection');
+
+    // A broken secure connection is never retried over plain HTTP, where it would have worked
+    const downgrading = { ...httpsHosts, fallback: jest.fn((url) => url.replace('https:', 'http:')), reached: jest.fn() };
+    expect(await failure(fetchUpstream(`${baseUrl.replace('http:', 'https:')}/small`, { httpsHosts: downgrading }))).toBe('tls');
+    expect(downgrading.fallback).not.toHaveBeenCalled();
+  });
+
+  test('should keep a fetch slot until the body has been read or dropped', async () => {
+    const limiter = createLimiter(1);
+    const first = await fetchUpstream(`${baseUrl}/small`, { limiter });
+    let second = null;
+    const waiting = fetchUpstream(`${baseUrl}/small`, { limiter }).then(response => { second = response; });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(second).toBe(null);
+    expect(await first.text()).toBe('ok');
+    await waiting;
+    discardBody(second);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(limiter.stats()).toEqual({ active: 0, queued: 0 });
+
+    // Redirects give their slot back before the next hop takes one
+    const moved = await fetchUpstream(`${baseUrl}/moved`, { limiter });
+    expect(await moved.text()).toBe('ok');
+  });
+
+  test('should pick the limits for the kind of fetch', () => {
+    const context = { options: { pageTimeout: 20000, imageTimeout: 10000, logoTimeout: 5000, maxPageBytes: 100, maxImageBytes: 200 } };
+
+    expect(upstreamOptions(context)).toMatchObject({ timeout: 20000, maxBytes: 100 });
+    expect(upstreamOptions(context, 'image')).toMatchObject({ timeout: 10000, maxBytes: 200 });
+    expect(upstreamOptions(context, 'logo')).toMatchObject({ timeout: 5000, maxBytes: 200 });
+    expect(upstreamOptions({ ...context, httpsHosts: 'hosts' }).httpsHosts).toBe('hosts');
+  });
+});